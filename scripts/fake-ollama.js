@@ -0,0 +1,158 @@
+// A stand-in for an Ollama server, for trying out multiple backends and failover
+// without GPUs. Answers echo the last user message.
+//
+//   FAKE_OLLAMA_PORT      port to listen on (default 11435)
+//   FAKE_OLLAMA_MODELS    comma-separated model names (default llama3)
+//   FAKE_OLLAMA_MODE      ok | fail (every request gets a 500) | stall (requests never finish)
+//   FAKE_OLLAMA_DELAY_MS  delay between streamed words (default 50)
+//
+// The mode can be changed while running: POST /fake/mode { "mode": "stall" }.
+const http = require('node:http')
+
+const MODES = ['ok', 'fail', 'stall']
+const port = Number.parseInt(process.env.FAKE_OLLAMA_PORT || '11435', 10)
+const delayMs = Number.parseInt(process.env.FAKE_OLLAMA_DELAY_MS || '50', 10)
+const models = String(process.env.FAKE_OLLAMA_MODELS || 'llama3')
+  .split(',')
+  .map((name) => name.trim())
+  .filter(Boolean)
+  .map((name) => (name.includes(':') ? name : `${name}:latest`))
+let mode = MODES.includes(process.env.FAKE_OLLAMA_MODE) ? process.env.FAKE_OLLAMA_MODE : 'ok'
+const loaded = new Set()
+
+function readJson(req) {
+  return new Promise((resolve) => {
+    const chunks = []
+    req.on('data', (chunk) => chunks.push(chunk))
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf-8') || '{}'))
+      } catch {
+        resolve({})
+      }
+    })
+  })
+}
+
+function send(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(payload))
+}
+
+function findModel(name) {
+  const value = String(name || '').trim()
+  return models.find((model) => model === value || model === `${value}:latest`) || ''
+}
+
+function toTag(name) {
+  return { name, model: name, size: 0, details: { family: 'llama' } }
+}
+
+function buildAnswer(payload) {
+  if (payload.format) return '{}'
+  const messages = Array.isArray(payload.messages) ? payload.messages : []
+  const last = messages.filter((message) => message.role === 'user').pop()
+  const text = last ? String(last.content || '').replace(/\s+/g, ' ').trim() : ''
+  return `Echo from port ${port}: ${text.slice(0, 80)}`
+}
+
+function usageFor(payload, answer) {
+  const promptChars = (payload.messages || []).reduce(
+    (sum, message) => sum + String(message.content || '').length,
+    0
+  )
+  const words = answer.split(' ').length
+  return {
+    prompt_eval_count: Math.ceil(promptChars / 4),
+    eval_count: words,
+    total_duration: words * delayMs * 1e6,
+    load_duration: 0,
+    prompt_eval_duration: 1e6,
+    eval_duration: words * delayMs * 1e6,
+  }
+}
+
+async function handleChat(res, payload) {
+  const model = findModel(payload.model)
+  if (!model) {
+    send(res, 404, { error: `model "${payload.model}" not found, try pulling it first` })
+    return
+  }
+  loaded.add(model)
+  const answer = buildAnswer(payload)
+  const done = { model, done: true, done_reason: 'stop', ...usageFor(payload, answer) }
+  if (payload.stream === false) {
+    send(res, 200, { ...done, message: { role: 'assistant', content: answer } })
+    return
+  }
+  res.writeHead(200, { 'Content-Type': 'application/x-ndjson' })
+  let closed = false
+  res.on('close', () => {
+    closed = true
+  })
+  for (const word of answer.split(' ')) {
+    if (closed) return
+    const message = { role: 'assistant', content: `${word} ` }
+    res.write(`${JSON.stringify({ model, message, done: false })}\n`)
+    await new Promise((resolve) => setTimeout(resolve, delayMs))
+  }
+  res.end(`${JSON.stringify({ ...done, message: { role: 'assistant', content: '' } })}\n`)
+}
+
+const server = http.createServer(async (req, res) => {
+  const payload = req.method === 'POST' ? await readJson(req) : {}
+  const path = new URL(req.url, 'http://localhost').pathname
+
+  if (path === '/fake/mode' && req.method === 'POST') {
+    if (!MODES.includes(payload.mode)) {
+      send(res, 400, { error: `mode must be one of: ${MODES.join(', ')}` })
+      return
+    }
+    mode = payload.mode
+    console.log(`[fake-ollama:${port}] mode ${mode}`)
+    send(res, 200, { mode })
+    return
+  }
+  if (mode === 'stall') return
+  if (mode === 'fail') {
+    send(res, 500, { error: 'fake failure' })
+    return
+  }
+
+  if (path === '/api/version') {
+    send(res, 200, { version: '0.0.0-fake' })
+  } else if (path === '/api/tags') {
+    send(res, 200, { models: models.map(toTag) })
+  } else if (path === '/api/ps') {
+    send(res, 200, { models: Array.from(loaded).map(toTag) })
+  } else if (path === '/api/show' && req.method === 'POST') {
+    const model = findModel(payload.model || payload.name)
+    if (!model) {
+      send(res, 404, { error: `model "${payload.model || payload.name}" not found` })
+      return
+    }
+    send(res, 200, {
+      capabilities: ['completion'],
+      details: { family: 'llama', families: ['llama'] },
+      model_info: { 'llama.context_length': 8192 },
+      parameters: '',
+    })
+  } else if (path === '/api/generate' && req.method === 'POST') {
+    // The gateway only uses /api/generate to warm a model up.
+    const model = findModel(payload.model)
+    if (!model) {
+      send(res, 404, { error: `model "${payload.model}" not found` })
+      return
+    }
+    loaded.add(model)
+    send(res, 200, { model, response: '', done: true })
+  } else if (path === '/api/chat' && req.method === 'POST') {
+    await handleChat(res, payload)
+  } else {
+    send(res, 404, { error: 'Not found.' })
+  }
+})
+
+server.listen(port, '127.0.0.1', () => {
+  console.log(`[fake-ollama:${port}] serving ${models.join(', ')} (mode ${mode})`)
+})
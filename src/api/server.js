@@ -1,9 +1,11 @@
 const http = require('node:http')
+const { randomUUID } = require('node:crypto')
 
 const { config } = require('../lib/config')
 const { FileStore } = require('../lib/storage')
 const { withChatLock } = require('../lib/locks')
 const {
+  buildMemoryBlock,
   buildPromptMessages,
   selectRecentUserMessages,
   shouldUpdateMemory,
@@ -12,20 +14,81 @@ const {
 const {
   estimateTokens,
   readJsonBody,
+  readRawBody,
   respondJson,
   setCors,
   trimToCharBudget,
+  trimToTokenBudget,
   extractJson,
+  isCancelledError,
+  linkAbortSignal,
 } = require('../lib/utils')
-const { callOllamaChat, listOllamaModels } = require('../lib/ollama')
+const {
+  callOllamaChat,
+  requestOllamaChat,
+  embedOllama,
+  listOllamaModels,
+  showOllamaModel,
+  pullOllamaModel,
+  warmOllamaModel,
+  deleteOllamaModel,
+  copyOllamaModel,
+  proxyOllamaRequest,
+} = require('../lib/ollama')
 const { runHighLlm } = require('../lib/llm_queue')
 const { generateTopic } = require('../lib/topic')
+const { decodeImages, modelSupportsVision } = require('../lib/images')
+const { expandPresetTemplate, normalizePreset } = require('../lib/presets')
+const { normalizeGenerationOptions } = require('../lib/options')
+const { forgetModelCapabilities, modelSupports } = require('../lib/models')
+const {
+  describeTool,
+  listTools,
+  registerTool,
+  runToolCall,
+  toOllamaTools,
+} = require('../lib/tools')
+const { registerBuiltinTools } = require('../lib/builtin_tools')
+const { checkStructuredReply, normalizeFormat } = require('../lib/schema')
+const { getKeepAlive } = require('../lib/keep_alive')
+const { addUsage, buildMessageStats, readUsage, summarizeUsage } = require('../lib/usage')
+const { planPromptBudgets, calibrateTokens, getTokenCalibration } = require('../lib/context')
+const {
+  checkBackends,
+  findBackendsWithModel,
+  getBackendUrl,
+  listBackends,
+  listLoadedModels,
+  startHealthChecks,
+  toBackendStatus,
+  withBackend,
+} = require('../lib/backends')
+const {
+  buildDocumentsContext,
+  chunkText,
+  cosineSimilarity,
+  readDocumentInput,
+  selectRelevantChunks,
+  toDocumentSources,
+} = require('../lib/documents')
+const {
+  createOpenAiOutput,
+  getLastUserText,
+  respondError,
+  toModelList,
+  toOllamaMessages,
+  toOllamaOptions,
+} = require('../lib/openai')
 // Web agent routing is controlled by client input (use_web/web_search).
 const { callWebAgent, streamWebAgent } = require('../web-search/client')
 
 const store = new FileStore(config.DATA_DIR, config.CHATS_DIR)
 const chatListeners = new Map()
 const globalListeners = new Set()
+const activeGenerations = new Map()
+const deletedRecords = new WeakSet()
+const activePulls = new Set()
+const lastWarmups = new Map()
 const uiState = {
   chats: new Map(),
   busyChats: new Set(),
@@ -50,6 +113,46 @@ const TITLE_TIMEOUT_MS = 0
 const TITLE_LLM_OPTIONS = { temperature: 0.2, repeat_penalty: 1.2 }
 const TITLE_LLM_RETRY_OPTIONS = { temperature: 0.7, repeat_penalty: 1.2 }
 const TITLE_MAX_WORDS = 6
+const MEMORY_HISTORY_LIMIT = 20
+const OLLAMA_PROXY_PREFIX = '/ollama'
+const OLLAMA_QUEUED_PATHS = new Set(['/api/chat', '/api/generate'])
+const EMBED_BATCH_SIZE = 16
+const MODEL_PULL_BROADCAST_MS = 500
+const WARMUP_MIN_INTERVAL_MS = 60000
+const CONTEXT_MODES = ['turns', 'prompts']
+const WEB_SEARCH_TOOL = 'web_search'
+
+registerTool({
+  name: WEB_SEARCH_TOOL,
+  description:
+    'Search the web for current or factual information. Returns titles, URLs, and summaries.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Search engine query, at most 10 words.' },
+    },
+    required: ['query'],
+  },
+  isAvailable: (context) => Boolean(context.useWeb && config.WEB_AGENT_URL),
+  handler: async ({ query }, context) => {
+    const text = typeof query === 'string' && query.trim() ? query.trim() : context.prompt
+    const result = await callWebAgent({
+      query: trimToCharBudget(text, 200),
+      userId: SHARED_USER_ID,
+      chatId: context.chatId,
+      messageId: context.messageId,
+      clientTs: context.messageTs,
+      modelId: context.modelId,
+      signal: context.signal,
+    })
+    const sources = Array.isArray(result.sources) ? result.sources : []
+    return {
+      content: sources.length ? buildSourcesContext(sources) : 'No web results found.',
+      sources,
+    }
+  },
+})
+registerBuiltinTools()
 
 const server = http.createServer(async (req, res) => {
   try {
@@ -71,7 +174,9 @@ const server = http.createServer(async (req, res) => {
     if (url.pathname === '/health') {
       respondJson(res, 200, {
         ok: true,
-        upstream: config.OLLAMA_URL,
+        upstream: listBackends()
+          .map((backend) => backend.url)
+          .join(','),
         time: new Date().toISOString(),
         storage: { type: 'file', path: config.CHATS_DIR },
       })
@@ -82,16 +187,44 @@ const server = http.createServer(async (req, res) => {
       (url.pathname === '/api/tags' || url.pathname === '/api/models') &&
       req.method === 'GET'
     ) {
-      const models = await listOllamaModels({ baseUrl: config.OLLAMA_URL })
+      const models = await listPooledModels()
       respondJson(res, 200, { models })
       return
     }
 
+    if (url.pathname.startsWith('/api/models/')) {
+      await handleModels(req, res, url)
+      return
+    }
+
+    if (url.pathname === '/api/stats' && req.method === 'GET') {
+      handleStats(req, res, url)
+      return
+    }
+
+    if (url.pathname === '/api/backends' && req.method === 'GET') {
+      respondJson(res, 200, { backends: listBackends().map(toBackendStatus) })
+      return
+    }
+
+    if (url.pathname === '/api/tools' && req.method === 'GET') {
+      respondJson(res, 200, {
+        enabled: config.TOOLS_ENABLED,
+        tools: listTools().map(describeTool),
+      })
+      return
+    }
+
     if (url.pathname === '/api/stream' && req.method === 'GET') {
       await handleGlobalStream(req, res, url)
       return
     }
 
+    if (url.pathname === '/api/presets' || url.pathname.startsWith('/api/presets/')) {
+      await handlePresets(req, res, url)
+      return
+    }
+
     if (url.pathname === '/api/chats' && req.method === 'GET') {
       await handleListChats(req, res, url)
       return
@@ -120,6 +253,51 @@ const server = http.createServer(async (req, res) => {
       return
     }
 
+    if (
+      url.pathname.startsWith('/api/chats/') &&
+      url.pathname.endsWith('/cancel') &&
+      req.method === 'POST'
+    ) {
+      await handleChatCancel(req, res, url)
+      return
+    }
+
+    if (
+      url.pathname.startsWith('/api/chats/') &&
+      url.pathname.endsWith('/persona') &&
+      req.method === 'POST'
+    ) {
+      await handleChatPersona(req, res, url)
+      return
+    }
+
+    if (
+      url.pathname.startsWith('/api/chats/') &&
+      url.pathname.endsWith('/fork') &&
+      req.method === 'POST'
+    ) {
+      await handleChatFork(req, res, url)
+      return
+    }
+
+    if (
+      url.pathname.startsWith('/api/chats/') &&
+      url.pathname.includes('/documents') &&
+      (req.method === 'POST' || req.method === 'DELETE')
+    ) {
+      await handleChatDocuments(req, res, url)
+      return
+    }
+
+    if (
+      url.pathname.startsWith('/api/chats/') &&
+      url.pathname.includes('/messages/') &&
+      req.method === 'POST'
+    ) {
+      await handleMessageAction(req, res, url)
+      return
+    }
+
     if (url.pathname.startsWith('/api/chats/') && req.method === 'DELETE') {
       await handleChatDelete(req, res, url)
       return
@@ -130,6 +308,22 @@ const server = http.createServer(async (req, res) => {
       return
     }
 
+    if (url.pathname.startsWith(`${OLLAMA_PROXY_PREFIX}/api/`)) {
+      await handleOllamaProxy(req, res, url)
+      return
+    }
+
+    if (url.pathname === '/v1/models' && req.method === 'GET') {
+      const models = await listPooledModels()
+      respondJson(res, 200, toModelList(models))
+      return
+    }
+
+    if (url.pathname === '/v1/chat/completions' && req.method === 'POST') {
+      await handleChatCompletions(req, res)
+      return
+    }
+
     respondJson(res, 404, { error: 'Not found.' })
   } catch (error) {
     const message = error instanceof Error ? error.message : 'Unexpected error.'
@@ -145,7 +339,9 @@ const server = http.createServer(async (req, res) => {
 
 server.listen(config.PORT, config.BIND_HOST, () => {
   console.log(`Gateway listening on http://${config.BIND_HOST}:${config.PORT}`)
-  console.log(`Ollama upstream: ${config.OLLAMA_URL}`)
+  const upstreams = listBackends().map((backend) => backend.url)
+  console.log(`Ollama upstream${upstreams.length > 1 ? 's' : ''}: ${upstreams.join(', ')}`)
+  startHealthChecks({ onChange: broadcastGlobalState })
   if (config.WEB_AGENT_URL) {
     console.log(`Web agent: ${config.WEB_AGENT_URL}`)
   } else {
@@ -154,788 +350,1877 @@ server.listen(config.PORT, config.BIND_HOST, () => {
 })
 
 async function handleChat(req, res) {
+  let payload
   try {
-    let payload
-    try {
-      payload = await readJsonBody(req, config.MAX_BODY_BYTES)
-    } catch (error) {
-      respondJson(res, 400, { error: 'Invalid JSON body.' })
-      return
-    }
+    payload = await readJsonBody(req, config.MAX_BODY_BYTES)
+  } catch (error) {
+    respondJson(res, 400, { error: 'Invalid JSON body.' })
+    return
+  }
+
+  if (!payload || typeof payload !== 'object') {
+    respondJson(res, 400, { error: 'Missing request body.' })
+    return
+  }
 
-    if (!payload || typeof payload !== 'object') {
-      respondJson(res, 400, { error: 'Missing request body.' })
+  const {
+    chat_id: chatId,
+    message_id: messageId,
+    client_ts: clientTs,
+    stream,
+    use_web: useWeb,
+    web_search: webSearch,
+    preset_id: presetId,
+  } = payload
+
+  let preset = null
+  if (isNonEmptyString(presetId)) {
+    preset = store.loadPreset(presetId)
+    if (!preset) {
+      respondJson(res, 400, { error: `Unknown preset_id: ${presetId}` })
       return
     }
+  }
+  const prompt = preset ? expandPresetTemplate(preset.template, payload.prompt) : payload.prompt
+  let compareModelIds = []
+  try {
+    compareModelIds = normalizeModelIds(payload.model_ids)
+  } catch (error) {
+    respondJson(res, 400, { error: error.message })
+    return
+  }
+  const modelId = compareModelIds.length
+    ? compareModelIds[0]
+    : isNonEmptyString(payload.model_id)
+      ? payload.model_id
+      : preset && preset.model_id
+
+  const missing = []
+  if (!isNonEmptyString(chatId)) missing.push('chat_id')
+  if (!isNonEmptyString(prompt)) missing.push('prompt')
+  if (!isNonEmptyString(messageId)) missing.push('message_id')
+  if (!isNonEmptyString(modelId) && !config.DEFAULT_MODEL_ID) {
+    missing.push('model_id')
+  }
 
-    const {
-      chat_id: chatId,
-      model_id: modelId,
-      prompt,
-      message_id: messageId,
-      client_ts: clientTs,
-      stream,
-      use_web: useWeb,
-      web_search: webSearch,
-    } = payload
-
-    const effectiveUserId = SHARED_USER_ID
-    const safeUserId = SHARED_USER_ID
-    const missing = []
-    if (!isNonEmptyString(chatId)) missing.push('chat_id')
-    if (!isNonEmptyString(prompt)) missing.push('prompt')
-    if (!isNonEmptyString(messageId)) missing.push('message_id')
-    if (!isNonEmptyString(modelId) && !config.DEFAULT_MODEL_ID) {
-      missing.push('model_id')
-    }
-
-    if (missing.length) {
-      respondJson(res, 400, { error: `Missing fields: ${missing.join(', ')}` })
-      return
+  if (missing.length) {
+    respondJson(res, 400, { error: `Missing fields: ${missing.join(', ')}` })
+    return
+  }
+
+  const useStream = isStreamRequested(stream)
+  const requestedWeb = typeof useWeb !== 'undefined' ? useWeb : webSearch
+  const override = parseBooleanOverride(
+    typeof requestedWeb === 'undefined' && preset ? preset.use_web : requestedWeb
+  )
+
+  if (override === null) {
+    respondMissingUseWeb(res, useStream)
+    return
+  }
+
+  let turnOptions
+  let format
+  try {
+    turnOptions = normalizeGenerationOptions(payload.options)
+    format = normalizeFormat(payload.format)
+  } catch (error) {
+    respondChatError(res, useStream, 400, error.message)
+    return
+  }
+  if (format && compareModelIds.length > 1) {
+    respondChatError(res, useStream, 400, 'format cannot be combined with model_ids.')
+    return
+  }
+
+  const resolvedModelId = modelId || config.DEFAULT_MODEL_ID
+  let images
+  try {
+    images = decodeImages(payload.images)
+  } catch (error) {
+    respondChatError(res, useStream, 400, error.message)
+    return
+  }
+  if (images.length) {
+    for (const id of compareModelIds.length ? compareModelIds : [resolvedModelId]) {
+      if (!(await ensureVisionModel(res, useStream, id))) return
     }
+  }
+
+  await runChatTurn({
+    res,
+    chatId,
+    prompt,
+    messageId,
+    clientTs,
+    modelId: resolvedModelId,
+    useStream,
+    useWeb: override,
+    options: turnOptions,
+    presetOptions: preset ? preset.options : null,
+    format,
+    compareModelIds,
+    images: saveChatImages(chatId, messageId, images),
+  })
+}
+
+function normalizeModelIds(value) {
+  if (value === undefined || value === null) return []
+  if (!Array.isArray(value) || !value.every(isNonEmptyString)) {
+    throw new Error('model_ids must be an array of model names.')
+  }
+  const ids = Array.from(new Set(value.map((id) => id.trim())))
+  if (ids.length > config.COMPARE_MAX_MODELS) {
+    throw new Error(`model_ids accepts at most ${config.COMPARE_MAX_MODELS} models.`)
+  }
+  return ids
+}
 
-    const useStream = isStreamRequested(stream)
-    const override = parseBooleanOverride(
-      typeof useWeb !== 'undefined' ? useWeb : webSearch
+// Models from every reachable backend, listed once each; fails only when no backend answers.
+async function listPooledModels() {
+  const backends = listBackends()
+  const healthy = backends.filter((backend) => backend.healthy)
+  const results = await Promise.allSettled(
+    (healthy.length ? healthy : backends).map((backend) =>
+      listOllamaModels({ baseUrl: backend.url })
     )
+  )
+  const models = new Map()
+  for (const result of results) {
+    if (result.status !== 'fulfilled') continue
+    for (const model of result.value) {
+      const name = model.name || model.model
+      if (!models.has(name)) models.set(name, model)
+    }
+  }
+  if (!models.size) {
+    const failed = results.find((result) => result.status === 'rejected')
+    if (failed) throw failed.reason
+  }
+  return Array.from(models.values())
+}
 
-    if (override === null) {
-      if (useStream) {
-        startStreamResponse(res)
-        writeNdjson(res, {
-          stage: 'error',
-          error: 'Missing use_web. Client must choose local vs web agent.',
-          done: true,
-        })
-        res.end()
-      } else {
-        respondJson(res, 400, {
-          error: 'Missing use_web. Client must choose local vs web agent.',
-        })
-      }
+async function handleChatCompletions(req, res) {
+  let payload
+  try {
+    payload = await readJsonBody(req, config.MAX_BODY_BYTES)
+  } catch (error) {
+    respondError(res, 400, 'Invalid JSON body.')
+    return
+  }
+
+  if (!payload || typeof payload !== 'object') {
+    respondError(res, 400, 'Missing request body.')
+    return
+  }
+
+  const modelId = isNonEmptyString(payload.model)
+    ? payload.model
+    : config.DEFAULT_MODEL_ID
+  if (!modelId) {
+    respondError(res, 400, 'Missing model.')
+    return
+  }
+  if (!Array.isArray(payload.messages) || !payload.messages.length) {
+    respondError(res, 400, 'Missing messages.')
+    return
+  }
+
+  const useStream = isStreamRequested(payload.stream)
+  const options = toOllamaOptions(payload)
+  const output = createOpenAiOutput(res, { model: modelId, stream: useStream })
+  const chatId = isNonEmptyString(payload.chat_id)
+    ? payload.chat_id
+    : readHeader(req, 'x-chat-id')
+
+  if (chatId) {
+    // Bound to a gateway chat: only the latest user message is new input,
+    // history comes from the stored chat and its memory.
+    const prompt = getLastUserText(payload.messages)
+    if (!prompt.trim()) {
+      respondError(res, 400, 'Missing user message.')
       return
     }
-
-    const localModelId = modelId || config.DEFAULT_MODEL_ID
-    const explicitSearch = isExplicitSearchRequest(prompt)
-    const route = await determineInfoSeeking({
-      prompt,
-      modelId: localModelId,
-    })
-    const infoSeeking = route.infoSeeking
-    const shouldUseWeb = Boolean(
-      override && (explicitSearch || route.needsWeb || infoSeeking)
-    )
-    const webReason = override
-      ? shouldUseWeb
-        ? explicitSearch
-          ? 'explicit_search'
-          : route.reason || 'classifier'
-        : 'non_info_prompt'
-      : 'client_override_off'
-    const webDecision = { use: shouldUseWeb, reasons: [webReason] }
-    const chatKey = `${effectiveUserId}:${chatId}`
-    await withChatLock(chatKey, async () => {
-      const { record, created } = store.getOrCreateChatWithMeta(effectiveUserId, chatId)
-      if (created) {
-        broadcastChatListUpdate('added', record)
-      }
-      updateChatUiState(
+    const messageId = isNonEmptyString(payload.message_id)
+      ? payload.message_id
+      : readHeader(req, 'x-message-id') || randomUUID()
+    // Anything the turn does not report itself still gets the OpenAI error shape.
+    try {
+      await runChatTurn({
+        res,
         chatId,
-        { active: true, use_web: Boolean(override), model_id: localModelId },
-        { message_id: messageId }
-      )
-      let busySet = false
-      try {
-        if (record.idempotency && record.idempotency[messageId]) {
-      const cached = record.idempotency[messageId]
-      const cachedAnswer = cached.answer
-      const cachedSources = Array.isArray(cached.sources) ? cached.sources : []
-      if (useStream) {
-        startStreamResponse(res)
-        if (cachedSources.length) {
-          writeNdjson(res, { stage: 'sources', sources: cachedSources, done: false })
-        }
-        writeNdjson(res, {
-          message: { role: 'assistant', content: cachedAnswer },
-          done: true,
-        })
-        res.end()
-        return
-      }
+        prompt,
+        messageId,
+        clientTs: null,
+        modelId,
+        useStream,
+        useWeb: parseBooleanOverride(payload.use_web) === true,
+        options,
+        output,
+      })
+    } catch (error) {
+      output.json(500, { error: error.message || 'Unexpected error.' })
+    }
+    return
+  }
 
-      respondJson(res, 200, {
-        chat_id: chatId,
-        answer: cachedAnswer,
-        sources: cachedSources,
-        topic: record.topic || '',
+  const messages = toOllamaMessages(payload.messages)
+  const controller = new AbortController()
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort()
+  })
+  try {
+    if (useStream) {
+      await streamChatWithFallback({
+        model: modelId,
+        messages,
+        options,
+        signal: controller.signal,
+        onEvent: output.write,
       })
+      output.end()
       return
-        }
-
-        updateChatUiState(chatId, { busy: true }, { message_id: messageId })
-        busySet = true
+    }
+    const answer = await runHighLlm(
+      ({ baseUrl, model }) =>
+        callOllamaChat({
+          baseUrl,
+          model,
+          messages,
+          stream: false,
+          options,
+          signal: controller.signal,
+        }),
+      { signal: controller.signal, model: modelId, fallback: true }
+    )
+    output.json(200, { answer })
+  } catch (error) {
+    if (isCancelledError(error)) {
+      output.end()
+      return
+    }
+    output.json(502, { error: error.message || 'Upstream error.' })
+  }
+}
 
-        const requestTs = Date.now()
-        const messageTs = Number.isFinite(clientTs) ? clientTs : requestTs
-        broadcastChatUpdate(chatKey, {
-          type: 'message',
-          chat_id: chatId,
-          content: {
-            role: 'user',
-            content: prompt,
-            ts: messageTs,
-            message_id: messageId,
-          },
-        })
-        if (useStream) {
-          startStreamResponse(res)
-          writeNdjson(res, {
-            stage: 'routing',
-            content: 'Selecting information acquisition strategy.',
-            done: false,
-          })
-          writeNdjson(res, {
-            stage: 'routing_decision',
-            use_web: Boolean(webDecision && webDecision.use),
-            source: 'client',
-            reason: webReason,
-            confidence: route.confidence,
-            done: false,
-          })
-          if (override && !infoSeeking) {
-            writeNdjson(res, {
-              stage: 'analysis',
-              content: 'Web search skipped for non-information prompt.',
-              done: false,
-            })
-          }
-        }
+async function handleOllamaProxy(req, res, url) {
+  let body
+  try {
+    body = await readRawBody(req, config.MAX_BODY_BYTES)
+  } catch (error) {
+    respondJson(res, 400, { error: error.message || 'Invalid body.' })
+    return
+  }
 
-    const budgets = {
-      summary: config.SUMMARY_TOKEN_BUDGET,
-      facts: config.FACTS_TOKEN_BUDGET,
-      recent: config.RECENT_TOKEN_BUDGET,
+  const path = url.pathname.slice(OLLAMA_PROXY_PREFIX.length)
+  const chatId = readHeader(req, 'x-chat-id')
+  if (chatId && body.length && OLLAMA_QUEUED_PATHS.has(path)) {
+    let payload
+    try {
+      payload = JSON.parse(body.toString('utf-8'))
+    } catch {
+      respondJson(res, 400, { error: 'Invalid JSON body.' })
+      return
+    }
+    const record = loadChatRecord(SHARED_USER_ID, chatId)
+    if (!record) {
+      respondJson(res, 404, { error: 'Chat not found.' })
+      return
     }
+    body = Buffer.from(JSON.stringify(attachChatMemory(payload, path, record)))
+  }
 
-    const basePromptMessages = buildPromptMessages({
-      systemPrompt: config.SYSTEM_PROMPT,
-      summary: record.summary,
-      facts: record.facts,
-      rawMessages: record.raw_messages,
-      newPrompt: prompt,
-      budgets,
-      recentTurns: config.RECENT_TURNS,
+  const model = readProxyModel(body)
+  const controller = new AbortController()
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort()
+  })
+  const forward = ({ baseUrl }) =>
+    proxyOllamaRequest({
+      baseUrl,
+      method: req.method,
+      path: `${path}${url.search}`,
+      body,
+      res,
+      signal: controller.signal,
     })
-    const topic = typeof record.topic === 'string' ? record.topic : ''
-    const localPromptMessages = injectNonInfoHint(
-      injectTopicIntoMessages(basePromptMessages, topic),
-      infoSeeking
-    )
-    if (webDecision.use) {
-      if (useStream) {
-        writeNdjson(res, {
-          stage: 'analysis',
-          content: 'Generating search query.',
-          done: false,
-        })
-      }
-
-      let query = ''
-      let queryTimedOut = false
-      try {
-        query = await runHighLlm(() =>
-          generateSearchQuery({
-            baseUrl: config.OLLAMA_URL,
-            modelId: localModelId,
-            rawMessages: record.raw_messages,
-            prompt,
-          })
-        )
-      } catch (error) {
-        queryTimedOut = error instanceof Error && error.message.includes('timed out')
-        query = ''
-      }
-
-      if (!query) {
-        query = fallbackSearchQuery(prompt)
-        if (useStream && queryTimedOut) {
-          writeNdjson(res, {
-            stage: 'analysis',
-            content: 'Query generation timed out; using prompt as search query.',
-            done: false,
-          })
-        }
-      }
 
-      let sources = []
-      let sourcesSent = false
-      if (!config.WEB_AGENT_URL) {
-        if (useStream) {
-          writeNdjson(res, {
-            stage: 'web_agent_unavailable',
-            reason: 'WEB_AGENT_URL not configured',
-            done: false,
-          })
-        }
-      } else if (useStream) {
-        try {
-          const result = await streamWebAgent({
-            query,
-            userId: safeUserId,
-            chatId,
-            messageId,
-            clientTs: messageTs,
-            modelId: localModelId,
-            onEvent: (event) => {
-              if (event && typeof event === 'object') {
-                const output = { ...event }
-                if (output.done === true) {
-                  output.done = false
-                }
-                writeNdjson(res, output)
-              }
-            },
-          })
-          sources = Array.isArray(result.sources) ? result.sources : []
-          const sawSources = Boolean(result.sawSources)
-          if (!result.completed) {
-            writeNdjson(res, {
-              stage: 'web_agent_failed',
-              reason: 'web agent did not complete',
-              done: false,
-            })
-          }
-          if (!sawSources && sources.length && !res.writableEnded) {
-            writeNdjson(res, { stage: 'sources', sources, done: false })
-            sourcesSent = true
-          }
-        } catch (error) {
-          writeNdjson(res, {
-            stage: 'web_agent_failed',
-            reason: error instanceof Error ? error.message : 'web agent error',
-            done: false,
-          })
-        }
-      } else {
-        try {
-          const result = await callWebAgent({
-            query,
-            userId: safeUserId,
-            chatId,
-            messageId,
-            clientTs: messageTs,
-            modelId: localModelId,
-          })
-          sources = Array.isArray(result.sources) ? result.sources : []
-        } catch {
-          sources = []
-        }
-      }
+  try {
+    if (OLLAMA_QUEUED_PATHS.has(path)) {
+      await runHighLlm(forward, { signal: controller.signal, model })
+    } else {
+      await withBackend(model, (baseUrl) => forward({ baseUrl }))
+    }
+  } catch (error) {
+    if (isCancelledError(error)) return
+    if (res.headersSent) {
+      res.end()
+      return
+    }
+    respondJson(res, 502, { error: error.message || 'Ollama proxy failed.' })
+  }
+}
 
-      const promptWithSources = injectSourcesIntoMessages(
-        localPromptMessages,
-        sources,
-        prompt,
-        infoSeeking
-      )
+async function handleModels(req, res, url) {
+  const name = decodeURIComponent(url.pathname.slice('/api/models/'.length)).trim()
+  if (name === 'pull' && req.method === 'POST') {
+    await handleModelPull(req, res)
+    return
+  }
+  if (name === 'copy' && req.method === 'POST') {
+    await handleModelCopy(req, res)
+    return
+  }
+  if (!name || (req.method !== 'GET' && req.method !== 'DELETE')) {
+    respondJson(res, 404, { error: 'Not found.' })
+    return
+  }
 
-      if (useStream) {
-        if (
-          Array.isArray(sources) &&
-          sources.length &&
-          !sourcesSent &&
-          !res.writableEnded
-        ) {
-          writeNdjson(res, { stage: 'sources', sources, done: false })
-          sourcesSent = true
-        }
-        writeNdjson(res, {
-          stage: 'analysis',
-          content: sources.length
-            ? `Using ${sources.length} web sources.`
-            : 'No web sources available; answering locally.',
-          done: false,
-        })
+  if (req.method === 'GET') {
+    try {
+      const info = await withBackend(name, (baseUrl) => showOllamaModel({ baseUrl, model: name }))
+      const calibration = getTokenCalibration(name)
+      respondJson(res, 200, { model: name, ...info, ...(calibration ? { calibration } : {}) })
+    } catch (error) {
+      respondJson(res, upstreamErrorStatus(error), { error: error.message })
+    }
+    return
+  }
 
-        const { answer, completed } = await runHighLlm(() =>
-          streamOllamaChat({
-            res,
-            baseUrl: config.OLLAMA_URL,
-            model: localModelId,
-            messages: promptWithSources,
-            end: false,
-          })
-        )
+  await checkBackends()
+  const targets = findBackendsWithModel(name)
+  if (!targets.length) {
+    respondJson(res, 404, { error: 'Model not found.' })
+    return
+  }
+  const result = await runOnBackends(targets, (backend) =>
+    deleteOllamaModel({ baseUrl: backend.url, model: name })
+  )
+  await finishModelChange('deleted', name, result)
+  respondModelChange(res, name, result)
+}
 
-        if (!completed || !answer) {
-          return
-        }
+async function handleModelCopy(req, res) {
+  const payload = await readModelPayload(req, res)
+  if (!payload) return
+  const source = isNonEmptyString(payload.source) ? payload.source.trim() : ''
+  const destination = isNonEmptyString(payload.destination) ? payload.destination.trim() : ''
+  if (!source || !destination) {
+    respondJson(res, 400, { error: 'Missing source or destination.' })
+    return
+  }
 
-        const answerTs = Date.now()
-        await finalizeChatTurn({
-          record,
-          prompt,
-          messageId,
-          messageTs,
-          answer,
-          answerTs,
-          modelId: localModelId,
-          sources,
-          deferHeavy: true,
-        })
+  await checkBackends()
+  const targets = findBackendsWithModel(source)
+  if (!targets.length) {
+    respondJson(res, 404, { error: 'Model not found.' })
+    return
+  }
+  const result = await runOnBackends(targets, (backend) =>
+    copyOllamaModel({ baseUrl: backend.url, source, destination })
+  )
+  await finishModelChange('copied', destination, result, { source })
+  respondModelChange(res, destination, result)
+}
 
-        if (!res.writableEnded) {
-          res.end()
-        }
-      void runPostAnswerUpdates({
-        record,
-        answer,
-        answerTs,
-        messageTs,
-        prompt,
-        modelId: localModelId,
-        infoSeeking,
-        routeConfidence: route.confidence,
-        sources,
-        messageId,
-      })
+// Pulls onto one backend (`backend`) or every healthy one at once. Progress goes
+// to the requester as NDJSON and, throttled, to /api/stream as `modelpull`. The
+// pull keeps going if the requester disconnects.
+async function handleModelPull(req, res) {
+  const payload = await readModelPayload(req, res)
+  if (!payload) return
+  const model = isNonEmptyString(payload.model) ? payload.model.trim() : ''
+  if (!model) {
+    respondJson(res, 400, { error: 'Missing model.' })
+    return
+  }
+  let targets = listBackends().filter((backend) => backend.healthy)
+  if (isNonEmptyString(payload.backend)) {
+    const wanted = payload.backend.trim().replace(/\/+$/, '')
+    targets = listBackends().filter((backend) => backend.url === wanted)
+    if (!targets.length) {
+      respondJson(res, 400, { error: 'Unknown backend.' })
       return
     }
+  }
+  if (!targets.length) targets = listBackends()
+  if (activePulls.has(model)) {
+    respondJson(res, 409, { error: 'Model is already being pulled.' })
+    return
+  }
 
-      const answer = await runHighLlm(() =>
-        callOllamaChat({
-          baseUrl: config.OLLAMA_URL,
-          model: localModelId,
-          messages: promptWithSources,
-          stream: false,
-        })
-      )
-      const answerTs = Date.now()
+  const useStream = payload.stream === undefined ? true : isStreamRequested(payload.stream)
+  const output = createNdjsonOutput(res)
+  const announce = createPullAnnouncer()
+  const emit = (event) => {
+    if (useStream) output.write(event)
+    announce(event)
+  }
+  if (useStream) output.start()
+  activePulls.add(model)
+  emit({ model, status: 'started', backends: targets.map((backend) => backend.url), done: false })
 
-      await finalizeChatTurn({
-        record,
-        prompt,
-        messageId,
-        messageTs,
-        answer,
-        answerTs,
-        modelId: localModelId,
-        sources,
-        deferHeavy: true,
+  let result
+  try {
+    result = await runOnBackends(targets, (backend) =>
+      pullOllamaModel({
+        baseUrl: backend.url,
+        model,
+        onProgress: (progress) =>
+          emit({
+            model,
+            backend: backend.url,
+            status: progress.status || '',
+            ...(progress.digest ? { digest: progress.digest } : {}),
+            ...(Number.isFinite(progress.total) ? { total: progress.total } : {}),
+            ...(Number.isFinite(progress.completed) ? { completed: progress.completed } : {}),
+            done: false,
+          }),
       })
+    )
+  } finally {
+    activePulls.delete(model)
+  }
+  await finishModelChange('pulled', model, result)
+
+  const final = result.backends.length
+    ? { model, status: 'success', backends: result.backends }
+    : { model, error: result.errors[0].error }
+  if (result.errors.length) final.errors = result.errors
+  announce({ ...final, done: true })
+  if (useStream) {
+    output.write({ ...final, done: true })
+    output.end()
+    return
+  }
+  output.json(result.backends.length ? 200 : 502, { ok: result.backends.length > 0, ...final })
+}
 
-      respondJson(res, 200, {
-        chat_id: chatId,
-        answer,
-        sources,
-        topic: record.topic || '',
-      })
-      await runPostAnswerUpdates({
-        record,
-        answer,
-        answerTs,
-        messageTs,
-        prompt,
-        modelId: localModelId,
-        infoSeeking,
-        routeConfidence: route.confidence,
-        sources,
-        messageId,
-      })
-      return
+async function readModelPayload(req, res) {
+  let payload
+  try {
+    payload = await readJsonBody(req, config.MAX_BODY_BYTES)
+  } catch (error) {
+    respondJson(res, 400, { error: 'Invalid JSON body.' })
+    return null
+  }
+  if (!payload || typeof payload !== 'object') {
+    respondJson(res, 400, { error: 'Missing request body.' })
+    return null
+  }
+  return payload
+}
+
+// Runs `run(backend)` on every target at once; one backend failing does not stop the others.
+async function runOnBackends(targets, run) {
+  const results = await Promise.allSettled(targets.map((backend) => run(backend)))
+  const backends = []
+  const errors = []
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      backends.push(targets[index].url)
+    } else {
+      const message = result.reason instanceof Error ? result.reason.message : String(result.reason)
+      errors.push({ backend: targets[index].url, error: message })
     }
+  })
+  return { backends, errors }
+}
 
-    const promptMessages = localPromptMessages
+async function finishModelChange(action, model, result, extra = {}) {
+  forgetModelCapabilities(model)
+  await checkBackends()
+  if (!result.backends.length) return
+  broadcastGlobal('modelsupdate', { action, model, ...extra, backends: result.backends })
+}
 
-    if (!useStream) {
-      const answer = await runHighLlm(() =>
-        callOllamaChat({
-          baseUrl: config.OLLAMA_URL,
-          model: modelId || config.DEFAULT_MODEL_ID,
-          messages: promptMessages,
-          stream: false,
-        })
-      )
-      const answerTs = Date.now()
+function respondModelChange(res, model, result) {
+  if (!result.backends.length) {
+    respondJson(res, upstreamErrorStatus(result.errors[0].error), {
+      error: result.errors[0].error,
+      errors: result.errors,
+    })
+    return
+  }
+  respondJson(res, 200, {
+    ok: true,
+    model,
+    backends: result.backends,
+    ...(result.errors.length ? { errors: result.errors } : {}),
+  })
+}
 
-      await finalizeChatTurn({
-        record,
-        prompt,
-        messageId,
-        messageTs,
-        answer,
-        answerTs,
-        modelId: localModelId,
-        sources: [],
-        deferHeavy: true,
-      })
+// Passes Ollama's 404 through; every other upstream failure is a 502.
+function upstreamErrorStatus(error) {
+  const message = error instanceof Error ? error.message : String(error)
+  return /^Ollama error 404\b/.test(message) ? 404 : 502
+}
 
-      respondJson(res, 200, { chat_id: chatId, answer, topic: record.topic || '' })
-      await runPostAnswerUpdates({
-        record,
-        answer,
-        answerTs,
-        messageTs,
-        prompt,
-        modelId: localModelId,
-        infoSeeking,
-        routeConfidence: route.confidence,
-        sources: [],
-        messageId,
-      })
+// Forwards the final event and each backend's status changes right away, other
+// progress at most every MODEL_PULL_BROADCAST_MS per backend.
+function createPullAnnouncer() {
+  const last = new Map()
+  return (event) => {
+    const backend = event.backend || ''
+    const previous = last.get(backend)
+    const now = Date.now()
+    if (
+      !event.done &&
+      previous &&
+      previous.status === event.status &&
+      now - previous.ts < MODEL_PULL_BROADCAST_MS
+    ) {
       return
     }
+    last.set(backend, { status: event.status, ts: now })
+    broadcastGlobal('modelpull', event)
+  }
+}
 
-    try {
-      startStreamResponse(res)
-      const digest = trimToCharBudget(
-        String(prompt || '').replace(/\s+/g, ' ').trim(),
-        180
-      )
-      if (digest) {
-        writeNdjson(res, { stage: 'digest_prompt', content: digest, done: false })
-      }
-      writeNdjson(res, {
-        stage: 'analysis',
-        content: 'Using local model.',
-        done: false,
-      })
+// Routes proxied requests by the model they name, when the body is JSON and names one.
+function readProxyModel(body) {
+  if (!body.length) return ''
+  try {
+    const payload = JSON.parse(body.toString('utf-8'))
+    const model = payload && (payload.model || payload.name)
+    return typeof model === 'string' ? model : ''
+  } catch {
+    return ''
+  }
+}
 
-      const { answer, completed } = await runHighLlm(() =>
-        streamOllamaChat({
-          res,
-          baseUrl: config.OLLAMA_URL,
-          model: modelId || config.DEFAULT_MODEL_ID,
-          messages: promptMessages,
-          end: false,
-        })
-      )
+function attachChatMemory(payload, path, record) {
+  const memoryBlock = buildMemoryBlock(record.summary, record.facts, {
+    summary: config.SUMMARY_TOKEN_BUDGET,
+    facts: config.FACTS_TOKEN_BUDGET,
+  })
+  if (!memoryBlock || !payload || typeof payload !== 'object') return payload
 
-      if (!completed || !answer) {
-        return
-      }
+  if (path === '/api/generate') {
+    if (payload.raw) return payload
+    const system = isNonEmptyString(payload.system) ? `${payload.system}\n\n` : ''
+    return { ...payload, system: `${system}${memoryBlock}` }
+  }
 
-      const answerTs = Date.now()
-      await finalizeChatTurn({
-        record,
-        prompt,
-        messageId,
-        messageTs,
-        answer,
-        answerTs,
-        modelId: localModelId,
-        sources: [],
-        deferHeavy: true,
-      })
-      if (!res.writableEnded) {
-        res.end()
-      }
-      void runPostAnswerUpdates({
-        record,
-        answer,
-        answerTs,
-        messageTs,
-        prompt,
-        modelId: localModelId,
-        infoSeeking,
-        routeConfidence: route.confidence,
-        sources: [],
-        messageId,
-      })
-    } catch (error) {
-      if (!res.headersSent) {
-        respondJson(res, 502, { error: error.message })
-      } else if (!res.writableEnded) {
-        writeNdjson(res, { error: error.message || 'Stream failed', done: true })
-        res.end()
-      }
-    }
-      } finally {
-        if (busySet) {
-          updateChatUiState(chatId, { busy: false }, { message_id: messageId })
-        }
-      }
-    })
-  } finally {
-    // no-op
+  if (!Array.isArray(payload.messages)) return payload
+  // Keep the client's own system messages first, then the memory block.
+  const messages = payload.messages.slice()
+  let index = 0
+  while (index < messages.length && messages[index] && messages[index].role === 'system') {
+    index += 1
   }
+  messages.splice(index, 0, { role: 'system', content: memoryBlock })
+  return { ...payload, messages }
 }
 
-function isNonEmptyString(value) {
-  return typeof value === 'string' && value.trim().length > 0
+function readHeader(req, name) {
+  const value = req.headers[name]
+  if (Array.isArray(value)) return value[0] || ''
+  return typeof value === 'string' ? value.trim() : ''
 }
 
-function isStreamRequested(value) {
-  return value === true || value === 'true' || value === 1 || value === '1'
+function respondMissingUseWeb(res, useStream) {
+  respondChatError(
+    res,
+    useStream,
+    400,
+    'Missing use_web. Client must choose local vs web agent.'
+  )
 }
 
-function parseBooleanOverride(value) {
-  if (value === undefined || value === null) return null
-  if (value === true || value === false) return value
-  if (value === 1 || value === '1') return true
-  if (value === 0 || value === '0') return false
-  if (typeof value === 'string') {
-    const lowered = value.trim().toLowerCase()
-    if (['true', 'yes', 'on'].includes(lowered)) return true
-    if (['false', 'no', 'off'].includes(lowered)) return false
+function respondChatError(res, useStream, status, message) {
+  if (useStream) {
+    startStreamResponse(res)
+    writeNdjson(res, { stage: 'error', error: message, done: true })
+    res.end()
+    return
   }
-  return null
-}
-
-function saveChatRecord(record) {
-  if (!record) return
-  store.saveChat(record)
+  respondJson(res, status, { error: message })
 }
 
-async function updateTopicAfterAnswer({ record, prompt, messageTs, modelId }) {
-  if (!record) return ''
-  const currentTopic = typeof record.topic === 'string' ? record.topic : ''
-  const recentMessages = collectRecentTopicMessages(record, prompt, 4)
-
-  let nextTopic = currentTopic
-  let timedOut = false
+async function ensureVisionModel(res, useStream, modelId) {
+  let supported
   try {
-    console.log('[topic] request', {
-      modelId,
-      timeoutMs: TOPIC_TIMEOUT_MS,
-      maxWords: config.TOPIC_MAX_WORDS,
-      currentTopic,
-      promptPreview: summarizePrompt(prompt, 120),
-    })
-    const topicResult = await runHighLlm(() =>
-      generateTopic({
-        baseUrl: config.OLLAMA_URL,
-        modelId,
-        currentTopic,
-        recentPrompts: recentMessages,
-        maxWords: config.TOPIC_MAX_WORDS,
-        timeoutMs: TOPIC_TIMEOUT_MS,
-      })
+    supported = await withBackend(modelId, (baseUrl) =>
+      modelSupportsVision({ baseUrl, model: modelId })
     )
-    const candidate =
-      topicResult && typeof topicResult.topic === 'string' ? topicResult.topic : ''
-    if (candidate) {
-      const same =
-        currentTopic &&
-        candidate.trim().toLowerCase() === currentTopic.trim().toLowerCase()
-      if (!same) {
-        nextTopic = candidate
-      }
-    }
   } catch (error) {
-    timedOut =
-      error instanceof Error && typeof error.message === 'string'
-        ? error.message.includes('timed out')
-        : false
-    if (!timedOut) {
-      console.error('Topic generation failed:', error)
-    }
-  }
-
-  if (!nextTopic) {
-    nextTopic = fallbackTopicFromPrompt(prompt, currentTopic, config.TOPIC_MAX_WORDS)
-  }
-
-  record.topic = nextTopic || currentTopic || ''
-  record.last_topic_ts = messageTs
-
-  if (timedOut) {
-    console.warn('[topic] generation timed out; fallback used')
-  }
-
-  return record.topic
-}
-
-function collectRecentTopicMessages(record, fallbackPrompt, limit) {
-  const maxItems = Number.isFinite(limit) ? Math.max(1, limit) : 4
-  const raw = Array.isArray(record?.raw_messages) ? record.raw_messages : []
-  const recent = raw
-    .filter((message) => message && typeof message.content === 'string')
-    .slice(-maxItems)
-    .map((message) => {
-      const role = message.role === 'assistant' ? 'assistant' : 'user'
-      const content = trimWords(
-        String(message.content || '').replace(/\s+/g, ' ').trim(),
-        20
-      )
-      return content ? `${role}: ${content}` : ''
-    })
-    .filter(Boolean)
-  if (recent.length) return recent
-  const fallback = String(fallbackPrompt || '').replace(/\s+/g, ' ').trim()
-  return fallback ? [fallback] : []
-}
-
-function trimWords(value, maxWords) {
-  const text = String(value || '').replace(/\s+/g, ' ').trim()
-  if (!text) return ''
-  const words = text.split(' ').filter(Boolean)
-  if (!Number.isFinite(maxWords) || maxWords <= 0) return text
-  return words.slice(0, maxWords).join(' ')
-}
-
-function fallbackTopicFromPrompt(prompt, currentTopic, maxWords) {
-  const cleaned = normalizePromptSeed(prompt)
-  if (!cleaned) return currentTopic || ''
-  if (isConversationalPrompt(cleaned)) {
-    return currentTopic || ''
+    respondChatError(
+      res,
+      useStream,
+      502,
+      `Could not check whether model "${modelId}" accepts images: ${error.message}`
+    )
+    return false
   }
-  const words = cleaned.split(' ').filter(Boolean)
-  if (words.length <= 2 && currentTopic) {
-    return currentTopic
+  if (!supported) {
+    respondChatError(
+      res,
+      useStream,
+      400,
+      `Model "${modelId}" does not support image input. Choose a vision model.`
+    )
+    return false
   }
-  const limited = words.slice(0, Math.max(1, maxWords || 6)).join(' ')
-  return limited
-}
-
-function fallbackTitleFromPrompt(prompt) {
-  const cleaned = normalizeTitleSeed(prompt)
-  if (!cleaned) return ''
-  const words = cleaned.split(' ').filter(Boolean)
-  const limited = words.slice(0, 8).join(' ')
-  return trimToCharBudget(limited, config.TITLE_MAX_CHARS)
+  return true
 }
 
-function normalizeTitleSeed(prompt) {
-  const cleaned = String(prompt || '')
-    .replace(/[^\w\s'-]/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim()
-  if (!cleaned) return ''
-  const stripped = stripPromptLeadCase(cleaned)
-  return stripped || cleaned
+function saveChatImages(chatId, messageId, images) {
+  if (!images.length) return []
+  // A retried message_id is answered from the idempotency cache; don't store its images twice.
+  const record = loadChatRecord(SHARED_USER_ID, chatId)
+  if (record && record.idempotency && record.idempotency[messageId]) return []
+  return images.map((image) => {
+    const id = randomUUID()
+    const file = `${id}.${image.ext}`
+    store.saveChatFile(SHARED_USER_ID, chatId, file, image.data)
+    return { id, file, mime_type: image.mimeType, size: image.data.length }
+  })
 }
 
-function normalizePromptSeed(prompt) {
-  const cleaned = String(prompt || '')
-    .toLowerCase()
-    .replace(/[^\w\s'-]/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim()
-  if (!cleaned) return ''
-  const stripped = stripPromptLead(cleaned)
-  return stripped || cleaned
+function attachPromptImages(messages, chatId, images) {
+  if (!Array.isArray(images) || !images.length) return messages
+  const encoded = images
+    .map((image) => store.readChatFile(SHARED_USER_ID, chatId, image.file))
+    .filter(Boolean)
+    .map((data) => data.toString('base64'))
+  if (!encoded.length) return messages
+  let index = messages.length - 1
+  while (index >= 0 && messages[index].role !== 'user') index -= 1
+  if (index === -1) return messages
+  return messages.map((message, i) =>
+    i === index ? { ...message, images: encoded } : message
+  )
 }
 
-function stripPromptLead(text) {
-  let cleaned = String(text || '').trim()
-  const patterns = [
-    /^please\s+/,
-    /^(do you know( about)?|do you remember|do you have info on)\s+/,
-    /^(tell me about|tell me|explain)\s+/,
-    /^(what is|who is|where is|when is|why is|how is|how to|how do i|how do you)\s+/,
-    /^(can you|could you|would you|will you)\s+/,
-    /^(find( me)?|search( for)?|look up)\s+/,
-    /^(give me|list|show me)\s+/,
-  ]
-  for (const pattern of patterns) {
-    if (pattern.test(cleaned)) {
-      cleaned = cleaned.replace(pattern, '').trim()
-    }
-  }
-  return cleaned
+function toPublicImages(chatId, messageId, images) {
+  if (!Array.isArray(images)) return []
+  return images.map((image) => ({
+    id: image.id,
+    mime_type: image.mime_type,
+    size: image.size,
+    url: `/api/chats/${encodeURIComponent(chatId)}/messages/${encodeURIComponent(
+      messageId
+    )}/images/${encodeURIComponent(image.id)}`,
+  }))
 }
 
-function stripPromptLeadCase(text) {
-  let cleaned = String(text || '').trim()
-  const patterns = [
-    /^please\s+/i,
-    /^(do you know( about)?|do you remember|do you have info on)\s+/i,
-    /^(tell me about|tell me|explain)\s+/i,
-    /^(what is|who is|where is|when is|why is|how is|how to|how do i|how do you)\s+/i,
-    /^(can you|could you|would you|will you)\s+/i,
-    /^(find( me)?|search( for)?|look up)\s+/i,
-    /^(give me|list|show me)\s+/i,
-  ]
-  for (const pattern of patterns) {
-    if (pattern.test(cleaned)) {
-      cleaned = cleaned.replace(pattern, '').trim()
-    }
-  }
-  return cleaned
+function toPublicMessage(chatId, message) {
+  if (!message || !Array.isArray(message.images)) return message
+  return { ...message, images: toPublicImages(chatId, message.message_id, message.images) }
 }
 
-async function generateSearchQuery({
-  baseUrl,
-  modelId,
-  rawMessages,
+async function runChatTurn({
+  res,
+  chatId,
   prompt,
+  messageId,
+  clientTs,
+  modelId,
+  useStream,
+  useWeb,
+  options = null,
+  presetOptions = null,
+  format = null,
+  compareModelIds = [],
+  images = [],
+  regenerate = false,
+  edit = false,
+  output = createNdjsonOutput(res),
 }) {
-  const recentPrompts = collectQueryPrompts(rawMessages, prompt, QUERY_CONTEXT_TURNS)
-  const latestPrompt = recentPrompts[recentPrompts.length - 1] || String(prompt || '')
-  const priorPrompts = recentPrompts.slice(0, -1)
-
-  const userPrompt = [
-    'Latest user prompt (always use):',
-    `1) ${latestPrompt || '(empty)'}`,
-    '',
-    'Previous prompts (use only if needed for context):',
-    priorPrompts.length
-      ? priorPrompts.map((text, index) => `${index + 2}) ${text}`).join('\n')
-      : '(none)',
-    '',
-    'Return only the search query.',
-  ].join('\n')
-
-  const response = await callOllamaChat({
-    baseUrl,
-    model: modelId,
-    messages: [
-      { role: 'system', content: SEARCH_QUERY_SYSTEM_PROMPT },
-      { role: 'user', content: userPrompt },
-    ],
-    stream: false,
-    timeoutMs: QUERY_TIMEOUT_MS,
-    options: SHORT_TASK_OPTIONS,
+  const turnStartTs = Date.now()
+  const effectiveUserId = SHARED_USER_ID
+  const safeUserId = SHARED_USER_ID
+  const localModelId = modelId
+  const override = useWeb
+  const explicitSearch = isExplicitSearchRequest(prompt)
+  const route = await determineInfoSeeking({
+    prompt,
+    modelId: localModelId,
   })
+  const infoSeeking = route.infoSeeking
+  const comparing = compareModelIds.length > 1
+  // Tool calls cannot be produced under a JSON format constraint, and compared
+  // models must all see the same prompt.
+  const turnTools =
+    format || comparing
+      ? []
+      : await selectTurnTools({
+          modelId: localModelId,
+          useWeb: Boolean(override),
+        })
+  // When the model can call web_search itself, it decides whether to search.
+  const webByTool = turnTools.some((tool) => tool.name === WEB_SEARCH_TOOL)
+  const shouldUseWeb = Boolean(
+    !webByTool && override && (explicitSearch || route.needsWeb || infoSeeking)
+  )
+  const webReason = override
+    ? webByTool
+      ? 'model_tool_choice'
+      : shouldUseWeb
+        ? explicitSearch
+          ? 'explicit_search'
+          : route.reason || 'classifier'
+        : 'non_info_prompt'
+    : 'client_override_off'
+  const webDecision = { use: shouldUseWeb, reasons: [webReason] }
+  const chatKey = `${effectiveUserId}:${chatId}`
+  await withChatLock(chatKey, async () => {
+    const { record, created } = getOrCreateChatRecord(effectiveUserId, chatId)
+    if (created) {
+      broadcastChatListUpdate('added', record)
+    }
+    // Retrying the message_id of a failed answer answers that turn again.
+    if (!regenerate && !edit) {
+      const stored = findAssistantMessage(record, messageId)
+      if (stored && stored.error) regenerate = true
+    }
+    // A preset gives defaults; the chat's saved options and then the request's own win over it.
+    const answerOptions = buildTurnOptions(presetOptions, record.options, options)
+    const think = await resolveTurnThinking({ modelId: localModelId, record })
+    const turn = regenerate || edit ? findChatTurn(record, messageId) : null
+    if ((regenerate || edit) && !turn) {
+      output.json(404, { error: 'Message not found.' })
+      return
+    }
+    if (regenerate && turn.assistantIndex === -1) {
+      output.json(404, { error: 'Message not found.' })
+      return
+    }
+    updateChatUiState(
+      chatId,
+      { active: true, use_web: Boolean(override), model_id: localModelId },
+      { message_id: messageId }
+    )
+    let busySet = false
+    let generation = null
+    try {
+      if (
+        !regenerate &&
+        !edit &&
+        record.idempotency &&
+        record.idempotency[messageId]
+      ) {
+        const cached = record.idempotency[messageId]
+        const cachedAnswer = cached.answer
+        const cachedSources = Array.isArray(cached.sources) ? cached.sources : []
+        if (useStream) {
+          output.start()
+          if (cachedSources.length) {
+            output.write({ stage: 'sources', sources: cachedSources, done: false })
+          }
+          output.write({
+            message: { role: 'assistant', content: cachedAnswer },
+            ...('data' in cached ? { data: cached.data } : {}),
+            ...(cached.cancelled ? { cancelled: true } : {}),
+            done: true,
+          })
+          output.end()
+          return
+        }
 
-  return normalizeSearchQuery(response)
-}
-
-function normalizeSearchQuery(value) {
-  const text = String(value || '').trim()
-  if (!text) return ''
-  const firstLine = text.split('\n')[0].trim()
-  const cleaned = firstLine
-    .replace(/^["'“”]+|["'“”]+$/g, '')
-    .replace(/[.?!]+$/, '')
-    .trim()
-  return trimQueryWords(cleaned, QUERY_MAX_WORDS)
-}
-
-function collectQueryPrompts(rawMessages, latestPrompt, maxPrompts) {
-  const desired = Math.max(1, maxPrompts || 1)
-  const previousCount = Math.max(0, desired - 1)
-  const previous = selectRecentUserMessages(
-    rawMessages,
-    previousCount,
-    config.RECENT_TOKEN_BUDGET
-  ).map((message) => String(message.content))
-  const combined = [...previous, String(latestPrompt || '')].filter(Boolean)
-  return combined.slice(-desired)
-}
+        output.json(200, {
+          chat_id: chatId,
+          answer: cachedAnswer,
+          ...('data' in cached ? { data: cached.data } : {}),
+          sources: cachedSources,
+          topic: record.topic || '',
+          ...(cached.cancelled ? { cancelled: true } : {}),
+        })
+        return
+      }
 
-function trimQueryWords(value, maxWords) {
-  const text = String(value || '').replace(/\s+/g, ' ').trim()
-  if (!text) return ''
-  const words = text.split(' ').filter(Boolean)
-  if (words.length <= maxWords) return text
-  return words.slice(0, Math.max(1, maxWords)).join(' ')
-}
+      const rebuildMemory = edit ? rewindChatToTurn(record, turn) : false
 
-function limitWords(value, maxWords) {
-  const text = String(value || '').replace(/\s+/g, ' ').trim()
-  if (!text) return ''
-  const words = text.split(' ').filter(Boolean)
-  if (!Number.isFinite(maxWords) || maxWords <= 0) return text
-  return words.slice(0, maxWords).join(' ')
-}
+      updateChatUiState(chatId, { busy: true }, { message_id: messageId })
+      busySet = true
+      generation = beginGeneration(chatKey, {
+        chatId,
+        messageId,
+        prompt,
+        modelId: localModelId,
+        record,
+      })
+      const signal = generation.controller.signal
+      const activeGeneration = generation
+      res.on('close', () => {
+        if (res.writableFinished || signal.aborted) return
+        activeGeneration.detached = true
+        console.log('[chat] client disconnected; generation continues', {
+          chatId,
+          messageId,
+        })
+      })
 
-function stripTrailingThink(value, seed) {
-  const text = String(value || '').trim()
-  if (!text) return ''
-  const words = text.split(/\s+/).filter(Boolean)
+      const requestTs = Date.now()
+      const messageTs = regenerate
+        ? record.raw_messages[turn.userIndex].ts
+        : Number.isFinite(clientTs)
+          ? clientTs
+          : requestTs
+      const history = regenerate
+        ? record.raw_messages.slice(0, turn.userIndex)
+        : record.raw_messages
+      const commitAnswer = ({
+        answer,
+        answerTs,
+        sources,
+        modelId: answerModelId = localModelId,
+        requestedModelId = localModelId,
+        thinking = '',
+        toolCalls = [],
+        data,
+        stats = null,
+        cancelled = false,
+        error = '',
+      }) => {
+        if (deletedRecords.has(record)) return null
+        const args = {
+          record,
+          prompt,
+          messageId,
+          messageTs,
+          answer,
+          answerTs,
+          modelId: answerModelId,
+          requestedModelId,
+          sources,
+          deferHeavy: true,
+          cancelled,
+          edited: edit,
+          images,
+          format,
+          thinking,
+          toolCalls,
+          data,
+          stats,
+          error,
+        }
+        return regenerate ? finalizeAnswerVersion(args) : finalizeChatTurn(args)
+      }
+      const finishCancelled = async ({ answer = '', sources = [], thinking = '' } = {}) => {
+        const version = await commitAnswer({
+          answer,
+          answerTs: Date.now(),
+          sources,
+          thinking,
+          cancelled: true,
+        })
+        if (useStream) {
+          output.start()
+          output.write({
+            stage: 'cancelled',
+            message_id: messageId,
+            content: answer,
+            done: true,
+          })
+          output.end()
+          return
+        }
+        output.json(200, {
+          chat_id: chatId,
+          ...(regenerate ? { message_id: messageId, ...version } : {}),
+          answer,
+          sources,
+          topic: record.topic || '',
+          cancelled: true,
+        })
+      }
+      // Failures after the stream started end it with an error line rather than
+      // a truncated body.
+      const reportError = (error) => {
+        const message = error.message || 'Stream failed'
+        if (!res.headersSent) {
+          output.json(502, { error: message })
+        } else if (!res.writableEnded) {
+          output.write({ error: message, done: true })
+          output.end()
+        }
+        publishGenerationEvent(chatKey, activeGeneration, {
+          stage: 'error',
+          error: message,
+          done: true,
+        })
+      }
+      let firstTokenTs = 0
+      let webSearchMs = null
+      const emit = (event) => {
+        if (
+          !firstTokenTs &&
+          event &&
+          event.message &&
+          event.message.content &&
+          !Number.isInteger(event.candidate)
+        ) {
+          firstTokenTs = Date.now()
+        }
+        if (useStream) {
+          output.write(event)
+        }
+        publishGenerationEvent(chatKey, activeGeneration, event)
+      }
+      // Ollama's final `done` line is held back and sent once the answer is
+      // stored, with the turn's stats attached.
+      let heldDone = null
+      const emitAnswer = (event) => {
+        if (event && event.done === true && !event.stage && !event.error) {
+          heldDone = event
+          return
+        }
+        emit(event)
+      }
+      // Web search time covers the gateway's search step and any web_search tool calls.
+      const turnStats = (usage, { toolCalls = [], ttftMs } = {}) => {
+        const toolSearchMs = toolCalls
+          .filter((entry) => entry.name === WEB_SEARCH_TOOL)
+          .reduce((sum, entry) => sum + (entry.duration_ms || 0), 0)
+        const searched = webSearchMs !== null || toolSearchMs > 0
+        return buildMessageStats(usage, {
+          ttftMs: ttftMs !== undefined ? ttftMs : firstTokenTs ? firstTokenTs - turnStartTs : null,
+          webSearchMs: searched ? (webSearchMs || 0) + toolSearchMs : null,
+          totalMs: Date.now() - turnStartTs,
+        })
+      }
+      const onFallback = ({ model, next, error, attempt }) =>
+        emit({
+          stage: 'model_fallback',
+          model_id: model,
+          next_model_id: next,
+          error,
+          attempt,
+          done: false,
+        })
+      if (!regenerate) {
+        broadcastChatUpdate(chatKey, {
+          type: 'message',
+          chat_id: chatId,
+          content: {
+            role: 'user',
+            content: prompt,
+            ts: messageTs,
+            message_id: messageId,
+            ...(images.length
+              ? { images: toPublicImages(chatId, messageId, images) }
+              : {}),
+          },
+        })
+      }
+      if (useStream) {
+        output.start()
+      }
+      emit({
+        stage: 'routing',
+        content: 'Selecting information acquisition strategy.',
+        done: false,
+      })
+      emit({
+        stage: 'routing_decision',
+        use_web: Boolean(webDecision && webDecision.use),
+        source: 'client',
+        reason: webReason,
+        confidence: route.confidence,
+        tools: turnTools.map((tool) => tool.name),
+        done: false,
+      })
+      if (override && !infoSeeking && !webByTool) {
+        emit({
+          stage: 'analysis',
+          content: 'Web search skipped for non-information prompt.',
+          done: false,
+        })
+      }
+
+      const hasDocuments = Array.isArray(record.documents) && record.documents.length > 0
+      const budgets = await planPromptBudgets({
+        model: localModelId,
+        options: answerOptions,
+        fixedText: `${getChatSystemPrompt(record)}\n${record.topic || ''}\n${prompt}`,
+        useSources: webDecision.use,
+        useDocuments: hasDocuments,
+      })
+      if (signal.aborted) {
+        await finishCancelled()
+        return
+      }
+
+      let documentChunks = []
+      if (hasDocuments) {
+        try {
+          documentChunks = await retrieveDocumentChunks(record, prompt, signal, budgets.documents)
+        } catch (error) {
+          if (!isCancelledError(error)) {
+            emit({
+              stage: 'analysis',
+              content: 'Document search failed; answering without attachments.',
+              done: false,
+            })
+          }
+        }
+        if (signal.aborted) {
+          await finishCancelled()
+          return
+        }
+      }
+      const documentSources = toDocumentSources(documentChunks, chatId)
+      if (documentSources.length) {
+        emit({ stage: 'document_sources', sources: documentSources, done: false })
+      }
+
+      const basePromptMessages = injectDocumentsIntoMessages(
+        buildPromptMessages({
+          systemPrompt: getChatSystemPrompt(record),
+          summary: record.summary,
+          facts: record.facts,
+          rawMessages: history,
+          newPrompt: prompt,
+          budgets,
+          recentTurns: config.RECENT_TURNS,
+          contextMode: record.context_mode || config.CONTEXT_MODE,
+        }),
+        documentChunks
+      )
+      const topic = typeof record.topic === 'string' ? record.topic : ''
+      const localPromptMessages = injectFormatIntoMessages(
+        injectNonInfoHint(injectTopicIntoMessages(basePromptMessages, topic), infoSeeking),
+        format
+      )
+
+      let sources = []
+      let promptMessages = localPromptMessages
+      if (webDecision.use) {
+        const webStartTs = Date.now()
+        emit({
+          stage: 'analysis',
+          content: 'Generating search query.',
+          done: false,
+        })
+
+        let query = ''
+        let queryTimedOut = false
+        try {
+          query = await runHighLlm(
+            ({ baseUrl }) =>
+              generateSearchQuery({
+                baseUrl,
+                modelId: localModelId,
+                rawMessages: history,
+                prompt,
+                signal,
+              }),
+            { signal, model: localModelId }
+          )
+        } catch (error) {
+          queryTimedOut = error instanceof Error && error.message.includes('timed out')
+          query = ''
+        }
+
+        if (signal.aborted) {
+          await finishCancelled()
+          return
+        }
+
+        if (!query) {
+          query = fallbackSearchQuery(prompt)
+          if (queryTimedOut) {
+            emit({
+              stage: 'analysis',
+              content: 'Query generation timed out; using prompt as search query.',
+              done: false,
+            })
+          }
+        }
+
+        let sourcesSent = false
+        if (!config.WEB_AGENT_URL) {
+          emit({
+            stage: 'web_agent_unavailable',
+            reason: 'WEB_AGENT_URL not configured',
+            done: false,
+          })
+        } else if (useStream) {
+          try {
+            const result = await streamWebAgent({
+              query,
+              userId: safeUserId,
+              chatId,
+              messageId,
+              clientTs: messageTs,
+              modelId: localModelId,
+              signal,
+              onEvent: (event) => {
+                if (event && typeof event === 'object') {
+                  const output = { ...event }
+                  if (output.done === true) {
+                    output.done = false
+                  }
+                  emit(output)
+                }
+              },
+            })
+            sources = Array.isArray(result.sources) ? result.sources : []
+            const sawSources = Boolean(result.sawSources)
+            if (!result.completed) {
+              emit({
+                stage: 'web_agent_failed',
+                reason: 'web agent did not complete',
+                done: false,
+              })
+            }
+            if (!sawSources && sources.length) {
+              emit({ stage: 'sources', sources, done: false })
+              sourcesSent = true
+            }
+          } catch (error) {
+            if (!isCancelledError(error)) {
+              emit({
+                stage: 'web_agent_failed',
+                reason: error instanceof Error ? error.message : 'web agent error',
+                done: false,
+              })
+            }
+          }
+        } else {
+          try {
+            const result = await callWebAgent({
+              query,
+              userId: safeUserId,
+              chatId,
+              messageId,
+              clientTs: messageTs,
+              modelId: localModelId,
+              signal,
+            })
+            sources = Array.isArray(result.sources) ? result.sources : []
+          } catch {
+            sources = []
+          }
+        }
+
+        webSearchMs = Date.now() - webStartTs
+        if (signal.aborted) {
+          await finishCancelled({ sources })
+          return
+        }
+
+        promptMessages = injectSourcesIntoMessages(
+          localPromptMessages,
+          sources,
+          prompt,
+          infoSeeking,
+          budgets.sources
+        )
+
+        if (Array.isArray(sources) && sources.length && !sourcesSent) {
+          emit({ stage: 'sources', sources, done: false })
+          sourcesSent = true
+        }
+        emit({
+          stage: 'analysis',
+          content: sources.length
+            ? `Using ${sources.length} web sources.`
+            : 'No web sources available; answering locally.',
+          done: false,
+        })
+      } else {
+        const digest = trimToCharBudget(
+          String(prompt || '').replace(/\s+/g, ' ').trim(),
+          180
+        )
+        if (digest) {
+          emit({ stage: 'digest_prompt', content: digest, done: false })
+        }
+        emit({
+          stage: 'analysis',
+          content: turnTools.length ? 'Using local model with tools.' : 'Using local model.',
+          done: false,
+        })
+      }
+
+      promptMessages = attachPromptImages(promptMessages, chatId, images)
+      sources = documentSources.concat(sources)
+
+      const toolContext = {
+        chatId,
+        messageId,
+        messageTs,
+        modelId: localModelId,
+        prompt,
+        useWeb: Boolean(override),
+      }
+
+      const postAnswer = {
+        record,
+        messageTs,
+        prompt,
+        modelId: localModelId,
+        infoSeeking,
+        routeConfidence: route.confidence,
+        sources,
+        messageId,
+        skipMemory: regenerate,
+        rebuildMemory,
+        signal,
+      }
+
+      if (comparing) {
+        let candidates
+        try {
+          candidates = await runComparison({
+            models: compareModelIds,
+            messages: promptMessages,
+            options: answerOptions,
+            record,
+            useStream,
+            signal,
+            emit,
+            startTs: turnStartTs,
+          })
+        } catch (error) {
+          if (isCancelledError(error)) {
+            await finishCancelled({ sources })
+          } else {
+            reportError(error)
+          }
+          return
+        }
+        for (const candidate of candidates) {
+          candidate.stats = turnStats(candidate.usage, { ttftMs: candidate.ttft_ms })
+        }
+        const answered = candidates.filter((candidate) => candidate.answer && !candidate.error)
+        if (signal.aborted) {
+          await finishCancelled({ answer: answered.length ? answered[0].answer : '', sources })
+          return
+        }
+        if (!answered.length) {
+          const message = candidates
+            .map((candidate) => `${candidate.model_id}: ${candidate.error || 'no answer'}`)
+            .join('; ')
+          if (useStream && res.headersSent) {
+            output.write({ error: message, done: true })
+            output.end()
+          } else {
+            output.json(502, { error: message })
+          }
+          return
+        }
+
+        // The first model that answered becomes the active version; the others
+        // are stored as further versions for the client to pick from.
+        const [primary, ...others] = answered
+        const answerTs = Date.now()
+        await commitAnswer({
+          answer: primary.answer,
+          answerTs,
+          sources,
+          thinking: primary.thinking,
+          modelId: primary.model_id,
+          stats: primary.stats,
+        })
+        addAnswerCandidates(record, messageId, others, { ts: answerTs, sources })
+        const summary = candidates.map((candidate) => ({
+          model_id: candidate.model_id,
+          version: answered.includes(candidate) ? answered.indexOf(candidate) : null,
+          ...(candidate.error ? { error: candidate.error } : {}),
+          ...(candidate.stats ? { stats: candidate.stats } : {}),
+        }))
+        const answer = primary.answer
+        if (useStream) {
+          emit({ stage: 'comparison', candidates: summary, active_version: 0, done: true })
+          output.end()
+          generation.phase = 'post'
+          void runPostAnswerUpdates({ ...postAnswer, answer, answerTs }).finally(() =>
+            endGeneration(chatKey, activeGeneration)
+          )
+          return
+        }
+        output.json(200, {
+          chat_id: chatId,
+          message_id: messageId,
+          answer,
+          active_version: 0,
+          candidates: candidates.map((candidate, index) => ({
+            ...summary[index],
+            answer: candidate.answer,
+            ...(candidate.thinking ? { thinking: candidate.thinking } : {}),
+          })),
+          ...(webDecision.use || sources.length ? { sources } : {}),
+          topic: record.topic || '',
+        })
+        generation.phase = 'post'
+        await runPostAnswerUpdates({ ...postAnswer, answer, answerTs }).finally(() =>
+          endGeneration(chatKey, activeGeneration)
+        )
+        return
+      }
+
+      if (format) {
+        let result
+        try {
+          result = await runStructuredAnswer({
+            model: localModelId,
+            messages: promptMessages,
+            options: answerOptions,
+            format,
+            think,
+            signal,
+            emit,
+            onFallback,
+          })
+        } catch (error) {
+          if (isCancelledError(error)) {
+            await finishCancelled({ sources })
+          } else {
+            reportError(error)
+          }
+          return
+        }
+        const { answer, thinking, data, errors, model: answerModelId } = result
+        const stats = turnStats(result.usage)
+        const answerTs = Date.now()
+        // Still invalid after the repair retries: kept as a failed answer, like an empty one.
+        if (errors.length) {
+          const message = 'Model reply did not match the requested format.'
+          await commitAnswer({
+            answer,
+            answerTs,
+            sources,
+            thinking,
+            data,
+            stats,
+            modelId: answerModelId,
+            error: message,
+          })
+          const failure = { error: message, format_errors: errors, message_id: messageId }
+          if (useStream) {
+            output.write({ ...failure, done: true })
+            output.end()
+          } else {
+            output.json(502, { ...failure, chat_id: chatId, model_id: answerModelId, answer })
+          }
+          publishGenerationEvent(chatKey, generation, { stage: 'error', error: message, done: true })
+          return
+        }
+        const version = await commitAnswer({
+          answer,
+          answerTs,
+          sources,
+          thinking,
+          data,
+          stats,
+          modelId: answerModelId,
+        })
+        if (useStream) {
+          emit({
+            model: answerModelId,
+            message: { role: 'assistant', content: answer },
+            data,
+            ...(stats ? { stats } : {}),
+            done: true,
+          })
+          output.end()
+          generation.phase = 'post'
+          void runPostAnswerUpdates({ ...postAnswer, answer, answerTs }).finally(() =>
+            endGeneration(chatKey, activeGeneration)
+          )
+          return
+        }
+        output.json(200, {
+          chat_id: chatId,
+          ...(regenerate ? { message_id: messageId, ...version } : {}),
+          model_id: answerModelId,
+          answer,
+          data,
+          ...(thinking ? { thinking } : {}),
+          ...(stats ? { stats } : {}),
+          ...(webDecision.use || sources.length ? { sources } : {}),
+          topic: record.topic || '',
+        })
+        generation.phase = 'post'
+        await runPostAnswerUpdates({ ...postAnswer, answer, answerTs }).finally(() =>
+          endGeneration(chatKey, activeGeneration)
+        )
+        return
+      }
+
+      if (!useStream) {
+        let answer = ''
+        let thinking = ''
+        let toolCalls = []
+        let answerModelId = localModelId
+        let usage = null
+        try {
+          if (turnTools.length) {
+            const result = await runAnswerWithTools({
+              model: localModelId,
+              messages: promptMessages,
+              options: answerOptions,
+              tools: turnTools,
+              think,
+              useStream: false,
+              signal,
+              emit,
+              onFallback,
+              context: toolContext,
+            })
+            answer = result.answer
+            thinking = result.thinking
+            toolCalls = result.toolCalls
+            answerModelId = result.model
+            usage = result.usage
+            sources = sources.concat(result.sources)
+          } else {
+            const payload = await requestChatWithFallback({
+              model: localModelId,
+              messages: promptMessages,
+              options: answerOptions,
+              think,
+              signal,
+              onFallback,
+            })
+            answer = typeof payload.message.content === 'string' ? payload.message.content : ''
+            thinking =
+              typeof payload.message.thinking === 'string' ? payload.message.thinking : ''
+            answerModelId = payload.model
+            usage = readUsage(payload)
+            calibrateTokens(answerModelId, promptMessages, usage)
+          }
+        } catch (error) {
+          if (isCancelledError(error)) {
+            await finishCancelled({ sources })
+          } else {
+            reportError(error)
+          }
+          return
+        }
+        const stats = turnStats(usage, { toolCalls })
+        const answerTs = Date.now()
+
+        const version = await commitAnswer({
+          answer,
+          answerTs,
+          sources,
+          thinking,
+          toolCalls,
+          stats,
+          modelId: answerModelId,
+        })
+
+        output.json(200, {
+          chat_id: chatId,
+          ...(regenerate ? { message_id: messageId, ...version } : {}),
+          model_id: answerModelId,
+          answer,
+          ...(thinking ? { thinking } : {}),
+          ...(stats ? { stats } : {}),
+          ...(webDecision.use || sources.length ? { sources } : {}),
+          topic: record.topic || '',
+        })
+        generation.phase = 'post'
+        await runPostAnswerUpdates({ ...postAnswer, answer, answerTs }).finally(() =>
+          endGeneration(chatKey, activeGeneration)
+        )
+        return
+      }
+
+      try {
+        const streamAnswer = turnTools.length
+          ? runAnswerWithTools({
+              model: localModelId,
+              messages: promptMessages,
+              options: answerOptions,
+              tools: turnTools,
+              think,
+              useStream: true,
+              signal,
+              emit: emitAnswer,
+              onFallback,
+              context: toolContext,
+            })
+          : streamChatWithFallback({
+              model: localModelId,
+              messages: promptMessages,
+              options: answerOptions,
+              think,
+              signal,
+              onFallback,
+              onEvent: emitAnswer,
+            })
+        const {
+          answer,
+          model: answerModelId = localModelId,
+          thinking = '',
+          completed,
+          cancelled,
+          toolCalls = [],
+          sources: toolSources = [],
+          usage = null,
+        } = await streamAnswer.catch((error) => {
+          if (isCancelledError(error)) return { answer: '', cancelled: true }
+          throw error
+        })
+        sources = sources.concat(toolSources)
+
+        if (cancelled) {
+          await finishCancelled({ answer, sources, thinking })
+          return
+        }
+
+        // Nothing usable came back (a thinking-only reply, or the stream ended early):
+        // keep the prompt and any partial text so the turn can be regenerated.
+        if (!completed || !answer) {
+          const message = completed
+            ? 'Model returned an empty answer.'
+            : 'Model stream ended before the answer was complete.'
+          await commitAnswer({
+            answer: answer || '',
+            answerTs: Date.now(),
+            sources,
+            thinking,
+            toolCalls,
+            stats: turnStats(usage, { toolCalls }),
+            modelId: answerModelId,
+            error: message,
+          })
+          output.write({ error: message, message_id: messageId, done: true })
+          output.end()
+          publishGenerationEvent(chatKey, generation, { stage: 'error', error: message, done: true })
+          return
+        }
+
+        if (!turnTools.length) calibrateTokens(answerModelId, promptMessages, usage)
+        const stats = turnStats(usage, { toolCalls })
+        const answerTs = Date.now()
+        await commitAnswer({
+          answer,
+          answerTs,
+          sources,
+          thinking,
+          toolCalls,
+          stats,
+          modelId: answerModelId,
+        })
+        emit({ ...(heldDone || { model: answerModelId }), ...(stats ? { stats } : {}), done: true })
+        output.end()
+        generation.phase = 'post'
+        void runPostAnswerUpdates({ ...postAnswer, answer, answerTs }).finally(() =>
+          endGeneration(chatKey, activeGeneration)
+        )
+      } catch (error) {
+        reportError(error)
+      }
+    } finally {
+      if (generation && generation.phase !== 'post') {
+        endGeneration(chatKey, generation)
+      }
+      if (busySet) {
+        updateChatUiState(chatId, { busy: false }, { message_id: messageId })
+      }
+    }
+  })
+}
+
+function createNdjsonOutput(res) {
+  return {
+    res,
+    start: () => startStreamResponse(res),
+    write: (payload) => writeNdjson(res, payload),
+    json: (status, payload) => respondJson(res, status, payload),
+    end: () => {
+      if (!res.writableEnded) {
+        res.end()
+      }
+    },
+  }
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0
+}
+
+function isStreamRequested(value) {
+  return value === true || value === 'true' || value === 1 || value === '1'
+}
+
+function parseBooleanOverride(value) {
+  if (value === undefined || value === null) return null
+  if (value === true || value === false) return value
+  if (value === 1 || value === '1') return true
+  if (value === 0 || value === '0') return false
+  if (typeof value === 'string') {
+    const lowered = value.trim().toLowerCase()
+    if (['true', 'yes', 'on'].includes(lowered)) return true
+    if (['false', 'no', 'off'].includes(lowered)) return false
+  }
+  return null
+}
+
+// A turn or post-answer task still holding a deleted chat's record must not
+// write it back.
+function saveChatRecord(record) {
+  if (!record || deletedRecords.has(record)) return
+  store.saveChat(record)
+}
+
+async function updateTopicAfterAnswer({
+  record,
+  prompt,
+  messageTs,
+  modelId,
+  signal = null,
+}) {
+  if (!record) return ''
+  const currentTopic = typeof record.topic === 'string' ? record.topic : ''
+  const recentMessages = collectRecentTopicMessages(record, prompt, 4)
+
+  let nextTopic = currentTopic
+  let timedOut = false
+  try {
+    console.log('[topic] request', {
+      modelId,
+      timeoutMs: TOPIC_TIMEOUT_MS,
+      maxWords: config.TOPIC_MAX_WORDS,
+      currentTopic,
+      promptPreview: summarizePrompt(prompt, 120),
+    })
+    const topicResult = await runHighLlm(
+      ({ baseUrl }) =>
+        generateTopic({
+          baseUrl,
+          modelId,
+          currentTopic,
+          recentPrompts: recentMessages,
+          maxWords: config.TOPIC_MAX_WORDS,
+          timeoutMs: TOPIC_TIMEOUT_MS,
+          signal,
+        }),
+      { signal, model: modelId }
+    )
+    const candidate =
+      topicResult && typeof topicResult.topic === 'string' ? topicResult.topic : ''
+    if (candidate) {
+      const same =
+        currentTopic &&
+        candidate.trim().toLowerCase() === currentTopic.trim().toLowerCase()
+      if (!same) {
+        nextTopic = candidate
+      }
+    }
+  } catch (error) {
+    timedOut =
+      error instanceof Error && typeof error.message === 'string'
+        ? error.message.includes('timed out')
+        : false
+    if (!timedOut && !isCancelledError(error)) {
+      console.error('Topic generation failed:', error)
+    }
+  }
+
+  if (!nextTopic) {
+    nextTopic = fallbackTopicFromPrompt(prompt, currentTopic, config.TOPIC_MAX_WORDS)
+  }
+
+  record.topic = nextTopic || currentTopic || ''
+  record.last_topic_ts = messageTs
+  pushHistory(record, 'topic_history', { ts: messageTs, topic: record.topic })
+
+  if (timedOut) {
+    console.warn('[topic] generation timed out; fallback used')
+  }
+
+  return record.topic
+}
+
+function collectRecentTopicMessages(record, fallbackPrompt, limit) {
+  const maxItems = Number.isFinite(limit) ? Math.max(1, limit) : 4
+  const raw = Array.isArray(record?.raw_messages) ? record.raw_messages : []
+  const recent = raw
+    .filter((message) => message && typeof message.content === 'string')
+    .slice(-maxItems)
+    .map((message) => {
+      const role = message.role === 'assistant' ? 'assistant' : 'user'
+      const content = trimWords(
+        String(message.content || '').replace(/\s+/g, ' ').trim(),
+        20
+      )
+      return content ? `${role}: ${content}` : ''
+    })
+    .filter(Boolean)
+  if (recent.length) return recent
+  const fallback = String(fallbackPrompt || '').replace(/\s+/g, ' ').trim()
+  return fallback ? [fallback] : []
+}
+
+function trimWords(value, maxWords) {
+  const text = String(value || '').replace(/\s+/g, ' ').trim()
+  if (!text) return ''
+  const words = text.split(' ').filter(Boolean)
+  if (!Number.isFinite(maxWords) || maxWords <= 0) return text
+  return words.slice(0, maxWords).join(' ')
+}
+
+function fallbackTopicFromPrompt(prompt, currentTopic, maxWords) {
+  const cleaned = normalizePromptSeed(prompt)
+  if (!cleaned) return currentTopic || ''
+  if (isConversationalPrompt(cleaned)) {
+    return currentTopic || ''
+  }
+  const words = cleaned.split(' ').filter(Boolean)
+  if (words.length <= 2 && currentTopic) {
+    return currentTopic
+  }
+  const limited = words.slice(0, Math.max(1, maxWords || 6)).join(' ')
+  return limited
+}
+
+function fallbackTitleFromPrompt(prompt) {
+  const cleaned = normalizeTitleSeed(prompt)
+  if (!cleaned) return ''
+  const words = cleaned.split(' ').filter(Boolean)
+  const limited = words.slice(0, 8).join(' ')
+  return trimToCharBudget(limited, config.TITLE_MAX_CHARS)
+}
+
+function normalizeTitleSeed(prompt) {
+  const cleaned = String(prompt || '')
+    .replace(/[^\w\s'-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+  if (!cleaned) return ''
+  const stripped = stripPromptLeadCase(cleaned)
+  return stripped || cleaned
+}
+
+function normalizePromptSeed(prompt) {
+  const cleaned = String(prompt || '')
+    .toLowerCase()
+    .replace(/[^\w\s'-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+  if (!cleaned) return ''
+  const stripped = stripPromptLead(cleaned)
+  return stripped || cleaned
+}
+
+function stripPromptLead(text) {
+  let cleaned = String(text || '').trim()
+  const patterns = [
+    /^please\s+/,
+    /^(do you know( about)?|do you remember|do you have info on)\s+/,
+    /^(tell me about|tell me|explain)\s+/,
+    /^(what is|who is|where is|when is|why is|how is|how to|how do i|how do you)\s+/,
+    /^(can you|could you|would you|will you)\s+/,
+    /^(find( me)?|search( for)?|look up)\s+/,
+    /^(give me|list|show me)\s+/,
+  ]
+  for (const pattern of patterns) {
+    if (pattern.test(cleaned)) {
+      cleaned = cleaned.replace(pattern, '').trim()
+    }
+  }
+  return cleaned
+}
+
+function stripPromptLeadCase(text) {
+  let cleaned = String(text || '').trim()
+  const patterns = [
+    /^please\s+/i,
+    /^(do you know( about)?|do you remember|do you have info on)\s+/i,
+    /^(tell me about|tell me|explain)\s+/i,
+    /^(what is|who is|where is|when is|why is|how is|how to|how do i|how do you)\s+/i,
+    /^(can you|could you|would you|will you)\s+/i,
+    /^(find( me)?|search( for)?|look up)\s+/i,
+    /^(give me|list|show me)\s+/i,
+  ]
+  for (const pattern of patterns) {
+    if (pattern.test(cleaned)) {
+      cleaned = cleaned.replace(pattern, '').trim()
+    }
+  }
+  return cleaned
+}
+
+async function generateSearchQuery({
+  baseUrl,
+  modelId,
+  rawMessages,
+  prompt,
+  signal,
+}) {
+  const recentPrompts = collectQueryPrompts(rawMessages, prompt, QUERY_CONTEXT_TURNS)
+  const latestPrompt = recentPrompts[recentPrompts.length - 1] || String(prompt || '')
+  const priorPrompts = recentPrompts.slice(0, -1)
+
+  const userPrompt = [
+    'Latest user prompt (always use):',
+    `1) ${latestPrompt || '(empty)'}`,
+    '',
+    'Previous prompts (use only if needed for context):',
+    priorPrompts.length
+      ? priorPrompts.map((text, index) => `${index + 2}) ${text}`).join('\n')
+      : '(none)',
+    '',
+    'Return only the search query.',
+  ].join('\n')
+
+  const response = await callOllamaChat({
+    baseUrl,
+    model: modelId,
+    messages: [
+      { role: 'system', content: SEARCH_QUERY_SYSTEM_PROMPT },
+      { role: 'user', content: userPrompt },
+    ],
+    stream: false,
+    timeoutMs: QUERY_TIMEOUT_MS,
+    options: SHORT_TASK_OPTIONS,
+    signal,
+  })
+
+  return normalizeSearchQuery(response)
+}
+
+function normalizeSearchQuery(value) {
+  const text = String(value || '').trim()
+  if (!text) return ''
+  const firstLine = text.split('\n')[0].trim()
+  const cleaned = firstLine
+    .replace(/^["'“”]+|["'“”]+$/g, '')
+    .replace(/[.?!]+$/, '')
+    .trim()
+  return trimQueryWords(cleaned, QUERY_MAX_WORDS)
+}
+
+function collectQueryPrompts(rawMessages, latestPrompt, maxPrompts) {
+  const desired = Math.max(1, maxPrompts || 1)
+  const previousCount = Math.max(0, desired - 1)
+  const previous = selectRecentUserMessages(
+    rawMessages,
+    previousCount,
+    config.RECENT_TOKEN_BUDGET
+  ).map((message) => String(message.content))
+  const combined = [...previous, String(latestPrompt || '')].filter(Boolean)
+  return combined.slice(-desired)
+}
+
+function trimQueryWords(value, maxWords) {
+  const text = String(value || '').replace(/\s+/g, ' ').trim()
+  if (!text) return ''
+  const words = text.split(' ').filter(Boolean)
+  if (words.length <= maxWords) return text
+  return words.slice(0, Math.max(1, maxWords)).join(' ')
+}
+
+function limitWords(value, maxWords) {
+  const text = String(value || '').replace(/\s+/g, ' ').trim()
+  if (!text) return ''
+  const words = text.split(' ').filter(Boolean)
+  if (!Number.isFinite(maxWords) || maxWords <= 0) return text
+  return words.slice(0, maxWords).join(' ')
+}
+
+function stripTrailingThink(value, seed) {
+  const text = String(value || '').trim()
+  if (!text) return ''
+  const words = text.split(/\s+/).filter(Boolean)
   if (words.length === 0) return ''
   const last = words[words.length - 1].toLowerCase()
   if (last !== 'think' && last !== 'thinking') return text
@@ -945,1477 +2230,3397 @@ function stripTrailingThink(value, seed) {
   return words.join(' ').trim()
 }
 
-function fallbackSearchQuery(prompt) {
-  const cleaned = String(prompt || '').replace(/\s+/g, ' ').trim()
-  return trimQueryWords(trimToCharBudget(cleaned, 200), QUERY_MAX_WORDS)
+function fallbackSearchQuery(prompt) {
+  const cleaned = String(prompt || '').replace(/\s+/g, ' ').trim()
+  return trimQueryWords(trimToCharBudget(cleaned, 200), QUERY_MAX_WORDS)
+}
+
+function injectTopicIntoMessages(messages, topic) {
+  if (!topic || !Array.isArray(messages) || messages.length === 0) return messages
+  const output = messages.slice()
+  const topicLine = { role: 'system', content: `Current chat topic: ${topic}` }
+  let insertAt = 1
+  if (output.length > 1 && output[1].role === 'system') {
+    insertAt = 2
+  }
+  output.splice(insertAt, 0, topicLine)
+  return output
+}
+
+// Grounds the model in the requested shape; Ollama's `format` enforces it while decoding.
+function injectFormatIntoMessages(messages, format) {
+  if (!format || !Array.isArray(messages) || messages.length === 0) return messages
+  const output = messages.slice()
+  output.splice(output.length - 1, 0, {
+    role: 'system',
+    content:
+      format === 'json'
+        ? 'Reply with only a JSON value and no other text.'
+        : `Reply with only JSON that matches this JSON Schema:\n${JSON.stringify(format)}`,
+  })
+  return output
+}
+
+// Places retrieved attachment chunks after the leading system/memory messages.
+function injectDocumentsIntoMessages(messages, selected) {
+  if (!Array.isArray(selected) || selected.length === 0) return messages
+  const output = messages.slice()
+  let insertAt = 0
+  while (insertAt < output.length && output[insertAt].role === 'system') {
+    insertAt += 1
+  }
+  output.splice(insertAt, 0, {
+    role: 'system',
+    content:
+      'Excerpts from documents attached to this chat. Use them when relevant and cite the ones ' +
+      'you use by label, e.g. [D1].\n\n' +
+      buildDocumentsContext(selected),
+  })
+  return output
+}
+
+function injectNonInfoHint(messages, infoSeeking) {
+  if (infoSeeking || !Array.isArray(messages) || messages.length === 0) {
+    return messages
+  }
+  const output = messages.slice(0, -1)
+  const last = messages[messages.length - 1]
+  output.push({
+    role: 'system',
+    content:
+      'The user prompt is conversational/emotional and not information-seeking. ' +
+      'Respond naturally and empathetically. Do not provide list-style or search-style answers. ' +
+      'Do not mention web search unless asked.',
+  })
+  if (last) output.push(last)
+  return output
+}
+
+function injectSourcesIntoMessages(
+  messages,
+  sources,
+  userPrompt,
+  infoSeekingOverride,
+  tokenBudget = null
+) {
+  if (!Array.isArray(messages) || messages.length === 0) return messages
+  if (!Array.isArray(sources) || sources.length === 0) return messages
+
+  const context = buildSourcesContext(sources, tokenBudget)
+  if (!context) return messages
+  const explicitSearch = isExplicitSearchRequest(userPrompt)
+  const infoSeeking =
+    typeof infoSeekingOverride === 'boolean'
+      ? infoSeekingOverride
+      : isInformationSeekingPromptHeuristic(userPrompt)
+
+  if (!explicitSearch && !infoSeeking) {
+    const output = messages.slice(0, -1)
+    const last = messages[messages.length - 1]
+    output.push({
+      role: 'system',
+      content:
+        'The user prompt is not information-seeking. Respond naturally and empathetically. ' +
+        'Do not mention web sources unless the user asked for them.',
+    })
+    if (last) output.push(last)
+    return output
+  }
+
+  const output = messages.slice(0, -1)
+  const last = messages[messages.length - 1]
+  const modeHint = explicitSearch
+    ? 'User explicitly requested web search results. Provide a concise summary of the sources.'
+    : 'User did not explicitly ask for search results. Provide your own answer and use sources only to improve factual accuracy.'
+  const relevanceHint =
+    'If the sources do not help answer a factual question, say you do not know.'
+  const emotionalHint =
+    'If the user prompt is emotional or not information-seeking, respond empathetically and you may ignore the sources.'
+  const citationHint =
+    'When you use sources, cite them with plain URLs in parentheses.'
+  output.push({
+    role: 'system',
+    content:
+      `${modeHint}\n${relevanceHint}\n${emotionalHint}\n${citationHint}\n\nWeb sources summary:\n${context}`,
+  })
+  if (last) output.push(last)
+  return output
+}
+
+// With a token budget, later sources are dropped once it is used up; the
+// first one is always kept, trimmed if needed.
+function buildSourcesContext(sources, tokenBudget = null) {
+  const entries = sources
+    .filter((source) => source && source.url)
+    .map((source, index) => {
+      const title = source.title || 'Untitled'
+      const summary = source.summary ? `Summary: ${source.summary}` : ''
+      const parts = [
+        `[${index + 1}] ${title}`,
+        `URL: ${source.url}`,
+        summary,
+      ].filter(Boolean)
+      return parts.join('\n')
+    })
+  if (!Number.isFinite(tokenBudget)) return entries.join('\n\n')
+  const kept = []
+  let used = 0
+  for (const entry of entries) {
+    const tokens = estimateTokens(entry)
+    if (used + tokens > tokenBudget) {
+      if (!kept.length) kept.push(trimToTokenBudget(entry, Math.max(1, tokenBudget)))
+      break
+    }
+    kept.push(entry)
+    used += tokens
+  }
+  return kept.join('\n\n')
+}
+
+function isExplicitSearchRequest(value) {
+  const text = String(value || '').toLowerCase()
+  if (!text.trim()) return false
+  const phrases = [
+    'search online',
+    'search online about',
+    'search the web',
+    'web search',
+    'search about',
+    'search for',
+    'help me search',
+    'find online',
+    'find the url of',
+    'find the url',
+    'find url',
+    'get the url',
+    'share the url',
+    'source url',
+    'look it up',
+    'look up',
+    'browse the web',
+    'browse web',
+    'google',
+    'bing',
+    'brave search',
+    'list sources',
+    'show sources',
+    'give me sources',
+    'give sources',
+  ]
+  return phrases.some((phrase) => text.includes(phrase))
+}
+
+function isInformationSeekingPromptHeuristic(value) {
+  const text = String(value || '').toLowerCase().trim()
+  if (!text) return false
+  if (isConversationalPrompt(text)) return false
+  const explicit = isExplicitSearchRequest(text)
+  const hasQuestion = text.includes('?')
+  const triggers = [
+    'what',
+    'why',
+    'how',
+    'when',
+    'where',
+    'who',
+    'which',
+    'explain',
+    'define',
+    'definition',
+    'meaning',
+    'guide',
+    'steps',
+    'tutorial',
+    'help me',
+    'show me',
+    'tell me',
+    'find',
+    'search',
+    'lookup',
+    'look up',
+    'compare',
+    'recommend',
+    'best',
+    'top',
+    'list',
+    'latest',
+    'current',
+    'price',
+    'cost',
+    'schedule',
+    'release',
+    'deadline',
+    'policy',
+    'law',
+    'regulation',
+    'version',
+    'api',
+    'docs',
+    'weather',
+    'forecast',
+    'temperature',
+    'rain',
+    'snow',
+    'wind',
+    'air quality',
+  ]
+  const hasTrigger = triggers.some((phrase) => text.includes(phrase))
+  if (explicit || hasQuestion || hasTrigger) return true
+
+  const emotionalPhrases = [
+    'i like',
+    'i love',
+    'i hate',
+    'i dislike',
+    'i feel',
+    "i'm",
+    'im ',
+    'i am',
+    'i enjoy',
+    'i prefer',
+    'my favorite',
+    'i dont like',
+    "i don't like",
+    'i am sad',
+    'i am happy',
+    'i am upset',
+    'i am worried',
+    'i am excited',
+    'i feel sad',
+    'i feel happy',
+    'i feel upset',
+    'i feel worried',
+  ]
+  if (emotionalPhrases.some((phrase) => text.includes(phrase))) return false
+  if (text.startsWith('i ') || text.startsWith("i'm") || text.startsWith('im ')) {
+    return false
+  }
+
+  return false
+}
+
+async function determineInfoSeeking({ prompt, modelId }) {
+  const seed = trimToCharBudget(String(prompt || '').replace(/\s+/g, ' ').trim(), 400)
+  const fallbackInfo = isInformationSeekingPromptHeuristic(prompt)
+  const fallback = {
+    infoSeeking: fallbackInfo,
+    needsWeb: fallbackInfo,
+    confidence: 0.5,
+    reason: 'heuristic',
+    source: 'heuristic',
+  }
+  if (!seed) return { ...fallback, infoSeeking: false, needsWeb: false }
+  const classifierModelId = isNonEmptyString(config.INFO_SEEKING_MODEL_ID)
+    ? config.INFO_SEEKING_MODEL_ID
+    : modelId || config.DEFAULT_MODEL_ID
+  const systemPrompt =
+    'You are a routing classifier. Decide if the user prompt is information-seeking. ' +
+    'Set needs_web=true if the question is time-sensitive, requires verification, or you are unsure. ' +
+    'Return only JSON with keys: info_seeking (boolean), needs_web (boolean), ' +
+    'confidence (0-1), reason (string).'
+  const userPrompt = `Prompt: ${seed}`
+  try {
+    const response = await withBackend(classifierModelId, (baseUrl) =>
+      callOllamaChat({
+        baseUrl,
+        model: classifierModelId,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userPrompt },
+        ],
+        stream: false,
+        timeoutMs: INFO_SEEKING_TIMEOUT_MS,
+        options: { temperature: 0, top_p: 0.1 },
+        format: 'json',
+      })
+    )
+    const parsed = extractJson(response)
+    if (parsed && typeof parsed === 'object') {
+      const infoSeeking =
+        typeof parsed.info_seeking === 'boolean'
+          ? parsed.info_seeking
+          : typeof parsed.needs_web === 'boolean'
+            ? parsed.needs_web
+            : fallback.infoSeeking
+      const needsWeb =
+        typeof parsed.needs_web === 'boolean' ? parsed.needs_web : infoSeeking
+      const confidenceRaw =
+        typeof parsed.confidence === 'number' ? parsed.confidence : fallback.confidence
+      const confidence = Math.min(1, Math.max(0, confidenceRaw))
+      const reason =
+        typeof parsed.reason === 'string' && parsed.reason.trim()
+          ? parsed.reason.trim()
+          : 'classifier'
+      return {
+        infoSeeking,
+        needsWeb,
+        confidence,
+        reason,
+        source: 'llm',
+      }
+    }
+  } catch (error) {
+    console.warn('Info-seeking classification failed:', error)
+  }
+
+  return fallback
+}
+
+function isConversationalPrompt(text) {
+  const normalized = String(text || '')
+    .toLowerCase()
+    .replace(/[^\w\s?']/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+  if (!normalized) return false
+  const phrases = [
+    'how about you',
+    'what about you',
+    'and you',
+    'how are you',
+    'who are you',
+    'what are you',
+    'what can you do',
+    'what do you do',
+    'tell me more',
+    'tell me more about you',
+    'tell me about yourself',
+    'introduce yourself',
+    'who made you',
+    'who built you',
+    'who created you',
+    'who trained you',
+    'are you real',
+    'are you human',
+    'your name',
+    'are you there',
+    'you there',
+    'can you hear me',
+    'can you see me',
+    'are you listening',
+    'thanks',
+    'thank you',
+    'thx',
+    'ty',
+    'hi',
+    'hello',
+    'hey',
+    'sup',
+    'yo',
+    'good morning',
+    'good evening',
+    'good night',
+    'good afternoon',
+    'nice to meet you',
+    'bye',
+    'goodbye',
+    'see you',
+    'see ya',
+    'later',
+    'gn',
+  ]
+  if (
+    phrases.some(
+      (phrase) =>
+        normalized === phrase ||
+        normalized.startsWith(`${phrase} `) ||
+        normalized.endsWith(` ${phrase}`) ||
+        normalized.includes(` ${phrase} `)
+    )
+  ) {
+    return true
+  }
+  const shortReplies = [
+    'ok',
+    'okay',
+    'sure',
+    'cool',
+    'great',
+    'nice',
+    'fine',
+    'alright',
+    'thanks',
+    'thank you',
+    'np',
+    'k',
+  ]
+  if (normalized.length <= 12 && shortReplies.includes(normalized)) return true
+  return false
+}
+
+function getFirstUserPrompt(record, fallback) {
+  if (record && Array.isArray(record.raw_messages)) {
+    const firstUser = record.raw_messages.find(
+      (message) => message.role === 'user' && message.content
+    )
+    if (firstUser && firstUser.content) {
+      return String(firstUser.content)
+    }
+  }
+  return fallback ? String(fallback) : ''
+}
+
+function startStreamResponse(res) {
+  if (res.headersSent) return
+  res.statusCode = 200
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8')
+  res.setHeader('Cache-Control', 'no-cache, no-transform')
+  res.setHeader('Connection', 'keep-alive')
+}
+
+function writeNdjson(res, payload) {
+  if (res.writableEnded || res.destroyed) return
+  res.write(`${JSON.stringify(payload)}\n`)
+}
+
+function startSseResponse(res) {
+  if (res.headersSent) return
+  res.statusCode = 200
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8')
+  res.setHeader('Cache-Control', 'no-cache, no-transform')
+  res.setHeader('Connection', 'keep-alive')
+}
+
+function writeSse(res, event, payload) {
+  if (res.writableEnded) return
+  res.write(`event: ${event}\n`)
+  res.write(`data: ${JSON.stringify(payload)}\n\n`)
+}
+
+function addGlobalListener(res) {
+  const entry = { res, heartbeat: null }
+  globalListeners.add(entry)
+  entry.heartbeat = setInterval(() => {
+    if (res.writableEnded) return
+    res.write(': ping\n\n')
+  }, 15000)
+  return entry
+}
+
+function removeGlobalListener(entry) {
+  if (!entry) return
+  if (entry.heartbeat) {
+    clearInterval(entry.heartbeat)
+  }
+  globalListeners.delete(entry)
+}
+
+function broadcastGlobal(event, payload) {
+  if (globalListeners.size === 0) return
+  for (const entry of globalListeners) {
+    if (entry && entry.res && !entry.res.writableEnded) {
+      writeSse(entry.res, event, payload)
+    }
+  }
+}
+
+function broadcastToAllChatListeners(event, payload) {
+  if (chatListeners.size === 0) return
+  for (const listeners of chatListeners.values()) {
+    for (const entry of listeners) {
+      if (entry && entry.res && !entry.res.writableEnded) {
+        writeSse(entry.res, event, payload)
+      }
+    }
+  }
+}
+
+function ensureChatUiState(chatId) {
+  let state = uiState.chats.get(chatId)
+  if (!state) {
+    state = {
+      chat_id: chatId,
+      use_web: null,
+      model_id: '',
+      busy: false,
+      input_disabled: false,
+      history_locked: false,
+      active: false,
+      last_message_id: '',
+      last_update_ts: 0,
+      ...loadChatSettings(chatId),
+    }
+    uiState.chats.set(chatId, state)
+  }
+  return state
+}
+
+function buildChatStateSnapshot(state) {
+  if (!state) return null
+  return {
+    chat_id: state.chat_id,
+    use_web: state.use_web,
+    model_id: state.model_id || '',
+    busy: Boolean(state.busy),
+    input_disabled: Boolean(state.input_disabled),
+    history_locked: Boolean(state.history_locked),
+    active: Boolean(state.active),
+    last_message_id: state.last_message_id || '',
+    last_update_ts: state.last_update_ts || 0,
+    options: { ...(state.options || {}) },
+    thinking: typeof state.thinking === 'boolean' ? state.thinking : null,
+    context_mode: state.context_mode || null,
+  }
+}
+
+function loadChatSettings(chatId) {
+  const record = loadChatRecord(SHARED_USER_ID, chatId)
+  return {
+    options:
+      record && record.options && typeof record.options === 'object'
+        ? { ...record.options }
+        : {},
+    thinking: record && typeof record.thinking === 'boolean' ? record.thinking : null,
+    context_mode: (record && record.context_mode) || null,
+  }
+}
+
+function getGlobalUiSnapshot() {
+  const busyChats = Array.from(uiState.busyChats)
+  const busy = busyChats.length > 0
+  const activeChatId = uiState.activeChatId || (busyChats[0] || '')
+  return {
+    active_chat_id: activeChatId,
+    busy,
+    busy_chats: busyChats,
+    input_disabled: busy,
+    history_locked: busy,
+    loaded_models: listLoadedModels(),
+  }
+}
+
+function getUiStateSnapshot() {
+  const chats = Array.from(uiState.chats.values())
+    .map((state) => buildChatStateSnapshot(state))
+    .filter(Boolean)
+  return {
+    global: getGlobalUiSnapshot(),
+    chats,
+  }
+}
+
+function applyActiveChatUpdate(chatId, isActive, now) {
+  const changed = new Set()
+  const prevActive = uiState.activeChatId
+  if (isActive) {
+    if (prevActive && prevActive !== chatId) {
+      const prevState = ensureChatUiState(prevActive)
+      if (prevState.active) {
+        prevState.active = false
+        prevState.last_update_ts = now
+        changed.add(prevActive)
+      }
+    }
+    uiState.activeChatId = chatId
+    const currentState = ensureChatUiState(chatId)
+    if (!currentState.active) {
+      currentState.active = true
+      currentState.last_update_ts = now
+      changed.add(chatId)
+    }
+  } else if (prevActive === chatId) {
+    uiState.activeChatId = ''
+    const currentState = ensureChatUiState(chatId)
+    if (currentState.active) {
+      currentState.active = false
+      currentState.last_update_ts = now
+      changed.add(chatId)
+    }
+  }
+  return Array.from(changed)
+}
+
+function broadcastChatState(chatId, state) {
+  const snapshot = buildChatStateSnapshot(state)
+  if (!snapshot) return
+  const payload = { chat_id: chatId, state: snapshot }
+  broadcastGlobal('chatstate', payload)
+  const chatKey = `${SHARED_USER_ID}:${chatId}`
+  const listeners = chatListeners.get(chatKey)
+  if (listeners && listeners.size) {
+    for (const entry of listeners) {
+      if (entry && entry.res && !entry.res.writableEnded) {
+        writeSse(entry.res, 'chatstate', payload)
+      }
+    }
+  }
+}
+
+function broadcastGlobalState() {
+  const payload = getGlobalUiSnapshot()
+  broadcastGlobal('globalstate', payload)
+  broadcastToAllChatListeners('globalstate', payload)
+}
+
+function updateChatUiState(chatId, updates = {}, meta = {}) {
+  const now = Date.now()
+  const state = ensureChatUiState(chatId)
+  const changedChatIds = new Set([chatId])
+  const previousModelId = state.model_id
+  let activated = false
+
+  if (typeof updates.use_web === 'boolean') {
+    state.use_web = updates.use_web
+  }
+
+  if (typeof updates.model_id === 'string' && updates.model_id.trim()) {
+    state.model_id = updates.model_id.trim()
+  }
+
+  if (typeof updates.busy === 'boolean') {
+    state.busy = updates.busy
+    if (updates.busy) {
+      uiState.busyChats.add(chatId)
+    } else {
+      uiState.busyChats.delete(chatId)
+    }
+    if (typeof updates.input_disabled !== 'boolean') {
+      state.input_disabled = updates.busy
+    }
+    if (typeof updates.history_locked !== 'boolean') {
+      state.history_locked = updates.busy
+    }
+  }
+
+  if (typeof updates.input_disabled === 'boolean') {
+    state.input_disabled = updates.input_disabled
+  }
+
+  if (typeof updates.history_locked === 'boolean') {
+    state.history_locked = updates.history_locked
+  }
+
+  if (updates.options && typeof updates.options === 'object') {
+    state.options = { ...updates.options }
+  }
+
+  if ('thinking' in updates) {
+    state.thinking = updates.thinking
+  }
+
+  if ('context_mode' in updates) {
+    state.context_mode = updates.context_mode
+  }
+
+  if (meta && meta.message_id) {
+    state.last_message_id = meta.message_id
+  }
+
+  state.last_update_ts = now
+
+  if (typeof updates.active === 'boolean') {
+    const activeChanges = applyActiveChatUpdate(chatId, updates.active, now)
+    for (const id of activeChanges) {
+      changedChatIds.add(id)
+    }
+    activated = updates.active && activeChanges.includes(chatId)
+  }
+
+  // Updates that start a turn carry a message id; that turn loads the model itself.
+  if (!(meta && meta.message_id) && (activated || state.model_id !== previousModelId)) {
+    warmActiveModel(chatId)
+  }
+
+  for (const id of changedChatIds) {
+    broadcastChatState(id, ensureChatUiState(id))
+  }
+  broadcastGlobalState()
+  return ensureChatUiState(chatId)
+}
+
+// Preloads the active chat's model with its keep_alive so the next prompt does not
+// wait for the load. Each model is warmed at most once per WARMUP_MIN_INTERVAL_MS.
+function warmActiveModel(chatId) {
+  if (!config.WARMUP_ENABLED || uiState.activeChatId !== chatId) return
+  const state = uiState.chats.get(chatId)
+  if (!state || state.busy) return
+  const model = state.model_id || config.DEFAULT_MODEL_ID
+  const now = Date.now()
+  if (!model || now - (lastWarmups.get(model) || 0) < WARMUP_MIN_INTERVAL_MS) return
+  lastWarmups.set(model, now)
+  const keepAlive = getKeepAlive(model)
+  console.log('[warmup] loading model', { chatId, model, keepAlive })
+  runHighLlm(({ baseUrl }) => warmOllamaModel({ baseUrl, model, keepAlive }), { model })
+    .then(() => checkBackends())
+    .catch((error) => {
+      lastWarmups.delete(model)
+      console.warn('[warmup] failed', { model, error: error.message })
+    })
 }
 
-function injectTopicIntoMessages(messages, topic) {
-  if (!topic || !Array.isArray(messages) || messages.length === 0) return messages
-  const output = messages.slice()
-  const topicLine = { role: 'system', content: `Current chat topic: ${topic}` }
-  let insertAt = 1
-  if (output.length > 1 && output[1].role === 'system') {
-    insertAt = 2
+function clearChatUiState(chatId) {
+  if (!chatId) return
+  uiState.chats.delete(chatId)
+  uiState.busyChats.delete(chatId)
+  if (uiState.activeChatId === chatId) {
+    uiState.activeChatId = ''
+  }
+  broadcastGlobalState()
+}
+
+function addChatListener(chatKey, res) {
+  const entry = { res, heartbeat: null }
+  let listeners = chatListeners.get(chatKey)
+  if (!listeners) {
+    listeners = new Set()
+    chatListeners.set(chatKey, listeners)
+  }
+  listeners.add(entry)
+  entry.heartbeat = setInterval(() => {
+    if (res.writableEnded) return
+    res.write(': ping\n\n')
+  }, 15000)
+  return entry
+}
+
+function removeChatListener(chatKey, entry) {
+  if (!entry) return
+  if (entry.heartbeat) {
+    clearInterval(entry.heartbeat)
+  }
+  const listeners = chatListeners.get(chatKey)
+  if (!listeners) return
+  listeners.delete(entry)
+  if (listeners.size === 0) {
+    chatListeners.delete(chatKey)
+  }
+}
+
+function broadcastChatUpdate(chatKey, payload) {
+  broadcastChatEvent(chatKey, 'chatinfoupdate', payload)
+}
+
+function broadcastChatEvent(chatKey, event, payload) {
+  const listeners = chatListeners.get(chatKey)
+  if (!listeners || listeners.size === 0) return
+  for (const entry of listeners) {
+    if (entry && entry.res && !entry.res.writableEnded) {
+      writeSse(entry.res, event, payload)
+    }
+  }
+}
+
+function beginGeneration(chatKey, { chatId, messageId, prompt, modelId, record }) {
+  const entry = {
+    chat_id: chatId,
+    message_id: messageId,
+    prompt,
+    model_id: modelId,
+    record,
+    controller: new AbortController(),
+    phase: 'answer',
+    started_ts: Date.now(),
+    partial: '',
+    thinking: '',
+    candidates: [],
+    stages: [],
+    detached: false,
+  }
+  activeGenerations.set(chatKey, entry)
+  return entry
+}
+
+function publishGenerationEvent(chatKey, entry, event) {
+  if (!entry || !event || typeof event !== 'object') return
+  if (event.message && Number.isInteger(event.candidate)) {
+    entry.candidates[event.candidate] =
+      (entry.candidates[event.candidate] || '') + event.message.content
+    broadcastChatEvent(chatKey, 'delta', {
+      chat_id: entry.chat_id,
+      message_id: entry.message_id,
+      model_id: event.model_id,
+      candidate: event.candidate,
+      content: event.message.content,
+      done: false,
+    })
+    return
+  }
+  if (event.message && typeof event.message.content === 'string') {
+    entry.partial += event.message.content
+    if (!event.message.content && event.done !== true) return
+    broadcastChatEvent(chatKey, 'delta', {
+      chat_id: entry.chat_id,
+      message_id: entry.message_id,
+      content: event.message.content,
+      done: event.done === true,
+    })
+    return
+  }
+  if (typeof event.stage !== 'string') return
+  if (event.stage === 'thinking') {
+    if (!Number.isInteger(event.candidate)) entry.thinking += event.content || ''
+  } else {
+    entry.stages.push(event)
+  }
+  broadcastChatEvent(chatKey, 'stage', {
+    chat_id: entry.chat_id,
+    message_id: entry.message_id,
+    ...event,
+  })
+}
+
+function buildGenerationSnapshot(entry) {
+  if (!entry) return null
+  return {
+    chat_id: entry.chat_id,
+    message_id: entry.message_id,
+    prompt: entry.prompt,
+    model_id: entry.model_id,
+    phase: entry.phase,
+    started_ts: entry.started_ts,
+    partial: entry.partial,
+    thinking: entry.thinking,
+    ...(entry.candidates.length ? { candidates: entry.candidates } : {}),
+    stages: entry.stages,
+    detached: entry.detached,
+  }
+}
+
+function endGeneration(chatKey, entry) {
+  if (activeGenerations.get(chatKey) === entry) {
+    activeGenerations.delete(chatKey)
+  }
+}
+
+// Post-answer tasks keep mutating their record after the chat lock is released,
+// so reuse that object instead of reading a copy they would later overwrite.
+function loadChatRecord(userId, chatId) {
+  const generation = activeGenerations.get(`${userId}:${chatId}`)
+  if (generation && generation.record) return generation.record
+  return store.loadChat(userId, chatId)
+}
+
+function getOrCreateChatRecord(userId, chatId) {
+  const generation = activeGenerations.get(`${userId}:${chatId}`)
+  if (generation && generation.record) {
+    return { record: generation.record, created: false }
+  }
+  return store.getOrCreateChatWithMeta(userId, chatId)
+}
+
+// A fallback model only keeps `think` and `tools` when it supports them, since
+// Ollama rejects either for models without the capability.
+async function adaptChatRequest(request, model) {
+  if (model === request.model) return request
+  const supports = (capability) =>
+    modelSupports({ baseUrl: request.baseUrl, model }, capability).catch(() => false)
+  const [thinking, tools] = await Promise.all([supports('thinking'), supports('tools')])
+  return {
+    ...request,
+    model,
+    think: thinking ? request.think : null,
+    tools: tools ? request.tools : null,
+  }
+}
+
+// requestOllamaChat queued along the model's fallback chain; `model` in the payload
+// is the model that answered.
+function requestChatWithFallback({ onFallback = null, ...request }) {
+  return runHighLlm(
+    async ({ baseUrl, model }) => ({
+      ...(await requestOllamaChat(await adaptChatRequest({ ...request, baseUrl }, model))),
+      model,
+    }),
+    { signal: request.signal, model: request.model, fallback: true, onFallback }
+  )
+}
+
+// streamOllamaChat queued along the model's fallback chain, but only until the first
+// answer token has been passed on, so a failing model never leaves half an answer
+// mixed with another one.
+function streamChatWithFallback({ onFallback = null, ...request }) {
+  let started = false
+  const onEvent = (event) => {
+    if (event && event.message && event.message.content) started = true
+    if (typeof request.onEvent === 'function') request.onEvent(event)
+  }
+  return runHighLlm(
+    async ({ baseUrl, model }) => ({
+      ...(await streamOllamaChat({
+        ...(await adaptChatRequest({ ...request, baseUrl }, model)),
+        onEvent,
+      })),
+      model,
+    }),
+    {
+      signal: request.signal,
+      model: request.model,
+      fallback: true,
+      onFallback,
+      canFallback: () => !started,
+    }
+  )
+}
+
+async function streamOllamaChat({
+  baseUrl,
+  model,
+  messages,
+  options = null,
+  tools = null,
+  think = null,
+  signal = null,
+  onEvent,
+}) {
+  const endpoint = new URL('/api/chat', baseUrl)
+  const keepAlive = getKeepAlive(model)
+  const controller = new AbortController()
+  const unlinkSignal = linkAbortSignal(signal, controller)
+  let buffer = ''
+  let answer = ''
+  let thinking = ''
+  let sawDone = false
+  let usage = null
+  const toolCalls = []
+
+  const handleLine = (line) => {
+    const trimmed = line.trim()
+    if (!trimmed) return
+    let parsed
+    try {
+      parsed = JSON.parse(trimmed)
+    } catch {
+      // Ignore parsing errors for partial lines.
+      return
+    }
+    if (parsed && typeof parsed.error === 'string' && !answer && !toolCalls.length) {
+      throw new Error(`Ollama error: ${parsed.error}`)
+    }
+    if (parsed && parsed.message && typeof parsed.message.content === 'string') {
+      answer += parsed.message.content
+    }
+    if (parsed && parsed.message && Array.isArray(parsed.message.tool_calls)) {
+      toolCalls.push(...parsed.message.tool_calls)
+    }
+    if (parsed && parsed.done === true) {
+      sawDone = true
+      usage = readUsage(parsed)
+    }
+    if (typeof onEvent !== 'function') return
+    // Thinking goes out as its own stage and never mixes into the answer deltas.
+    if (parsed && parsed.message && typeof parsed.message.thinking === 'string') {
+      const { thinking: chunk, ...message } = parsed.message
+      thinking += chunk
+      if (chunk) {
+        onEvent({ stage: 'thinking', content: chunk, done: false })
+      }
+      if (!message.content && !message.tool_calls && parsed.done !== true) return
+      parsed = { ...parsed, message }
+    }
+    onEvent(parsed)
+  }
+
+  try {
+    const upstream = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model,
+        messages,
+        stream: true,
+        ...(options ? { options } : {}),
+        ...(Array.isArray(tools) && tools.length ? { tools } : {}),
+        ...(typeof think === 'boolean' ? { think } : {}),
+        ...(keepAlive !== null ? { keep_alive: keepAlive } : {}),
+      }),
+      signal: controller.signal,
+    })
+
+    if (!upstream.ok) {
+      const text = await upstream.text()
+      throw new Error(`Ollama error ${upstream.status}: ${text}`)
+    }
+
+    if (!upstream.body) {
+      throw new Error('Ollama streaming body missing.')
+    }
+
+    const reader = upstream.body.getReader()
+    while (true) {
+      const { value, done } = await reader.read()
+      if (done) break
+      buffer += Buffer.from(value).toString('utf-8')
+      const lines = buffer.split('\n')
+      buffer = lines.pop() || ''
+      for (const line of lines) {
+        handleLine(line)
+      }
+    }
+    handleLine(buffer)
+  } catch (error) {
+    if (!(error && error.name === 'AbortError' && signal && signal.aborted)) {
+      controller.abort()
+      throw error
+    }
+  } finally {
+    unlinkSignal()
+  }
+
+  if (signal && signal.aborted) {
+    return { answer, thinking, completed: false, cancelled: true, toolCalls, usage }
+  }
+
+  return {
+    answer,
+    thinking,
+    completed: sawDone || answer.length > 0 || toolCalls.length > 0,
+    cancelled: false,
+    toolCalls,
+    usage,
+  }
+}
+
+async function selectTurnTools({ modelId, useWeb }) {
+  if (!config.TOOLS_ENABLED) return []
+  const tools = listTools({ useWeb })
+  if (!tools.length) return []
+  try {
+    const supported = await withBackend(modelId, (baseUrl) =>
+      modelSupports({ baseUrl, model: modelId }, 'tools')
+    )
+    return supported ? tools : []
+  } catch (error) {
+    console.warn('[tools] capability check failed', { modelId, error: error.message })
+    return []
+  }
+}
+
+// Only models with the thinking capability get a `think` flag; the chat toggle
+// falls back to THINKING_ENABLED when unset.
+async function resolveTurnThinking({ modelId, record }) {
+  try {
+    const supported = await withBackend(modelId, (baseUrl) =>
+      modelSupports({ baseUrl, model: modelId }, 'thinking')
+    )
+    if (!supported) return null
+  } catch (error) {
+    console.warn('[thinking] capability check failed', { modelId, error: error.message })
+    return null
+  }
+  return typeof record.thinking === 'boolean' ? record.thinking : config.THINKING_ENABLED
+}
+
+// Every model gets the same prompt messages. Each one is queued as its own job on
+// a backend that has it, so candidates on different backends run side by side
+// and their events interleave. A failing candidate only fails its own entry.
+function runComparison({
+  models,
+  messages,
+  options,
+  record,
+  useStream,
+  signal,
+  emit,
+  startTs = Date.now(),
+}) {
+  const runCandidate = async (baseUrl, model, candidate) => {
+    const tag = { model_id: model, candidate }
+    let firstTokenTs = 0
+    const think = await resolveTurnThinking({ modelId: model, record })
+    let result
+    if (useStream) {
+      result = await streamOllamaChat({
+        baseUrl,
+        model,
+        messages,
+        options,
+        think,
+        signal,
+        onEvent: (event) => {
+          if (!event || event.done === true) return
+          if (typeof event.stage === 'string') {
+            emit({ ...event, ...tag })
+          } else if (event.message && event.message.content) {
+            if (!firstTokenTs) firstTokenTs = Date.now()
+            emit({
+              ...tag,
+              message: { role: 'assistant', content: event.message.content },
+              done: false,
+            })
+          }
+        },
+      })
+    } else {
+      const payload = await requestOllamaChat({
+        baseUrl,
+        model,
+        messages,
+        options,
+        think,
+        signal,
+      })
+      result = {
+        answer: typeof payload.message.content === 'string' ? payload.message.content : '',
+        thinking: typeof payload.message.thinking === 'string' ? payload.message.thinking : '',
+        usage: readUsage(payload),
+      }
+    }
+    const entry = {
+      ...tag,
+      answer: result.answer || '',
+      thinking: result.thinking || '',
+      usage: result.usage || null,
+      ...(firstTokenTs ? { ttft_ms: firstTokenTs - startTs } : {}),
+    }
+    if (!entry.answer.trim() && !(signal && signal.aborted)) {
+      entry.error = 'Empty answer.'
+    }
+    emit({
+      stage: 'candidate_done',
+      ...tag,
+      ...(entry.error ? { error: entry.error } : {}),
+      done: false,
+    })
+    return entry
+  }
+  return Promise.all(
+    models.map((model, candidate) =>
+      runHighLlm(({ baseUrl }) => runCandidate(baseUrl, model, candidate), {
+        signal,
+        model,
+      }).catch((error) => {
+        const tag = { model_id: model, candidate }
+        if (isCancelledError(error)) return { ...tag, answer: '', thinking: '' }
+        emit({ stage: 'candidate_done', ...tag, error: error.message, done: false })
+        return { ...tag, answer: '', thinking: '', error: error.message }
+      })
+    )
+  )
+}
+
+// Stores compared answers after the first as extra versions without activating them.
+function addAnswerCandidates(record, messageId, candidates, { ts, sources }) {
+  if (!candidates.length) return
+  const message = findAssistantMessage(record, messageId)
+  if (!message) return
+  ensureAnswerVersions(record, message, messageId)
+  for (const candidate of candidates) {
+    message.versions.push({
+      content: candidate.answer,
+      ts,
+      model_id: candidate.model_id,
+      sources: Array.isArray(sources) ? sources : [],
+      polished: false,
+      ...(candidate.thinking ? { thinking: candidate.thinking } : {}),
+      ...(candidate.stats ? { stats: candidate.stats } : {}),
+    })
+  }
+  saveChatRecord(record)
+  broadcastAnswerVersion(record, messageId, message)
+}
+
+// Structured answers are generated whole so the reply can be parsed and checked
+// against `format`; a mismatch is sent back to the model for up to
+// FORMAT_REPAIR_RETRIES repairs.
+async function runStructuredAnswer({
+  model,
+  messages,
+  options,
+  format,
+  think,
+  signal,
+  emit,
+  onFallback = null,
+}) {
+  const conversation = messages.slice()
+  let answer = ''
+  let thinking = ''
+  let check = { data: null, errors: [] }
+  let usage = null
+  let activeModel = model
+  let activeThink = think
+
+  for (let attempt = 0; attempt <= Math.max(0, config.FORMAT_REPAIR_RETRIES); attempt += 1) {
+    if (attempt > 0) {
+      emit({ stage: 'format_repair', attempt, errors: check.errors, done: false })
+      conversation.push(
+        { role: 'assistant', content: answer },
+        {
+          role: 'user',
+          content:
+            'Your reply did not match the required format:\n' +
+            `- ${check.errors.join('\n- ')}\n` +
+            'Reply again with only the corrected JSON.',
+        }
+      )
+    }
+    const payload = await requestChatWithFallback({
+      model: activeModel,
+      messages: conversation,
+      options,
+      format,
+      think: activeThink,
+      signal,
+      onFallback,
+    })
+    usage = addUsage(usage, readUsage(payload))
+    if (payload.model !== activeModel) {
+      const adapted = await adaptChatRequest(
+        { baseUrl: getBackendUrl(payload.model), model: activeModel, think: activeThink },
+        payload.model
+      )
+      activeModel = payload.model
+      activeThink = adapted.think
+    }
+    answer = typeof payload.message.content === 'string' ? payload.message.content : ''
+    if (typeof payload.message.thinking === 'string' && payload.message.thinking) {
+      thinking = payload.message.thinking
+      emit({ stage: 'thinking', content: thinking, done: false })
+    }
+    check = checkStructuredReply(answer, format)
+    if (!check.errors.length) break
+  }
+  return {
+    answer,
+    model: activeModel,
+    thinking,
+    data: check.data,
+    errors: check.errors,
+    usage,
+  }
+}
+
+// Runs the model/tool loop: the model may call tools for up to TOOL_MAX_ROUNDS
+// rounds, after which it is asked to answer without tools.
+async function runAnswerWithTools({
+  model,
+  messages,
+  options,
+  tools,
+  think = null,
+  useStream,
+  signal,
+  emit,
+  onFallback = null,
+  context,
+}) {
+  const conversation = messages.slice()
+  const toolCalls = []
+  const sources = []
+  const thoughts = []
+  let usage = null
+  const joinThoughts = () => thoughts.filter(Boolean).join('\n\n')
+  // Once a round falls back, later rounds stay on the model that answered.
+  let activeModel = model
+  let activeTools = tools
+  let activeThink = think
+  const switchModel = async (next) => {
+    if (next === activeModel) return
+    const adapted = await adaptChatRequest(
+      {
+        baseUrl: getBackendUrl(next),
+        model: activeModel,
+        tools: activeTools,
+        think: activeThink,
+      },
+      next
+    )
+    activeModel = next
+    activeTools = adapted.tools || []
+    activeThink = adapted.think
+  }
+
+  for (let round = 0; ; round += 1) {
+    const roundTools =
+      round < config.TOOL_MAX_ROUNDS && activeTools.length ? toOllamaTools(activeTools) : null
+    let content = ''
+    let calls = []
+    let completed = true
+
+    if (useStream) {
+      let doneEvent = null
+      const result = await streamChatWithFallback({
+        model: activeModel,
+        messages: conversation,
+        options,
+        tools: roundTools,
+        think: activeThink,
+        signal,
+        onFallback,
+        onEvent: (event) => {
+          // Hold back `done` until we know this round is not a tool call.
+          if (event && event.done === true) {
+            doneEvent = event
+            return
+          }
+          const isThinking = event && event.stage === 'thinking'
+          if (isThinking || (event && event.message && event.message.content)) {
+            emit(event)
+          }
+        },
+      })
+      thoughts.push(result.thinking)
+      usage = addUsage(usage, result.usage)
+      if (round === 0) calibrateTokens(result.model, conversation, result.usage, roundTools)
+      await switchModel(result.model)
+      if (result.cancelled) {
+        return {
+          answer: result.answer,
+          model: activeModel,
+          thinking: joinThoughts(),
+          cancelled: true,
+          toolCalls,
+          sources,
+          usage,
+        }
+      }
+      content = result.answer
+      calls = result.toolCalls
+      completed = result.completed
+      if (!calls.length && doneEvent) {
+        emit(doneEvent)
+      }
+    } else {
+      const payload = await requestChatWithFallback({
+        model: activeModel,
+        messages: conversation,
+        options,
+        tools: roundTools,
+        think: activeThink,
+        signal,
+        onFallback,
+      })
+      usage = addUsage(usage, readUsage(payload))
+      if (round === 0) calibrateTokens(payload.model, conversation, readUsage(payload), roundTools)
+      await switchModel(payload.model)
+      content = typeof payload.message.content === 'string' ? payload.message.content : ''
+      thoughts.push(typeof payload.message.thinking === 'string' ? payload.message.thinking : '')
+      calls = Array.isArray(payload.message.tool_calls) ? payload.message.tool_calls : []
+    }
+
+    if (!calls.length) {
+      return {
+        answer: content,
+        model: activeModel,
+        thinking: joinThoughts(),
+        completed,
+        cancelled: false,
+        toolCalls,
+        sources,
+        usage,
+      }
+    }
+
+    conversation.push({ role: 'assistant', content, tool_calls: calls })
+    for (const call of calls) {
+      const name = call && call.function ? call.function.name : ''
+      emit({
+        stage: 'tool_call',
+        tool: name,
+        arguments: call && call.function ? call.function.arguments || {} : {},
+        done: false,
+      })
+      const entry = await runToolCall(call, { ...context, signal })
+      toolCalls.push(entry)
+      emit({
+        stage: 'tool_result',
+        tool: entry.name,
+        content: entry.content,
+        ...(entry.error ? { error: entry.error } : {}),
+        duration_ms: entry.duration_ms,
+        done: false,
+      })
+      if (entry.sources && entry.sources.length) {
+        sources.push(...entry.sources)
+        emit({ stage: 'sources', sources: entry.sources, done: false })
+      }
+      conversation.push({ role: 'tool', tool_name: entry.name, content: entry.content })
+    }
+    if (signal && signal.aborted) {
+      return {
+        answer: '',
+        model: activeModel,
+        thinking: joinThoughts(),
+        cancelled: true,
+        toolCalls,
+        sources,
+        usage,
+      }
+    }
   }
-  output.splice(insertAt, 0, topicLine)
-  return output
 }
 
-function injectNonInfoHint(messages, infoSeeking) {
-  if (infoSeeking || !Array.isArray(messages) || messages.length === 0) {
-    return messages
-  }
-  const output = messages.slice(0, -1)
-  const last = messages[messages.length - 1]
-  output.push({
-    role: 'system',
-    content:
-      'The user prompt is conversational/emotional and not information-seeking. ' +
-      'Respond naturally and empathetically. Do not provide list-style or search-style answers. ' +
-      'Do not mention web search unless asked.',
+async function finalizeChatTurn({
+  record,
+  prompt,
+  messageId,
+  messageTs,
+  answer,
+  answerTs,
+  modelId,
+  requestedModelId = modelId,
+  sources = [],
+  deferHeavy = false,
+  cancelled = false,
+  edited = false,
+  images = [],
+  format = null,
+  thinking = '',
+  toolCalls = [],
+  data,
+  stats = null,
+  error = '',
+}) {
+  record.raw_messages.push({
+    role: 'user',
+    content: prompt,
+    ts: messageTs,
+    message_id: messageId,
+    ...(edited ? { edited: true } : {}),
+    ...(images.length ? { images } : {}),
+    ...(format ? { format } : {}),
+  })
+  record.raw_messages.push({
+    role: 'assistant',
+    content: answer,
+    ts: answerTs,
+    polished: false,
+    model_id: modelId,
+    ...(requestedModelId !== modelId ? { requested_model_id: requestedModelId } : {}),
+    ...(thinking ? { thinking } : {}),
+    ...(toolCalls.length ? { tool_calls: toolCalls } : {}),
+    ...(data !== undefined ? { data } : {}),
+    ...(stats ? { stats } : {}),
+    ...(cancelled ? { cancelled: true } : {}),
+    ...(error ? { error } : {}),
   })
-  if (last) output.push(last)
-  return output
-}
-
-function injectSourcesIntoMessages(messages, sources, userPrompt, infoSeekingOverride) {
-  if (!Array.isArray(messages) || messages.length === 0) return messages
-  if (!Array.isArray(sources) || sources.length === 0) return messages
 
-  const context = buildSourcesContext(sources)
-  if (!context) return messages
-  const explicitSearch = isExplicitSearchRequest(userPrompt)
-  const infoSeeking =
-    typeof infoSeekingOverride === 'boolean'
-      ? infoSeekingOverride
-      : isInformationSeekingPromptHeuristic(userPrompt)
+  record.last_message_ts = messageTs
+  record.last_updated_ts = messageTs
 
-  if (!explicitSearch && !infoSeeking) {
-    const output = messages.slice(0, -1)
-    const last = messages[messages.length - 1]
-    output.push({
-      role: 'system',
-      content:
-        'The user prompt is not information-seeking. Respond naturally and empathetically. ' +
-        'Do not mention web sources unless the user asked for them.',
-    })
-    if (last) output.push(last)
-    return output
+  // A failed answer is not cached, so a retry of the message_id generates again.
+  if (!error) {
+    record.idempotency = record.idempotency || {}
+    record.idempotency[messageId] = {
+      answer,
+      ts: answerTs,
+      sources: Array.isArray(sources) ? sources : [],
+      polished: false,
+      ...(data !== undefined ? { data } : {}),
+      ...(cancelled ? { cancelled: true } : {}),
+    }
   }
 
-  const output = messages.slice(0, -1)
-  const last = messages[messages.length - 1]
-  const modeHint = explicitSearch
-    ? 'User explicitly requested web search results. Provide a concise summary of the sources.'
-    : 'User did not explicitly ask for search results. Provide your own answer and use sources only to improve factual accuracy.'
-  const relevanceHint =
-    'If the sources do not help answer a factual question, say you do not know.'
-  const emotionalHint =
-    'If the user prompt is emotional or not information-seeking, respond empathetically and you may ignore the sources.'
-  const citationHint =
-    'When you use sources, cite them with plain URLs in parentheses.'
-  output.push({
-    role: 'system',
-    content:
-      `${modeHint}\n${relevanceHint}\n${emotionalHint}\n${citationHint}\n\nWeb sources summary:\n${context}`,
+  saveChatRecord(record)
+  const chatKey = `${record.user_id}:${record.chat_id}`
+  broadcastChatUpdate(chatKey, {
+    type: 'message',
+    chat_id: record.chat_id,
+    content: {
+      role: 'assistant',
+      content: answer,
+      ts: answerTs,
+      message_id: messageId,
+      polished: false,
+      model_id: modelId,
+      ...(thinking ? { thinking } : {}),
+      ...(data !== undefined ? { data } : {}),
+      ...(stats ? { stats } : {}),
+      ...(cancelled ? { cancelled: true } : {}),
+      ...(error ? { error } : {}),
+    },
   })
-  if (last) output.push(last)
-  return output
-}
+  broadcastChatListUpdate('updated', record)
 
-function buildSourcesContext(sources) {
-  return sources
-    .filter((source) => source && source.url)
-    .map((source, index) => {
-      const title = source.title || 'Untitled'
-      const summary = source.summary ? `Summary: ${source.summary}` : ''
-      const parts = [
-        `[${index + 1}] ${title}`,
-        `URL: ${source.url}`,
-        summary,
-      ].filter(Boolean)
-      return parts.join('\n')
-    })
-    .join('\n\n')
-}
+  if (deferHeavy || cancelled || error) {
+    return
+  }
 
-function isExplicitSearchRequest(value) {
-  const text = String(value || '').toLowerCase()
-  if (!text.trim()) return false
-  const phrases = [
-    'search online',
-    'search online about',
-    'search the web',
-    'web search',
-    'search about',
-    'search for',
-    'help me search',
-    'find online',
-    'find the url of',
-    'find the url',
-    'find url',
-    'get the url',
-    'share the url',
-    'source url',
-    'look it up',
-    'look up',
-    'browse the web',
-    'browse web',
-    'google',
-    'bing',
-    'brave search',
-    'list sources',
-    'show sources',
-    'give me sources',
-    'give sources',
-  ]
-  return phrases.some((phrase) => text.includes(phrase))
+  await runPostAnswerUpdates({
+    record,
+    answer,
+    answerTs,
+    messageTs,
+    prompt,
+    modelId,
+    sources,
+    messageId,
+  })
+  saveChatRecord(record)
 }
 
-function isInformationSeekingPromptHeuristic(value) {
-  const text = String(value || '').toLowerCase().trim()
-  if (!text) return false
-  if (isConversationalPrompt(text)) return false
-  const explicit = isExplicitSearchRequest(text)
-  const hasQuestion = text.includes('?')
-  const triggers = [
-    'what',
-    'why',
-    'how',
-    'when',
-    'where',
-    'who',
-    'which',
-    'explain',
-    'define',
-    'definition',
-    'meaning',
-    'guide',
-    'steps',
-    'tutorial',
-    'help me',
-    'show me',
-    'tell me',
-    'find',
-    'search',
-    'lookup',
-    'look up',
-    'compare',
-    'recommend',
-    'best',
-    'top',
-    'list',
-    'latest',
-    'current',
-    'price',
-    'cost',
-    'schedule',
-    'release',
-    'deadline',
-    'policy',
-    'law',
-    'regulation',
-    'version',
-    'api',
-    'docs',
-    'weather',
-    'forecast',
-    'temperature',
-    'rain',
-    'snow',
-    'wind',
-    'air quality',
-  ]
-  const hasTrigger = triggers.some((phrase) => text.includes(phrase))
-  if (explicit || hasQuestion || hasTrigger) return true
+async function finalizeAnswerVersion({
+  record,
+  messageId,
+  answer,
+  answerTs,
+  modelId,
+  requestedModelId = modelId,
+  sources = [],
+  thinking = '',
+  toolCalls = [],
+  data,
+  stats = null,
+  cancelled = false,
+  error = '',
+}) {
+  const turn = findChatTurn(record, messageId)
+  if (!turn || turn.assistantIndex === -1) return null
+  const message = record.raw_messages[turn.assistantIndex]
+  ensureAnswerVersions(record, message, messageId)
+  message.versions.push({
+    content: answer,
+    ts: answerTs,
+    model_id: modelId,
+    ...(requestedModelId !== modelId ? { requested_model_id: requestedModelId } : {}),
+    sources: Array.isArray(sources) ? sources : [],
+    polished: false,
+    ...(thinking ? { thinking } : {}),
+    ...(toolCalls.length ? { tool_calls: toolCalls } : {}),
+    ...(data !== undefined ? { data } : {}),
+    ...(stats ? { stats } : {}),
+    ...(cancelled ? { cancelled: true } : {}),
+    ...(error ? { error } : {}),
+  })
+  applyAnswerVersion(record, messageId, message, message.versions.length - 1)
 
-  const emotionalPhrases = [
-    'i like',
-    'i love',
-    'i hate',
-    'i dislike',
-    'i feel',
-    "i'm",
-    'im ',
-    'i am',
-    'i enjoy',
-    'i prefer',
-    'my favorite',
-    'i dont like',
-    "i don't like",
-    'i am sad',
-    'i am happy',
-    'i am upset',
-    'i am worried',
-    'i am excited',
-    'i feel sad',
-    'i feel happy',
-    'i feel upset',
-    'i feel worried',
-  ]
-  if (emotionalPhrases.some((phrase) => text.includes(phrase))) return false
-  if (text.startsWith('i ') || text.startsWith("i'm") || text.startsWith('im ')) {
-    return false
+  record.last_updated_ts = Date.now()
+  saveChatRecord(record)
+  broadcastAnswerVersion(record, messageId, message)
+  broadcastChatListUpdate('updated', record)
+  return {
+    version: message.active_version,
+    versions_count: message.versions.length,
+  }
+}
+
+function rewindChatToTurn(record, turn) {
+  const removed = record.raw_messages.slice(turn.userIndex)
+  const cutTs = record.raw_messages[turn.userIndex].ts
+  record.raw_messages = record.raw_messages.slice(0, turn.userIndex)
+
+  if (record.idempotency) {
+    for (const message of removed) {
+      if (message && message.role === 'user' && message.message_id) {
+        delete record.idempotency[message.message_id]
+      }
+    }
   }
 
-  return false
+  const hasMemory =
+    Boolean(record.summary) || (Array.isArray(record.facts) && record.facts.length > 0)
+  const memoryStale = hasMemory && getLastSummaryTs(record) >= cutTs
+  if (memoryStale) {
+    record.summary = ''
+    record.facts = []
+    record.last_summary_ts = 0
+  }
+  for (const key of ['memory_history', 'topic_history']) {
+    if (Array.isArray(record[key])) {
+      record[key] = record[key].filter((entry) => entry && entry.ts < cutTs)
+    }
+  }
+
+  const lastUser = record.raw_messages
+    .filter((message) => message && message.role === 'user')
+    .pop()
+  record.last_message_ts = lastUser && Number.isFinite(lastUser.ts) ? lastUser.ts : 0
+  record.last_updated_ts = Date.now()
+  saveChatRecord(record)
+
+  const chatKey = `${record.user_id}:${record.chat_id}`
+  broadcastChatUpdate(chatKey, {
+    type: 'rewind',
+    chat_id: record.chat_id,
+    content: {
+      message_id: turn.messageId,
+      raw_count: record.raw_messages.length,
+      memory_reset: memoryStale,
+    },
+  })
+  broadcastChatListUpdate('updated', record)
+  return memoryStale
 }
 
-async function determineInfoSeeking({ prompt, modelId }) {
-  const seed = trimToCharBudget(String(prompt || '').replace(/\s+/g, ' ').trim(), 400)
-  const fallbackInfo = isInformationSeekingPromptHeuristic(prompt)
-  const fallback = {
-    infoSeeking: fallbackInfo,
-    needsWeb: fallbackInfo,
-    confidence: 0.5,
-    reason: 'heuristic',
-    source: 'heuristic',
-  }
-  if (!seed) return { ...fallback, infoSeeking: false, needsWeb: false }
-  const classifierModelId = isNonEmptyString(config.INFO_SEEKING_MODEL_ID)
-    ? config.INFO_SEEKING_MODEL_ID
-    : modelId || config.DEFAULT_MODEL_ID
-  const systemPrompt =
-    'You are a routing classifier. Decide if the user prompt is information-seeking. ' +
-    'Set needs_web=true if the question is time-sensitive, requires verification, or you are unsure. ' +
-    'Return only JSON with keys: info_seeking (boolean), needs_web (boolean), ' +
-    'confidence (0-1), reason (string).'
-  const userPrompt = `Prompt: ${seed}`
-  try {
-    const response = await callOllamaChat({
-      baseUrl: config.OLLAMA_URL,
-      model: classifierModelId,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt },
-      ],
-      stream: false,
-      timeoutMs: INFO_SEEKING_TIMEOUT_MS,
-      options: { temperature: 0, top_p: 0.1 },
-      format: 'json',
-    })
-    const parsed = extractJson(response)
-    if (parsed && typeof parsed === 'object') {
-      const infoSeeking =
-        typeof parsed.info_seeking === 'boolean'
-          ? parsed.info_seeking
-          : typeof parsed.needs_web === 'boolean'
-            ? parsed.needs_web
-            : fallback.infoSeeking
-      const needsWeb =
-        typeof parsed.needs_web === 'boolean' ? parsed.needs_web : infoSeeking
-      const confidenceRaw =
-        typeof parsed.confidence === 'number' ? parsed.confidence : fallback.confidence
-      const confidence = Math.min(1, Math.max(0, confidenceRaw))
-      const reason =
-        typeof parsed.reason === 'string' && parsed.reason.trim()
-          ? parsed.reason.trim()
-          : 'classifier'
-      return {
-        infoSeeking,
-        needsWeb,
-        confidence,
-        reason,
-        source: 'llm',
-      }
+function pushHistory(record, key, entry) {
+  const history = Array.isArray(record[key]) ? record[key] : []
+  history.push(entry)
+  record[key] = history.slice(-MEMORY_HISTORY_LIMIT)
+}
+
+function findHistoryAt(record, key, ts) {
+  const history = Array.isArray(record[key]) ? record[key] : []
+  let match = null
+  for (const entry of history) {
+    if (entry && Number.isFinite(entry.ts) && entry.ts <= ts) {
+      match = entry
     }
-  } catch (error) {
-    console.warn('Info-seeking classification failed:', error)
   }
+  return match
+}
 
-  return fallback
+function findChatTurn(record, messageId) {
+  const raw = record && Array.isArray(record.raw_messages) ? record.raw_messages : []
+  const userIndex = raw.findIndex(
+    (message) => message && message.role === 'user' && message.message_id === messageId
+  )
+  if (userIndex === -1) return null
+  const next = raw[userIndex + 1]
+  return {
+    messageId,
+    userIndex,
+    assistantIndex: next && next.role === 'assistant' ? userIndex + 1 : -1,
+  }
 }
 
-function isConversationalPrompt(text) {
-  const normalized = String(text || '')
-    .toLowerCase()
-    .replace(/[^\w\s?']/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim()
-  if (!normalized) return false
-  const phrases = [
-    'how about you',
-    'what about you',
-    'and you',
-    'how are you',
-    'who are you',
-    'what are you',
-    'what can you do',
-    'what do you do',
-    'tell me more',
-    'tell me more about you',
-    'tell me about yourself',
-    'introduce yourself',
-    'who made you',
-    'who built you',
-    'who created you',
-    'who trained you',
-    'are you real',
-    'are you human',
-    'your name',
-    'are you there',
-    'you there',
-    'can you hear me',
-    'can you see me',
-    'are you listening',
-    'thanks',
-    'thank you',
-    'thx',
-    'ty',
-    'hi',
-    'hello',
-    'hey',
-    'sup',
-    'yo',
-    'good morning',
-    'good evening',
-    'good night',
-    'good afternoon',
-    'nice to meet you',
-    'bye',
-    'goodbye',
-    'see you',
-    'see ya',
-    'later',
-    'gn',
-  ]
-  if (
-    phrases.some(
-      (phrase) =>
-        normalized === phrase ||
-        normalized.startsWith(`${phrase} `) ||
-        normalized.endsWith(` ${phrase}`) ||
-        normalized.includes(` ${phrase} `)
-    )
-  ) {
-    return true
+function findAssistantMessage(record, messageId) {
+  const turn = messageId ? findChatTurn(record, messageId) : null
+  if (turn && turn.assistantIndex !== -1) {
+    return record.raw_messages[turn.assistantIndex]
   }
-  const shortReplies = [
-    'ok',
-    'okay',
-    'sure',
-    'cool',
-    'great',
-    'nice',
-    'fine',
-    'alright',
-    'thanks',
-    'thank you',
-    'np',
-    'k',
+  return null
+}
+
+function ensureAnswerVersions(record, message, messageId) {
+  if (Array.isArray(message.versions) && message.versions.length) return
+  const cached =
+    record.idempotency && record.idempotency[messageId]
+      ? record.idempotency[messageId]
+      : null
+  message.versions = [
+    {
+      content: message.content,
+      ts: message.ts,
+      model_id: message.model_id || '',
+      sources: cached && Array.isArray(cached.sources) ? cached.sources : [],
+      polished: Boolean(message.polished),
+      ...(message.requested_model_id
+        ? { requested_model_id: message.requested_model_id }
+        : {}),
+      ...(message.thinking ? { thinking: message.thinking } : {}),
+      ...(message.tool_calls ? { tool_calls: message.tool_calls } : {}),
+      ...('data' in message ? { data: message.data } : {}),
+      ...(message.stats ? { stats: message.stats } : {}),
+      ...(message.cancelled ? { cancelled: true } : {}),
+      ...(message.error ? { error: message.error } : {}),
+    },
   ]
-  if (normalized.length <= 12 && shortReplies.includes(normalized)) return true
-  return false
+  message.active_version = 0
 }
 
-function getFirstUserPrompt(record, fallback) {
-  if (record && Array.isArray(record.raw_messages)) {
-    const firstUser = record.raw_messages.find(
-      (message) => message.role === 'user' && message.content
-    )
-    if (firstUser && firstUser.content) {
-      return String(firstUser.content)
-    }
+function applyAnswerVersion(record, messageId, message, index) {
+  const version = message.versions[index]
+  message.active_version = index
+  message.content = version.content
+  message.ts = version.ts
+  message.polished = Boolean(version.polished)
+  message.model_id = version.model_id || ''
+  if (version.requested_model_id) {
+    message.requested_model_id = version.requested_model_id
+  } else {
+    delete message.requested_model_id
+  }
+  if (version.cancelled) {
+    message.cancelled = true
+  } else {
+    delete message.cancelled
+  }
+  if (version.thinking) {
+    message.thinking = version.thinking
+  } else {
+    delete message.thinking
+  }
+  if (Array.isArray(version.tool_calls) && version.tool_calls.length) {
+    message.tool_calls = version.tool_calls
+  } else {
+    delete message.tool_calls
+  }
+  if ('data' in version) {
+    message.data = version.data
+  } else {
+    delete message.data
+  }
+  if (version.stats) {
+    message.stats = version.stats
+  } else {
+    delete message.stats
+  }
+
+  record.idempotency = record.idempotency || {}
+  if (version.error) {
+    message.error = version.error
+    delete record.idempotency[messageId]
+    return
+  }
+  delete message.error
+  record.idempotency[messageId] = {
+    answer: version.content,
+    ts: version.ts,
+    sources: Array.isArray(version.sources) ? version.sources : [],
+    polished: Boolean(version.polished),
+    ...('data' in version ? { data: version.data } : {}),
+    ...(version.cancelled ? { cancelled: true } : {}),
   }
-  return fallback ? String(fallback) : ''
 }
 
-function startStreamResponse(res) {
-  if (res.headersSent) return
-  res.statusCode = 200
-  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8')
-  res.setHeader('Cache-Control', 'no-cache, no-transform')
-  res.setHeader('Connection', 'keep-alive')
+function broadcastAnswerVersion(record, messageId, message) {
+  const chatKey = `${record.user_id}:${record.chat_id}`
+  broadcastChatUpdate(chatKey, {
+    type: 'answer',
+    chat_id: record.chat_id,
+    content: {
+      answer: message.content,
+      ts: message.ts,
+      polished: Boolean(message.polished),
+      message_id: messageId,
+      model_id: message.model_id || '',
+      version: message.active_version,
+      versions_count: message.versions.length,
+    },
+  })
 }
 
-function writeNdjson(res, payload) {
-  if (res.writableEnded) return
-  res.write(`${JSON.stringify(payload)}\n`)
+function buildVersionList(record, messageId, message) {
+  if (Array.isArray(message.versions) && message.versions.length) {
+    return message.versions.map((version, index) => ({ index, ...version }))
+  }
+  const cached =
+    record.idempotency && record.idempotency[messageId]
+      ? record.idempotency[messageId]
+      : null
+  return [
+    {
+      index: 0,
+      content: message.content,
+      ts: message.ts,
+      model_id: message.model_id || '',
+      sources: cached && Array.isArray(cached.sources) ? cached.sources : [],
+      polished: Boolean(message.polished),
+    },
+  ]
 }
 
-function startSseResponse(res) {
-  if (res.headersSent) return
-  res.statusCode = 200
-  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8')
-  res.setHeader('Cache-Control', 'no-cache, no-transform')
-  res.setHeader('Connection', 'keep-alive')
+async function runPostAnswerUpdates({
+  record,
+  answer,
+  answerTs,
+  messageTs,
+  prompt,
+  modelId,
+  sources = [],
+  messageId,
+  infoSeeking = true,
+  routeConfidence = 1,
+  emit,
+  skipMemory = false,
+  rebuildMemory = false,
+  signal = null,
+}) {
+  if (!record) return
+  const isCancelled = () => Boolean(signal && signal.aborted)
+  try {
+    await updateTopicAndTitle({
+      record,
+      prompt,
+      messageTs: messageTs || answerTs,
+      modelId,
+      emit,
+      signal,
+    })
+    if (isCancelled()) return
+    await maybePolishAnswer({
+      record,
+      answer,
+      prompt,
+      modelId,
+      infoSeeking,
+      routeConfidence,
+      sources,
+      messageId,
+      signal,
+    })
+    if (!skipMemory && !isCancelled()) {
+      await maybeUpdateMemory(
+        record,
+        answerTs,
+        modelId,
+        POST_ANSWER_TASK_TIMEOUT_MS,
+        signal,
+        rebuildMemory
+      )
+      saveChatRecord(record)
+    }
+    saveChatRecord(record)
+  } catch (error) {
+    console.error('Post-answer updates failed:', error)
+  }
 }
 
-function writeSse(res, event, payload) {
-  if (res.writableEnded) return
-  res.write(`event: ${event}\n`)
-  res.write(`data: ${JSON.stringify(payload)}\n\n`)
-}
+async function maybePolishAnswer({
+  record,
+  answer,
+  prompt,
+  modelId,
+  infoSeeking,
+  routeConfidence,
+  sources,
+  messageId,
+  signal = null,
+}) {
+  if (!record || !answer) return false
+  const trimmedAnswer = String(answer || '').trim()
+  if (!trimmedAnswer) return false
 
-function addGlobalListener(res) {
-  const entry = { res, heartbeat: null }
-  globalListeners.add(entry)
-  entry.heartbeat = setInterval(() => {
-    if (res.writableEnded) return
-    res.write(': ping\n\n')
-  }, 15000)
-  return entry
-}
+  const shouldPolish = trimmedAnswer.length >= POLISH_MIN_CHARS
 
-function removeGlobalListener(entry) {
-  if (!entry) return
-  if (entry.heartbeat) {
-    clearInterval(entry.heartbeat)
+  if (!shouldPolish) {
+    console.log('[polish] skipped', {
+      chatId: record.chat_id,
+      infoSeeking,
+      sources: Array.isArray(sources) ? sources.length : 0,
+      answerChars: trimmedAnswer.length,
+      confidence: routeConfidence,
+      minChars: POLISH_MIN_CHARS,
+    })
+    return false
   }
-  globalListeners.delete(entry)
-}
+  console.log('[polish] start', {
+    chatId: record.chat_id,
+    infoSeeking,
+    sources: Array.isArray(sources) ? sources.length : 0,
+    answerChars: trimmedAnswer.length,
+    confidence: routeConfidence,
+    minChars: POLISH_MIN_CHARS,
+  })
 
-function broadcastGlobal(event, payload) {
-  if (globalListeners.size === 0) return
-  for (const entry of globalListeners) {
-    if (entry && entry.res && !entry.res.writableEnded) {
-      writeSse(entry.res, event, payload)
+  const polishModelId = isNonEmptyString(config.POLISH_MODEL_ID)
+    ? config.POLISH_MODEL_ID
+    : modelId || config.DEFAULT_MODEL_ID
+
+  const systemPrompt =
+    'You are a response polisher. Improve clarity and structure. ' +
+    'Do not add new facts. If unsure, say you are not sure. ' +
+    'Keep it concise and preserve any citations already present.'
+  const userPrompt = [
+    'User prompt:',
+    trimToCharBudget(String(prompt || '').replace(/\s+/g, ' ').trim(), 400),
+    '',
+    'Original answer:',
+    trimToCharBudget(trimmedAnswer, 1200),
+  ].join('\n')
+
+  let polished = ''
+  try {
+    polished = await runHighLlm(
+      ({ baseUrl }) =>
+        callOllamaChat({
+          baseUrl,
+          model: polishModelId,
+          messages: [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userPrompt },
+          ],
+          stream: false,
+          timeoutMs: POLISH_TIMEOUT_MS,
+          options: { temperature: 0.2 },
+          signal,
+        }),
+      { signal, model: polishModelId }
+    )
+  } catch (error) {
+    if (!isCancelledError(error)) {
+      console.warn('Polish pass failed:', error)
     }
+    return false
   }
-}
 
-function broadcastToAllChatListeners(event, payload) {
-  if (chatListeners.size === 0) return
-  for (const listeners of chatListeners.values()) {
-    for (const entry of listeners) {
-      if (entry && entry.res && !entry.res.writableEnded) {
-        writeSse(entry.res, event, payload)
+  const cleaned = String(polished || '').trim()
+  if (!cleaned) {
+    console.warn('[polish] empty response')
+    return false
+  }
+  if (normalizeForCompare(cleaned) === normalizeForCompare(trimmedAnswer)) {
+    console.log('[polish] no change')
+    return false
+  }
+
+  let target = findAssistantMessage(record, messageId)
+  if (!target && Array.isArray(record.raw_messages)) {
+    for (let i = record.raw_messages.length - 1; i >= 0; i -= 1) {
+      const message = record.raw_messages[i]
+      if (message && message.role === 'assistant') {
+        target = message
+        break
       }
     }
   }
-}
 
-function ensureChatUiState(chatId) {
-  let state = uiState.chats.get(chatId)
-  if (!state) {
-    state = {
-      chat_id: chatId,
-      use_web: null,
-      model_id: '',
-      busy: false,
-      input_disabled: false,
-      history_locked: false,
-      active: false,
-      last_message_id: '',
-      last_update_ts: 0,
+  let activeUpdated = false
+  if (target) {
+    if (Array.isArray(target.versions)) {
+      const version = target.versions.find((item) => item.content === answer)
+      if (version) {
+        version.content = cleaned
+        version.polished = true
+      }
+    }
+    if (!Array.isArray(target.versions) || target.content === answer) {
+      target.content = cleaned
+      target.polished = true
+      activeUpdated = true
     }
-    uiState.chats.set(chatId, state)
   }
-  return state
-}
 
-function buildChatStateSnapshot(state) {
-  if (!state) return null
-  return {
-    chat_id: state.chat_id,
-    use_web: state.use_web,
-    model_id: state.model_id || '',
-    busy: Boolean(state.busy),
-    input_disabled: Boolean(state.input_disabled),
-    history_locked: Boolean(state.history_locked),
-    active: Boolean(state.active),
-    last_message_id: state.last_message_id || '',
-    last_update_ts: state.last_update_ts || 0,
+  if (
+    activeUpdated &&
+    messageId &&
+    record.idempotency &&
+    record.idempotency[messageId]
+  ) {
+    record.idempotency[messageId].answer = cleaned
+    record.idempotency[messageId].polished = true
   }
-}
 
-function getGlobalUiSnapshot() {
-  const busyChats = Array.from(uiState.busyChats)
-  const busy = busyChats.length > 0
-  const activeChatId = uiState.activeChatId || (busyChats[0] || '')
-  return {
-    active_chat_id: activeChatId,
-    busy,
-    busy_chats: busyChats,
-    input_disabled: busy,
-    history_locked: busy,
-  }
-}
+  record.last_updated_ts = Date.now()
+  saveChatRecord(record)
 
-function getUiStateSnapshot() {
-  const chats = Array.from(uiState.chats.values())
-    .map((state) => buildChatStateSnapshot(state))
-    .filter(Boolean)
-  return {
-    global: getGlobalUiSnapshot(),
-    chats,
+  const chatKey = `${record.user_id}:${record.chat_id}`
+  if (activeUpdated) {
+    broadcastChatUpdate(chatKey, {
+      type: 'answer',
+      chat_id: record.chat_id,
+      content: {
+        answer: cleaned,
+        ts: record.last_updated_ts,
+        polished: true,
+        ...(messageId ? { message_id: messageId } : {}),
+      },
+    })
   }
+
+  console.log('[polish] applied', {
+    chatId: record.chat_id,
+    answerChars: cleaned.length,
+  })
+
+  return true
 }
 
-function applyActiveChatUpdate(chatId, isActive, now) {
-  const changed = new Set()
-  const prevActive = uiState.activeChatId
-  if (isActive) {
-    if (prevActive && prevActive !== chatId) {
-      const prevState = ensureChatUiState(prevActive)
-      if (prevState.active) {
-        prevState.active = false
-        prevState.last_update_ts = now
-        changed.add(prevActive)
+async function updateTopicAndTitle({
+  record,
+  prompt,
+  messageTs,
+  modelId,
+  emit,
+  signal = null,
+}) {
+  if (!record) return
+  const safeModelId = modelId || config.DEFAULT_MODEL_ID
+  const titleModelId = isNonEmptyString(config.TITLE_MODEL_ID)
+    ? config.TITLE_MODEL_ID
+    : safeModelId
+  const topicModelId = isNonEmptyString(config.TOPIC_MODEL_ID)
+    ? config.TOPIC_MODEL_ID
+    : safeModelId
+  if (!record.title) {
+    const firstPrompt = getFirstUserPrompt(record, prompt)
+    if (firstPrompt) {
+      let generated = ''
+      try {
+        generated = await runHighLlm(
+          ({ baseUrl }) =>
+            generateTitle(firstPrompt, titleModelId, TITLE_TIMEOUT_MS, signal, baseUrl),
+          { signal, model: titleModelId || config.DEFAULT_MODEL_ID }
+        )
+      } catch (error) {
+        if (!isCancelledError(error)) {
+          console.error('Title generation failed:', error)
+        }
+      }
+      if (!generated) {
+        const fallback = fallbackTitleFromPrompt(firstPrompt)
+        if (fallback) {
+          record.title = fallback
+        }
+      } else {
+        record.title = generated
       }
     }
-    uiState.activeChatId = chatId
-    const currentState = ensureChatUiState(chatId)
-    if (!currentState.active) {
-      currentState.active = true
-      currentState.last_update_ts = now
-      changed.add(chatId)
-    }
-  } else if (prevActive === chatId) {
-    uiState.activeChatId = ''
-    const currentState = ensureChatUiState(chatId)
-    if (currentState.active) {
-      currentState.active = false
-      currentState.last_update_ts = now
-      changed.add(chatId)
+  }
+
+  if (record.title) {
+    saveChatRecord(record)
+    broadcastChatListUpdate('updated', record)
+    if (emit) {
+      emit({
+        stage: 'title',
+        title: record.title,
+        done: false,
+      })
     }
+    const chatKey = `${record.user_id}:${record.chat_id}`
+    broadcastChatUpdate(chatKey, {
+      type: 'title',
+      chat_id: record.chat_id,
+      content: { title: record.title },
+    })
+  }
+
+  if (signal && signal.aborted) return
+
+  await updateTopicAfterAnswer({
+    record,
+    prompt,
+    messageTs,
+    modelId: topicModelId,
+    signal,
+  })
+  saveChatRecord(record)
+  broadcastChatListUpdate('updated', record)
+  if (emit && record.topic) {
+    emit({
+      stage: 'topic',
+      topic: record.topic,
+      ts: record.last_topic_ts,
+      done: false,
+    })
+  }
+  const topicKey = `${record.user_id}:${record.chat_id}`
+  if (record.topic) {
+    broadcastChatUpdate(topicKey, {
+      type: 'topic',
+      chat_id: record.chat_id,
+      content: { topic: record.topic, ts: record.last_topic_ts || 0 },
+    })
   }
-  return Array.from(changed)
 }
 
-function broadcastChatState(chatId, state) {
-  const snapshot = buildChatStateSnapshot(state)
-  if (!snapshot) return
-  const payload = { chat_id: chatId, state: snapshot }
-  broadcastGlobal('chatstate', payload)
-  const chatKey = `${SHARED_USER_ID}:${chatId}`
-  const listeners = chatListeners.get(chatKey)
-  if (listeners && listeners.size) {
-    for (const entry of listeners) {
-      if (entry && entry.res && !entry.res.writableEnded) {
-        writeSse(entry.res, 'chatstate', payload)
+async function maybeUpdateMemory(
+  record,
+  now,
+  modelId,
+  timeoutMs,
+  signal = null,
+  force = false
+) {
+  const summaryAnchor = getLastSummaryTs(record)
+  const messagesSince = record.raw_messages.filter(
+    (message) => message.ts > summaryAnchor
+  )
+  const turnsSince = messagesSince.filter((message) => message.role === 'user').length
+  const tokensSince = estimateTokens(
+    messagesSince.map((message) => message.content).join('\n')
+  )
+
+  if (
+    (force && messagesSince.length > 0) ||
+    shouldUpdateMemory({
+      turnsSinceSummary: turnsSince,
+      tokensSinceSummary: tokensSince,
+      config,
+    })
+  ) {
+    try {
+      const updated = await runHighLlm(
+        ({ baseUrl }) =>
+          updateMemory({
+            baseUrl,
+            memoryModelId: modelId || config.DEFAULT_MODEL_ID,
+            previousSummary: record.summary,
+            previousFacts: record.facts,
+            // Only the visible turns feed memory; stored thinking stays out of it.
+            messagesSince: messagesSince.map(({ role, content, ts }) => ({ role, content, ts })),
+            summaryBudget: config.SUMMARY_TOKEN_BUDGET,
+            factsBudget: config.FACTS_TOKEN_BUDGET,
+            inputTokenBudget: config.MEMORY_UPDATE_INPUT_TOKENS,
+            timeoutMs,
+            signal,
+          }),
+        { signal, model: modelId || config.DEFAULT_MODEL_ID }
+      )
+
+      if (updated) {
+        record.summary = updated.summary
+        record.facts = updated.facts
+        record.last_summary_ts = now
+        pushHistory(record, 'memory_history', {
+          ts: now,
+          summary: updated.summary,
+          facts: updated.facts,
+        })
+      }
+    } catch (error) {
+      if (!isCancelledError(error)) {
+        console.error('Memory update failed:', error)
       }
     }
   }
 }
 
-function broadcastGlobalState() {
-  const payload = getGlobalUiSnapshot()
-  broadcastGlobal('globalstate', payload)
-  broadcastToAllChatListeners('globalstate', payload)
-}
-
-function updateChatUiState(chatId, updates = {}, meta = {}) {
-  const now = Date.now()
-  const state = ensureChatUiState(chatId)
-  const changedChatIds = new Set([chatId])
-
-  if (typeof updates.use_web === 'boolean') {
-    state.use_web = updates.use_web
+function getLastMessageTs(record) {
+  if (!record) return 0
+  if (Number.isFinite(record.last_message_ts) && record.last_message_ts > 0) {
+    return record.last_message_ts
   }
+  if (!Array.isArray(record.raw_messages)) return 0
+  return record.raw_messages.reduce((max, message) => {
+    const ts = Number.isFinite(message.ts) ? message.ts : 0
+    return ts > max ? ts : max
+  }, 0)
+}
 
-  if (typeof updates.model_id === 'string' && updates.model_id.trim()) {
-    state.model_id = updates.model_id.trim()
+function getLastUpdatedTs(record) {
+  if (!record) return 0
+  if (Number.isFinite(record.last_updated_ts) && record.last_updated_ts > 0) {
+    return record.last_updated_ts
   }
+  return getLastMessageTs(record)
+}
 
-  if (typeof updates.busy === 'boolean') {
-    state.busy = updates.busy
-    if (updates.busy) {
-      uiState.busyChats.add(chatId)
-    } else {
-      uiState.busyChats.delete(chatId)
-    }
-    if (typeof updates.input_disabled !== 'boolean') {
-      state.input_disabled = updates.busy
-    }
-    if (typeof updates.history_locked !== 'boolean') {
-      state.history_locked = updates.busy
-    }
+function getLastSummaryTs(record) {
+  if (!record) return 0
+  if (Number.isFinite(record.last_summary_ts) && record.last_summary_ts > 0) {
+    return record.last_summary_ts
   }
-
-  if (typeof updates.input_disabled === 'boolean') {
-    state.input_disabled = updates.input_disabled
+  const hasLastMessage =
+    Number.isFinite(record.last_message_ts) && record.last_message_ts > 0
+  if (!hasLastMessage) {
+    return Number.isFinite(record.last_updated_ts) ? record.last_updated_ts : 0
   }
+  return 0
+}
 
-  if (typeof updates.history_locked === 'boolean') {
-    state.history_locked = updates.history_locked
-  }
+async function generateTitle(prompt, modelId, timeoutMs, signal = null, baseUrl = null) {
+  console.log('[title] request', {
+    modelId: modelId || config.DEFAULT_MODEL_ID,
+    timeoutMs,
+    promptPreview: summarizePrompt(prompt, 120),
+  })
+  const systemPrompt =
+    'Return a JSON object with a "title" string only. ' +
+    'Do not copy the prompt verbatim. ' +
+    'No analysis. No extra keys.'
+  const seed = summarizePrompt(prompt, 240)
+  const userPrompt = buildTitlePrompt(seed, false)
 
-  if (meta && meta.message_id) {
-    state.last_message_id = meta.message_id
-  }
+  const titleModelId = modelId || config.DEFAULT_MODEL_ID
+  const titleBaseUrl = baseUrl || getBackendUrl(titleModelId)
 
-  state.last_update_ts = now
+  const response = await callOllamaChat({
+    baseUrl: titleBaseUrl,
+    model: titleModelId,
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt },
+    ],
+    stream: false,
+    timeoutMs,
+    options: TITLE_LLM_OPTIONS,
+    format: 'json',
+    signal,
+  })
 
-  if (typeof updates.active === 'boolean') {
-    const activeChanges = applyActiveChatUpdate(chatId, updates.active, now)
-    for (const id of activeChanges) {
-      changedChatIds.add(id)
-    }
-  }
+  const parsed = extractJson(response)
+  const rawTitle =
+    parsed && typeof parsed.title === 'string'
+      ? parsed.title
+      : String(response || '').split('\n')[0]
+  const cleaned = stripTrailingThink(
+    limitWords(
+      String(rawTitle || '')
+        .replace(/^["'“”]+|["'“”]+$/g, '')
+        .replace(/[.?!]+$/, '')
+        .trim(),
+      TITLE_MAX_WORDS
+    ),
+    seed
+  )
 
-  for (const id of changedChatIds) {
-    broadcastChatState(id, ensureChatUiState(id))
+  if (!cleaned || isTooSimilarTitle(cleaned, seed)) {
+    console.warn('[title] empty or similar response, retrying with relaxed options')
+    const retry = await callOllamaChat({
+      baseUrl: titleBaseUrl,
+      model: titleModelId,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: buildTitlePrompt(seed, true) },
+      ],
+      stream: false,
+      timeoutMs,
+      options: TITLE_LLM_RETRY_OPTIONS,
+      format: 'json',
+      signal,
+    })
+    const retryParsed = extractJson(retry)
+    const retryRaw =
+      retryParsed && typeof retryParsed.title === 'string'
+        ? retryParsed.title
+        : String(retry || '').split('\n')[0]
+    const retryCleaned = stripTrailingThink(
+      limitWords(
+        String(retryRaw || '')
+          .replace(/^["'“”]+|["'“”]+$/g, '')
+          .replace(/[.?!]+$/, '')
+          .trim(),
+        TITLE_MAX_WORDS
+      ),
+      seed
+    )
+    if (!retryCleaned) return fallbackTitleFromPrompt(prompt)
+    return trimToCharBudget(retryCleaned, config.TITLE_MAX_CHARS)
   }
-  broadcastGlobalState()
-  return ensureChatUiState(chatId)
+  return trimToCharBudget(cleaned, config.TITLE_MAX_CHARS)
 }
 
-function clearChatUiState(chatId) {
-  if (!chatId) return
-  uiState.chats.delete(chatId)
-  uiState.busyChats.delete(chatId)
-  if (uiState.activeChatId === chatId) {
-    uiState.activeChatId = ''
-  }
-  broadcastGlobalState()
+function summarizePrompt(value, maxChars) {
+  const cleaned = String(value || '').replace(/\s+/g, ' ').trim()
+  return trimToCharBudget(cleaned, maxChars || 120)
 }
 
-function addChatListener(chatKey, res) {
-  const entry = { res, heartbeat: null }
-  let listeners = chatListeners.get(chatKey)
-  if (!listeners) {
-    listeners = new Set()
-    chatListeners.set(chatKey, listeners)
-  }
-  listeners.add(entry)
-  entry.heartbeat = setInterval(() => {
-    if (res.writableEnded) return
-    res.write(': ping\n\n')
-  }, 15000)
-  return entry
+function buildTitlePrompt(seed, strict) {
+  const extra = strict
+    ? 'Use different wording than the prompt.'
+    : 'Paraphrase briefly.'
+  return [
+    `Title (max ${TITLE_MAX_WORDS} words). Return JSON: {"title":"..."}.`,
+    extra,
+    `Latest prompt: ${seed}`,
+  ]
+    .filter(Boolean)
+    .join('\n')
 }
 
-function removeChatListener(chatKey, entry) {
-  if (!entry) return
-  if (entry.heartbeat) {
-    clearInterval(entry.heartbeat)
-  }
-  const listeners = chatListeners.get(chatKey)
-  if (!listeners) return
-  listeners.delete(entry)
-  if (listeners.size === 0) {
-    chatListeners.delete(chatKey)
-  }
+function normalizeForCompare(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^\w\s'-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
 }
 
-function broadcastChatUpdate(chatKey, payload) {
-  const listeners = chatListeners.get(chatKey)
-  if (!listeners || listeners.size === 0) return
-  for (const entry of listeners) {
-    if (entry && entry.res && !entry.res.writableEnded) {
-      writeSse(entry.res, 'chatinfoupdate', payload)
-    }
-  }
+function isTooSimilarTitle(title, prompt) {
+  const a = normalizeForCompare(title)
+  const b = normalizeForCompare(prompt)
+  if (!a || !b) return false
+  if (a === b) return true
+  if (b.includes(a) && a.length >= 8) return true
+  return false
 }
 
-async function streamOllamaChat({ res, baseUrl, model, messages, end = true }) {
-  const endpoint = new URL('/api/chat', baseUrl)
-  const controller = new AbortController()
-  let aborted = false
-  let buffer = ''
-  let answer = ''
-  let sawDone = false
-
-  const onClose = () => {
-    aborted = true
-    controller.abort()
+async function handlePresets(req, res, url) {
+  const parts = url.pathname.split('/').filter(Boolean).slice(2)
+  const presetId = parts.length === 1 ? decodeURIComponent(parts[0]) : ''
+  if (parts.length > 1 || (parts.length === 1 && !isNonEmptyString(presetId))) {
+    respondJson(res, 404, { error: 'Not found.' })
+    return
   }
 
-  res.on('close', onClose)
+  if (!presetId && req.method === 'GET') {
+    respondJson(res, 200, { presets: store.listPresets() })
+    return
+  }
 
-  const upstream = await fetch(endpoint, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ model, messages, stream: true }),
-    signal: controller.signal,
-  })
+  const existing = presetId ? store.loadPreset(presetId) : null
+  if (presetId && !existing) {
+    respondJson(res, 404, { error: 'Preset not found.' })
+    return
+  }
 
-  if (!upstream.ok) {
-    const text = await upstream.text()
-    res.off('close', onClose)
-    throw new Error(`Ollama error ${upstream.status}: ${text}`)
+  if (req.method === 'GET') {
+    respondJson(res, 200, { preset: existing })
+    return
   }
 
-  if (!upstream.body) {
-    res.off('close', onClose)
-    throw new Error('Ollama streaming body missing.')
+  if (req.method === 'DELETE') {
+    store.deletePreset(presetId)
+    respondJson(res, 200, { ok: true, preset_id: presetId })
+    return
   }
 
-  startStreamResponse(res)
+  if (req.method !== 'POST' && !(presetId && req.method === 'PUT')) {
+    respondJson(res, 404, { error: 'Not found.' })
+    return
+  }
 
-  const reader = upstream.body.getReader()
+  let payload
+  try {
+    payload = await readJsonBody(req, config.MAX_BODY_BYTES)
+  } catch (error) {
+    respondJson(res, 400, { error: 'Invalid JSON body.' })
+    return
+  }
+  if (!payload || typeof payload !== 'object') {
+    respondJson(res, 400, { error: 'Missing request body.' })
+    return
+  }
 
-  while (true) {
-    const { value, done } = await reader.read()
-    if (done) break
-    const chunk = Buffer.from(value).toString('utf-8')
-    if (!res.writableEnded) {
-      res.write(chunk)
-    }
-    buffer += chunk
-    const lines = buffer.split('\n')
-    buffer = lines.pop() || ''
-    for (const line of lines) {
-      const trimmed = line.trim()
-      if (!trimmed) continue
-      try {
-        const parsed = JSON.parse(trimmed)
-        if (parsed && parsed.message && typeof parsed.message.content === 'string') {
-          answer += parsed.message.content
-        }
-        if (parsed && parsed.done === true) {
-          sawDone = true
-        }
-      } catch {
-        // Ignore parsing errors for partial lines.
-      }
-    }
+  let fields
+  try {
+    fields = normalizePreset(payload, existing)
+  } catch (error) {
+    respondJson(res, 400, { error: error.message })
+    return
   }
 
-  const trailing = buffer.trim()
-  if (trailing) {
-    try {
-      const parsed = JSON.parse(trailing)
-      if (parsed && parsed.message && typeof parsed.message.content === 'string') {
-        answer += parsed.message.content
-      }
-      if (parsed && parsed.done === true) {
-        sawDone = true
-      }
-    } catch {
-      // ignore
+  const now = Date.now()
+  let id = presetId
+  if (!id) {
+    id = isNonEmptyString(payload.id) ? payload.id.trim() : randomUUID()
+    if (store.loadPreset(id)) {
+      respondJson(res, 409, { error: 'Preset already exists.' })
+      return
     }
   }
-
-  if (end && !res.writableEnded) {
-    res.end()
+  const preset = {
+    id,
+    ...fields,
+    created_ts: existing ? existing.created_ts : now,
+    updated_ts: now,
   }
+  store.savePreset(preset)
+  respondJson(res, 200, { ok: true, preset })
+}
 
-  res.off('close', onClose)
-
-  return {
-    answer,
-    completed: !aborted && (sawDone || answer.length > 0),
+function handleStats(_req, res, url) {
+  const from = url.searchParams.get('from') || ''
+  const to = url.searchParams.get('to') || ''
+  if ([from, to].some((day) => day && !/^\d{4}-\d{2}-\d{2}$/.test(day))) {
+    respondJson(res, 400, { error: 'from and to must be YYYY-MM-DD.' })
+    return
   }
+  const records = store
+    .listChatsForUser(SHARED_USER_ID)
+    .map((chat) => loadChatRecord(SHARED_USER_ID, chat.chat_id))
+    .filter(Boolean)
+  respondJson(res, 200, { time_zone: config.TIMEZONE, ...summarizeUsage(records, { from, to }) })
 }
 
-async function finalizeChatTurn({
-  record,
-  prompt,
-  messageId,
-  messageTs,
-  answer,
-  answerTs,
-  modelId,
-  sources = [],
-  deferHeavy = false,
-}) {
-  record.raw_messages.push({
-    role: 'user',
-    content: prompt,
-    ts: messageTs,
-    message_id: messageId,
-  })
-  record.raw_messages.push({
-    role: 'assistant',
-    content: answer,
-    ts: answerTs,
-    polished: false,
-  })
+async function handleListChats(_req, res) {
+  const userId = SHARED_USER_ID
+  const chats = listChatSummaries(userId)
+  respondJson(res, 200, { chats })
+}
 
-  record.last_message_ts = messageTs
-  record.last_updated_ts = messageTs
+async function handleGlobalStream(req, res) {
+  const userId = SHARED_USER_ID
+  startSseResponse(res)
+  writeSse(res, 'ready', { ok: true, user_id: userId })
+  writeSse(res, 'chatlist', { chats: listChatSummaries(userId) })
+  writeSse(res, 'uistate', getUiStateSnapshot())
 
-  record.idempotency = record.idempotency || {}
-  record.idempotency[messageId] = {
-    answer,
-    ts: answerTs,
-    sources: Array.isArray(sources) ? sources : [],
-    polished: false,
+  const entry = addGlobalListener(res)
+  const cleanup = () => removeGlobalListener(entry)
+  req.on('close', cleanup)
+  res.on('close', cleanup)
+}
+
+function listChatSummaries(userId) {
+  const chats = store.listChatsForUser(userId)
+  const forks = new Map()
+  for (const chat of chats) {
+    const parentId = chat.forked_from ? chat.forked_from.chat_id : ''
+    if (!parentId) continue
+    if (!forks.has(parentId)) forks.set(parentId, [])
+    forks.get(parentId).push(chat.chat_id)
   }
+  return chats.map((chat) => ({
+    chat_id: chat.chat_id,
+    title: chat.title || 'New chat',
+    topic: chat.topic || '',
+    summary: chat.summary || '',
+    facts: Array.isArray(chat.facts) ? chat.facts : [],
+    last_updated_ts: chat.last_updated_ts,
+    last_message_ts: chat.last_message_ts,
+    last_summary_ts: chat.last_summary_ts,
+    last_topic_ts: chat.last_topic_ts,
+    raw_count: chat.raw_count,
+    forked_from: chat.forked_from || null,
+    forks: forks.get(chat.chat_id) || [],
+  }))
+}
 
-  saveChatRecord(record)
-  const chatKey = `${record.user_id}:${record.chat_id}`
-  broadcastChatUpdate(chatKey, {
-    type: 'message',
+function buildChatSummaryFromRecord(record) {
+  if (!record) return null
+  return {
     chat_id: record.chat_id,
-    content: {
-      role: 'assistant',
-      content: answer,
-      ts: answerTs,
-      message_id: messageId,
-      polished: false,
-    },
-  })
-  broadcastChatListUpdate('updated', record)
-
-  if (deferHeavy) {
-    return
+    title: record.title || 'New chat',
+    topic: record.topic || '',
+    summary: record.summary || '',
+    facts: Array.isArray(record.facts) ? record.facts : [],
+    last_updated_ts: getLastUpdatedTs(record),
+    last_message_ts: getLastMessageTs(record),
+    last_summary_ts: getLastSummaryTs(record),
+    last_topic_ts: Number.isFinite(record.last_topic_ts) ? record.last_topic_ts : 0,
+    raw_count: Array.isArray(record.raw_messages) ? record.raw_messages.length : 0,
+    forked_from: record.forked_from || null,
   }
-
-  await runPostAnswerUpdates({
-    record,
-    answer,
-    answerTs,
-    messageTs,
-    prompt,
-    modelId,
-    sources,
-    messageId,
-  })
-  saveChatRecord(record)
 }
 
-async function runPostAnswerUpdates({
-  record,
-  answer,
-  answerTs,
-  messageTs,
-  prompt,
-  modelId,
-  sources = [],
-  messageId,
-  infoSeeking = true,
-  routeConfidence = 1,
-  emit,
-  skipMemory = false,
-}) {
-  if (!record) return
-  try {
-    await updateTopicAndTitle({
-      record,
-      prompt,
-      messageTs: messageTs || answerTs,
-      modelId,
-      emit,
-    })
-    await maybePolishAnswer({
-      record,
-      answer,
-      prompt,
-      modelId,
-      infoSeeking,
-      routeConfidence,
-      sources,
-      messageId,
-    })
-    if (!skipMemory) {
-      await maybeUpdateMemory(record, answerTs, modelId, POST_ANSWER_TASK_TIMEOUT_MS)
-      saveChatRecord(record)
-    }
-    saveChatRecord(record)
-  } catch (error) {
-    console.error('Post-answer updates failed:', error)
+function broadcastChatListUpdate(type, recordOrPayload) {
+  if (!type) return
+  let payload = null
+  if (type === 'deleted') {
+    const chatId =
+      recordOrPayload && typeof recordOrPayload.chat_id === 'string'
+        ? recordOrPayload.chat_id
+        : ''
+    payload = { type: 'deleted', chat_id: chatId }
+  } else {
+    const summary = buildChatSummaryFromRecord(recordOrPayload)
+    if (!summary) return
+    payload = { type, chat: summary }
   }
+  broadcastGlobal('chatlistupdate', payload)
 }
 
-async function maybePolishAnswer({
-  record,
-  answer,
-  prompt,
-  modelId,
-  infoSeeking,
-  routeConfidence,
-  sources,
-  messageId,
-}) {
-  if (!record || !answer) return false
-  const trimmedAnswer = String(answer || '').trim()
-  if (!trimmedAnswer) return false
+async function handleChatRead(_req, res, url) {
+  const userId = SHARED_USER_ID
 
-  const shouldPolish = trimmedAnswer.length >= POLISH_MIN_CHARS
+  const path = url.pathname.replace(/^\/api\/chats\//, '')
+  const parts = path.split('/').filter(Boolean)
+  const chatId = decodeURIComponent(parts[0] || '')
 
-  if (!shouldPolish) {
-    console.log('[polish] skipped', {
-      chatId: record.chat_id,
-      infoSeeking,
-      sources: Array.isArray(sources) ? sources.length : 0,
-      answerChars: trimmedAnswer.length,
-      confidence: routeConfidence,
-      minChars: POLISH_MIN_CHARS,
+  if (!isNonEmptyString(chatId)) {
+    respondJson(res, 404, { error: 'Not found.' })
+    return
+  }
+
+  const { record, created } = store.getOrCreateChatWithMeta(userId, chatId)
+  if (created) {
+    broadcastChatListUpdate('added', record)
+  }
+
+  const title = record.title || 'New chat'
+
+  const lastMessageTs = getLastMessageTs(record)
+
+  if (parts.length === 1) {
+    respondJson(res, 200, {
+      chat_id: record.chat_id,
+      title,
+      topic: record.topic || '',
+      summary: record.summary || '',
+      facts: Array.isArray(record.facts) ? record.facts : [],
+      last_updated_ts: getLastUpdatedTs(record),
+      last_message_ts: lastMessageTs,
+      last_summary_ts: getLastSummaryTs(record),
+      last_topic_ts: Number.isFinite(record.last_topic_ts) ? record.last_topic_ts : 0,
+      raw_count: Array.isArray(record.raw_messages)
+        ? record.raw_messages.length
+        : 0,
+      forked_from: record.forked_from || null,
+      persona: record.persona || '',
+      system_prompt: record.system_prompt || '',
     })
-    return false
+    return
   }
-  console.log('[polish] start', {
-    chatId: record.chat_id,
-    infoSeeking,
-    sources: Array.isArray(sources) ? sources.length : 0,
-    answerChars: trimmedAnswer.length,
-    confidence: routeConfidence,
-    minChars: POLISH_MIN_CHARS,
-  })
 
-  const polishModelId = isNonEmptyString(config.POLISH_MODEL_ID)
-    ? config.POLISH_MODEL_ID
-    : modelId || config.DEFAULT_MODEL_ID
+  if (parts.length === 2 && parts[1] === 'messages') {
+    const offset = Number.parseInt(url.searchParams.get('offset') || '0', 10)
+    const limit = Number.parseInt(url.searchParams.get('limit') || '0', 10)
+    const raw = Array.isArray(record.raw_messages) ? record.raw_messages : []
+    const safeOffset = Number.isFinite(offset) && offset > 0 ? offset : 0
+    const sliced =
+      Number.isFinite(limit) && limit > 0
+        ? raw.slice(safeOffset, safeOffset + limit)
+        : raw.slice(safeOffset)
 
-  const systemPrompt =
-    'You are a response polisher. Improve clarity and structure. ' +
-    'Do not add new facts. If unsure, say you are not sure. ' +
-    'Keep it concise and preserve any citations already present.'
-  const userPrompt = [
-    'User prompt:',
-    trimToCharBudget(String(prompt || '').replace(/\s+/g, ' ').trim(), 400),
-    '',
-    'Original answer:',
-    trimToCharBudget(trimmedAnswer, 1200),
-  ].join('\n')
+    respondJson(res, 200, {
+      chat_id: record.chat_id,
+      total: raw.length,
+      offset: safeOffset,
+      limit: Number.isFinite(limit) && limit > 0 ? limit : null,
+      messages: sliced.map((message) => toPublicMessage(record.chat_id, message)),
+    })
+    return
+  }
 
-  let polished = ''
-  try {
-    polished = await runHighLlm(() =>
-      callOllamaChat({
-        baseUrl: config.OLLAMA_URL,
-        model: polishModelId,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt },
-        ],
-        stream: false,
-        timeoutMs: POLISH_TIMEOUT_MS,
-        options: { temperature: 0.2 },
-      })
-    )
-  } catch (error) {
-    console.warn('Polish pass failed:', error)
-    return false
+  if (parts.length === 2 && parts[1] === 'documents') {
+    const documents = Array.isArray(record.documents) ? record.documents : []
+    respondJson(res, 200, {
+      chat_id: record.chat_id,
+      documents: documents.map((document) => toPublicDocument(record.chat_id, document)),
+    })
+    return
   }
 
-  const cleaned = String(polished || '').trim()
-  if (!cleaned) {
-    console.warn('[polish] empty response')
-    return false
+  if (parts.length === 3 && parts[1] === 'documents') {
+    const documentId = decodeURIComponent(parts[2] || '')
+    const document = findChatDocument(record, documentId)
+    const raw = document ? store.readChatFile(userId, record.chat_id, document.file) : null
+    if (!raw) {
+      respondJson(res, 404, { error: 'Document not found.' })
+      return
+    }
+    const stored = parseStoredDocument(raw, record, document)
+    if (!stored) {
+      respondJson(res, 500, { error: 'Document could not be read.' })
+      return
+    }
+    respondJson(res, 200, {
+      chat_id: record.chat_id,
+      document: toPublicDocument(record.chat_id, document),
+      chunks: (Array.isArray(stored.chunks) ? stored.chunks : []).map((chunk) => ({
+        index: chunk.index,
+        start_line: chunk.start_line,
+        end_line: chunk.end_line,
+        text: chunk.text,
+      })),
+    })
+    return
   }
-  if (normalizeForCompare(cleaned) === normalizeForCompare(trimmedAnswer)) {
-    console.log('[polish] no change')
-    return false
+
+  if (parts.length === 5 && parts[1] === 'messages' && parts[3] === 'images') {
+    const messageId = decodeURIComponent(parts[2] || '')
+    const imageId = decodeURIComponent(parts[4] || '')
+    const turn = findChatTurn(record, messageId)
+    const images = turn ? record.raw_messages[turn.userIndex].images : null
+    const image = Array.isArray(images)
+      ? images.find((entry) => entry && entry.id === imageId)
+      : null
+    const data = image ? store.readChatFile(userId, record.chat_id, image.file) : null
+    if (!data) {
+      respondJson(res, 404, { error: 'Image not found.' })
+      return
+    }
+    res.statusCode = 200
+    res.setHeader('Content-Type', image.mime_type)
+    res.setHeader('Cache-Control', 'private, max-age=31536000, immutable')
+    res.end(data)
+    return
   }
 
-  if (Array.isArray(record.raw_messages)) {
-    for (let i = record.raw_messages.length - 1; i >= 0; i -= 1) {
-      const message = record.raw_messages[i]
-      if (message && message.role === 'assistant') {
-        message.content = cleaned
-        message.polished = true
-        break
-      }
+  if (parts.length === 4 && parts[1] === 'messages' && parts[3] === 'versions') {
+    const messageId = decodeURIComponent(parts[2] || '')
+    const message = findAssistantMessage(record, messageId)
+    if (!message) {
+      respondJson(res, 404, { error: 'Message not found.' })
+      return
     }
+    respondJson(res, 200, {
+      chat_id: record.chat_id,
+      message_id: messageId,
+      active_version: Number.isInteger(message.active_version)
+        ? message.active_version
+        : 0,
+      versions: buildVersionList(record, messageId, message),
+    })
+    return
   }
 
-  if (messageId && record.idempotency && record.idempotency[messageId]) {
-    record.idempotency[messageId].answer = cleaned
-    record.idempotency[messageId].polished = true
+  respondJson(res, 404, { error: 'Not found.' })
+}
+
+async function handleChatStream(req, res, url) {
+  const userId = SHARED_USER_ID
+
+  const path = url.pathname.replace(/^\/api\/chats\//, '')
+  const parts = path.split('/').filter(Boolean)
+  const chatId = decodeURIComponent(parts[0] || '')
+  const action = parts[1]
+
+  if (!isNonEmptyString(chatId) || action !== 'stream') {
+    respondJson(res, 404, { error: 'Not found.' })
+    return
   }
 
-  record.last_updated_ts = Date.now()
-  saveChatRecord(record)
+  const { record, created } = store.getOrCreateChatWithMeta(userId, chatId)
+  if (created) {
+    broadcastChatListUpdate('added', record)
+  }
 
-  const chatKey = `${record.user_id}:${record.chat_id}`
-  broadcastChatUpdate(chatKey, {
-    type: 'answer',
-    chat_id: record.chat_id,
-    content: { answer: cleaned, ts: record.last_updated_ts, polished: true },
-  })
+  startSseResponse(res)
+  writeSse(res, 'ready', { ok: true, chat_id: chatId })
 
-  console.log('[polish] applied', {
-    chatId: record.chat_id,
-    answerChars: cleaned.length,
-  })
+  const chatKey = `${userId}:${chatId}`
+  const entry = addChatListener(chatKey, res)
 
-  return true
-}
+  writeSse(res, 'chatstate', {
+    chat_id: chatId,
+    state: buildChatStateSnapshot(ensureChatUiState(chatId)),
+  })
+  writeSse(res, 'globalstate', getGlobalUiSnapshot())
 
-async function updateTopicAndTitle({ record, prompt, messageTs, modelId, emit }) {
-  if (!record) return
-  const safeModelId = modelId || config.DEFAULT_MODEL_ID
-  const titleModelId = isNonEmptyString(config.TITLE_MODEL_ID)
-    ? config.TITLE_MODEL_ID
-    : safeModelId
-  const topicModelId = isNonEmptyString(config.TOPIC_MODEL_ID)
-    ? config.TOPIC_MODEL_ID
-    : safeModelId
-  if (!record.title) {
-    const firstPrompt = getFirstUserPrompt(record, prompt)
-    if (firstPrompt) {
-      let generated = ''
-      try {
-        generated = await runHighLlm(() =>
-          generateTitle(firstPrompt, titleModelId, TITLE_TIMEOUT_MS)
-        )
-      } catch (error) {
-        console.error('Title generation failed:', error)
-      }
-      if (!generated) {
-        const fallback = fallbackTitleFromPrompt(firstPrompt)
-        if (fallback) {
-          record.title = fallback
-        }
-      } else {
-        record.title = generated
-      }
-    }
+  const generation = activeGenerations.get(chatKey)
+  if (
+    generation &&
+    generation.phase === 'answer' &&
+    !generation.controller.signal.aborted
+  ) {
+    writeSse(res, 'generation', buildGenerationSnapshot(generation))
   }
 
-  if (record.title) {
-    saveChatRecord(record)
-    broadcastChatListUpdate('updated', record)
-    if (emit) {
-      emit({
-        stage: 'title',
-        title: record.title,
-        done: false,
-      })
-    }
-    const chatKey = `${record.user_id}:${record.chat_id}`
-    broadcastChatUpdate(chatKey, {
+  const currentTitle = record.title || ''
+  const currentTopic = record.topic || ''
+  if (currentTitle) {
+    writeSse(res, 'chatinfoupdate', {
       type: 'title',
-      chat_id: record.chat_id,
-      content: { title: record.title },
+      chat_id: chatId,
+      content: { title: currentTitle },
     })
   }
-
-  await updateTopicAfterAnswer({
-    record,
-    prompt,
-    messageTs,
-    modelId: topicModelId,
-  })
-  saveChatRecord(record)
-  broadcastChatListUpdate('updated', record)
-  if (emit && record.topic) {
-    emit({
-      stage: 'topic',
-      topic: record.topic,
-      ts: record.last_topic_ts,
-      done: false,
+  if (currentTopic) {
+    writeSse(res, 'chatinfoupdate', {
+      type: 'topic',
+      chat_id: chatId,
+      content: { topic: currentTopic, ts: record.last_topic_ts || 0 },
     })
   }
-  const topicKey = `${record.user_id}:${record.chat_id}`
-  if (record.topic) {
-    broadcastChatUpdate(topicKey, {
-      type: 'topic',
-      chat_id: record.chat_id,
-      content: { topic: record.topic, ts: record.last_topic_ts || 0 },
+  if (record.system_prompt || record.persona) {
+    writeSse(res, 'chatinfoupdate', {
+      type: 'persona',
+      chat_id: chatId,
+      content: buildPersonaContent(record),
     })
   }
+
+  const cleanup = () => removeChatListener(chatKey, entry)
+  req.on('close', cleanup)
+  res.on('close', cleanup)
 }
 
-async function maybeUpdateMemory(record, now, modelId, timeoutMs) {
-  const summaryAnchor = getLastSummaryTs(record)
-  const messagesSince = record.raw_messages.filter(
-    (message) => message.ts > summaryAnchor
-  )
-  const turnsSince = messagesSince.filter((message) => message.role === 'user').length
-  const tokensSince = estimateTokens(
-    messagesSince.map((message) => message.content).join('\n')
-  )
+async function handleChatStateUpdate(req, res, url) {
+  const userId = SHARED_USER_ID
+
+  let payload
+  try {
+    payload = await readJsonBody(req, config.MAX_BODY_BYTES)
+  } catch (error) {
+    respondJson(res, 400, { error: 'Invalid JSON body.' })
+    return
+  }
+  if (!payload || typeof payload !== 'object') {
+    respondJson(res, 400, { error: 'Missing request body.' })
+    return
+  }
+
+  const path = url.pathname.replace(/^\/api\/chats\//, '')
+  const parts = path.split('/').filter(Boolean)
+  const chatId = decodeURIComponent(parts[0] || '')
+  const action = parts[1]
+
+  if (!isNonEmptyString(chatId) || action !== 'state') {
+    respondJson(res, 404, { error: 'Not found.' })
+    return
+  }
+
+  // Saved settings are changed under the chat lock so a running turn cannot
+  // overwrite them or be overwritten; UI-only updates apply right away.
+  const applyUpdates = () => {
+    const { record, created } = getOrCreateChatRecord(userId, chatId)
+    if (created) {
+      broadcastChatListUpdate('added', record)
+    }
+
+    let options = null
+    if (typeof payload.options !== 'undefined') {
+      try {
+        options = mergeChatOptions(record.options, payload.options)
+      } catch (error) {
+        respondJson(res, 400, { error: error.message })
+        return
+      }
+    }
 
-  if (
-    shouldUpdateMemory({
-      turnsSinceSummary: turnsSince,
-      tokensSinceSummary: tokensSince,
-      config,
-    })
-  ) {
-    try {
-      const updated = await runHighLlm(() =>
-        updateMemory({
-          baseUrl: config.OLLAMA_URL,
-          memoryModelId: modelId || config.DEFAULT_MODEL_ID,
-          previousSummary: record.summary,
-          previousFacts: record.facts,
-          messagesSince,
-          summaryBudget: config.SUMMARY_TOKEN_BUDGET,
-          factsBudget: config.FACTS_TOKEN_BUDGET,
-          inputTokenBudget: config.MEMORY_UPDATE_INPUT_TOKENS,
-          timeoutMs,
-        })
-      )
+    const useWeb = parseBooleanOverride(
+      typeof payload?.use_web !== 'undefined' ? payload.use_web : payload?.web_search
+    )
+    const active = parseBooleanOverride(payload?.active)
+    // `thinking: null` clears the chat toggle so THINKING_ENABLED applies again.
+    const thinking = payload.thinking === null ? null : parseBooleanOverride(payload.thinking)
+    const hasThinking = payload.thinking === null || thinking !== null
+    // `context_mode: null` likewise returns to CONTEXT_MODE.
+    const hasContextMode = typeof payload.context_mode !== 'undefined'
+    if (
+      hasContextMode &&
+      payload.context_mode !== null &&
+      !CONTEXT_MODES.includes(payload.context_mode)
+    ) {
+      respondJson(res, 400, { error: 'context_mode must be "turns", "prompts", or null.' })
+      return
+    }
+    const modelId =
+      payload && typeof payload.model_id === 'string'
+        ? payload.model_id
+        : typeof payload.model === 'string'
+          ? payload.model
+          : ''
+
+    const updates = {}
+    if (useWeb !== null) updates.use_web = useWeb
+    if (active !== null) updates.active = active
+    if (modelId) updates.model_id = modelId
+    if (options) updates.options = options
+    if (hasThinking) updates.thinking = thinking
+    if (hasContextMode) updates.context_mode = payload.context_mode
+
+    if (Object.keys(updates).length === 0) {
+      respondJson(res, 400, { error: 'No valid state updates provided.' })
+      return
+    }
 
-      if (updated) {
-        record.summary = updated.summary
-        record.facts = updated.facts
-        record.last_summary_ts = now
+    if (options || hasThinking || hasContextMode) {
+      if (options) record.options = options
+      if (hasThinking && thinking === null) {
+        delete record.thinking
+      } else if (hasThinking) {
+        record.thinking = thinking
       }
-    } catch (error) {
-      console.error('Memory update failed:', error)
+      if (hasContextMode && payload.context_mode === null) {
+        delete record.context_mode
+      } else if (hasContextMode) {
+        record.context_mode = payload.context_mode
+      }
+      record.last_updated_ts = Date.now()
+      saveChatRecord(record)
     }
-  }
-}
 
-function getLastMessageTs(record) {
-  if (!record) return 0
-  if (Number.isFinite(record.last_message_ts) && record.last_message_ts > 0) {
-    return record.last_message_ts
+    const state = updateChatUiState(chatId, updates)
+    respondJson(res, 200, { ok: true, chat_id: chatId, state })
   }
-  if (!Array.isArray(record.raw_messages)) return 0
-  return record.raw_messages.reduce((max, message) => {
-    const ts = Number.isFinite(message.ts) ? message.ts : 0
-    return ts > max ? ts : max
-  }, 0)
-}
-
-function getLastUpdatedTs(record) {
-  if (!record) return 0
-  if (Number.isFinite(record.last_updated_ts) && record.last_updated_ts > 0) {
-    return record.last_updated_ts
+  if (['options', 'thinking', 'context_mode'].some((key) => key in payload)) {
+    await withChatLock(`${userId}:${chatId}`, applyUpdates)
+  } else {
+    applyUpdates()
   }
-  return getLastMessageTs(record)
 }
 
-function getLastSummaryTs(record) {
-  if (!record) return 0
-  if (Number.isFinite(record.last_summary_ts) && record.last_summary_ts > 0) {
-    return record.last_summary_ts
+async function handleChatPersona(req, res, url) {
+  const userId = SHARED_USER_ID
+
+  let payload
+  try {
+    payload = await readJsonBody(req, config.MAX_BODY_BYTES)
+  } catch (error) {
+    respondJson(res, 400, { error: 'Invalid JSON body.' })
+    return
   }
-  const hasLastMessage =
-    Number.isFinite(record.last_message_ts) && record.last_message_ts > 0
-  if (!hasLastMessage) {
-    return Number.isFinite(record.last_updated_ts) ? record.last_updated_ts : 0
+  if (!payload || typeof payload !== 'object') {
+    respondJson(res, 400, { error: 'Missing request body.' })
+    return
   }
-  return 0
-}
-
-async function generateTitle(prompt, modelId, timeoutMs) {
-  console.log('[title] request', {
-    modelId: modelId || config.DEFAULT_MODEL_ID,
-    timeoutMs,
-    promptPreview: summarizePrompt(prompt, 120),
-  })
-  const systemPrompt =
-    'Return a JSON object with a "title" string only. ' +
-    'Do not copy the prompt verbatim. ' +
-    'No analysis. No extra keys.'
-  const seed = summarizePrompt(prompt, 240)
-  const userPrompt = buildTitlePrompt(seed, false)
 
-  const titleModelId = modelId || config.DEFAULT_MODEL_ID
+  const path = url.pathname.replace(/^\/api\/chats\//, '')
+  const parts = path.split('/').filter(Boolean)
+  const chatId = decodeURIComponent(parts[0] || '')
+  if (!isNonEmptyString(chatId) || parts.length !== 2) {
+    respondJson(res, 404, { error: 'Not found.' })
+    return
+  }
 
-  const response = await callOllamaChat({
-    baseUrl: config.OLLAMA_URL,
-    model: titleModelId,
-    messages: [
-      { role: 'system', content: systemPrompt },
-      { role: 'user', content: userPrompt },
-    ],
-    stream: false,
-    timeoutMs,
-    options: TITLE_LLM_OPTIONS,
-    format: 'json',
-  })
+  const updates = {}
+  for (const key of ['system_prompt', 'persona']) {
+    if (!(key in payload)) continue
+    const value = payload[key]
+    if (value !== null && typeof value !== 'string') {
+      respondJson(res, 400, { error: `${key} must be a string or null.` })
+      return
+    }
+    updates[key] = value ? value.trim() : ''
+  }
+  if (Object.keys(updates).length === 0) {
+    respondJson(res, 400, { error: 'No persona updates provided.' })
+    return
+  }
+  if (updates.persona && updates.persona.length > 80) {
+    respondJson(res, 400, { error: 'persona name is too long.' })
+    return
+  }
 
-  const parsed = extractJson(response)
-  const rawTitle =
-    parsed && typeof parsed.title === 'string'
-      ? parsed.title
-      : String(response || '').split('\n')[0]
-  const cleaned = stripTrailingThink(
-    limitWords(
-      String(rawTitle || '')
-        .replace(/^["'“”]+|["'“”]+$/g, '')
-        .replace(/[.?!]+$/, '')
-        .trim(),
-      TITLE_MAX_WORDS
-    ),
-    seed
-  )
+  const chatKey = `${userId}:${chatId}`
+  await withChatLock(chatKey, async () => {
+    const { record, created } = getOrCreateChatRecord(userId, chatId)
+    if (created) {
+      broadcastChatListUpdate('added', record)
+    }
+    Object.assign(record, updates)
+    record.last_updated_ts = Date.now()
+    saveChatRecord(record)
 
-  if (!cleaned || isTooSimilarTitle(cleaned, seed)) {
-    console.warn('[title] empty or similar response, retrying with relaxed options')
-    const retry = await callOllamaChat({
-      baseUrl: config.OLLAMA_URL,
-      model: titleModelId,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: buildTitlePrompt(seed, true) },
-      ],
-      stream: false,
-      timeoutMs,
-      options: TITLE_LLM_RETRY_OPTIONS,
-      format: 'json',
+    const content = buildPersonaContent(record)
+    broadcastChatUpdate(chatKey, {
+      type: 'persona',
+      chat_id: chatId,
+      content,
     })
-    const retryParsed = extractJson(retry)
-    const retryRaw =
-      retryParsed && typeof retryParsed.title === 'string'
-        ? retryParsed.title
-        : String(retry || '').split('\n')[0]
-    const retryCleaned = stripTrailingThink(
-      limitWords(
-        String(retryRaw || '')
-          .replace(/^["'“”]+|["'“”]+$/g, '')
-          .replace(/[.?!]+$/, '')
-          .trim(),
-        TITLE_MAX_WORDS
-      ),
-      seed
-    )
-    if (!retryCleaned) return fallbackTitleFromPrompt(prompt)
-    return trimToCharBudget(retryCleaned, config.TITLE_MAX_CHARS)
-  }
-  return trimToCharBudget(cleaned, config.TITLE_MAX_CHARS)
+    respondJson(res, 200, { ok: true, chat_id: chatId, ...content })
+  })
 }
 
-function summarizePrompt(value, maxChars) {
-  const cleaned = String(value || '').replace(/\s+/g, ' ').trim()
-  return trimToCharBudget(cleaned, maxChars || 120)
+// Merges option updates into the stored set; a null value removes that option.
+function mergeChatOptions(current, updates) {
+  const merged = { ...(current && typeof current === 'object' ? current : {}) }
+  Object.assign(merged, normalizeGenerationOptions(updates))
+  if (updates && typeof updates === 'object') {
+    for (const [key, value] of Object.entries(updates)) {
+      if (value === null) delete merged[key]
+    }
+  }
+  return merged
 }
 
-function buildTitlePrompt(seed, strict) {
-  const extra = strict
-    ? 'Use different wording than the prompt.'
-    : 'Paraphrase briefly.'
-  return [
-    `Title (max ${TITLE_MAX_WORDS} words). Return JSON: {"title":"..."}.`,
-    extra,
-    `Latest prompt: ${seed}`,
-  ]
-    .filter(Boolean)
-    .join('\n')
+function buildTurnOptions(...layers) {
+  const merged = Object.assign({}, ...layers.filter(Boolean))
+  return Object.keys(merged).length ? merged : null
 }
 
-function normalizeForCompare(value) {
-  return String(value || '')
-    .toLowerCase()
-    .replace(/[^\w\s'-]/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim()
+function getChatSystemPrompt(record) {
+  return record && isNonEmptyString(record.system_prompt)
+    ? record.system_prompt
+    : config.SYSTEM_PROMPT
 }
 
-function isTooSimilarTitle(title, prompt) {
-  const a = normalizeForCompare(title)
-  const b = normalizeForCompare(prompt)
-  if (!a || !b) return false
-  if (a === b) return true
-  if (b.includes(a) && a.length >= 8) return true
-  return false
+function buildPersonaContent(record) {
+  return {
+    persona: record.persona || '',
+    system_prompt: record.system_prompt || '',
+    uses_default: !isNonEmptyString(record.system_prompt),
+  }
 }
 
-async function handleListChats(_req, res) {
+async function handleMessageAction(req, res, url) {
   const userId = SHARED_USER_ID
-  const chats = listChatSummaries(userId)
-  respondJson(res, 200, { chats })
-}
 
-async function handleGlobalStream(req, res) {
-  const userId = SHARED_USER_ID
-  startSseResponse(res)
-  writeSse(res, 'ready', { ok: true, user_id: userId })
-  writeSse(res, 'chatlist', { chats: listChatSummaries(userId) })
-  writeSse(res, 'uistate', getUiStateSnapshot())
+  const path = url.pathname.replace(/^\/api\/chats\//, '')
+  const parts = path.split('/').filter(Boolean)
+  const chatId = decodeURIComponent(parts[0] || '')
+  const messageId = decodeURIComponent(parts[2] || '')
+  const action = parts[3]
 
-  const entry = addGlobalListener(res)
-  const cleanup = () => removeGlobalListener(entry)
-  req.on('close', cleanup)
-  res.on('close', cleanup)
+  if (
+    parts.length !== 4 ||
+    parts[1] !== 'messages' ||
+    !isNonEmptyString(chatId) ||
+    !isNonEmptyString(messageId)
+  ) {
+    respondJson(res, 404, { error: 'Not found.' })
+    return
+  }
+
+  let payload
+  try {
+    payload = (await readJsonBody(req, config.MAX_BODY_BYTES)) || {}
+  } catch (error) {
+    respondJson(res, 400, { error: 'Invalid JSON body.' })
+    return
+  }
+  if (typeof payload !== 'object') {
+    respondJson(res, 400, { error: 'Invalid JSON body.' })
+    return
+  }
+
+  const record = loadChatRecord(userId, chatId)
+  if (!record) {
+    respondJson(res, 404, { error: 'Chat not found.' })
+    return
+  }
+
+  if (action === 'regenerate') {
+    await handleRegenerate(res, record, messageId, payload)
+    return
+  }
+
+  if (action === 'versions') {
+    await handleSelectVersion(res, record, messageId, payload)
+    return
+  }
+
+  if (action === 'edit') {
+    await handleEdit(res, record, messageId, payload)
+    return
+  }
+
+  respondJson(res, 404, { error: 'Not found.' })
 }
 
-function listChatSummaries(userId) {
-  return store.listChatsForUser(userId).map((chat) => ({
-    chat_id: chat.chat_id,
-    title: chat.title || 'New chat',
-    topic: chat.topic || '',
-    summary: chat.summary || '',
-    facts: Array.isArray(chat.facts) ? chat.facts : [],
-    last_updated_ts: chat.last_updated_ts,
-    last_message_ts: chat.last_message_ts,
-    last_summary_ts: chat.last_summary_ts,
-    last_topic_ts: chat.last_topic_ts,
-    raw_count: chat.raw_count,
-  }))
+async function handleRegenerate(res, record, messageId, payload) {
+  const chatId = record.chat_id
+  const turn = findChatTurn(record, messageId)
+  if (!turn || turn.assistantIndex === -1) {
+    respondJson(res, 404, { error: 'Message not found.' })
+    return
+  }
+
+  const userMessage = record.raw_messages[turn.userIndex]
+  const assistantMessage = record.raw_messages[turn.assistantIndex]
+  const state = ensureChatUiState(chatId)
+  const modelId = isNonEmptyString(payload.model_id)
+    ? payload.model_id.trim()
+    : assistantMessage.model_id || state.model_id || config.DEFAULT_MODEL_ID
+  if (!isNonEmptyString(modelId)) {
+    respondJson(res, 400, { error: 'Missing fields: model_id' })
+    return
+  }
+  const override = parseBooleanOverride(
+    typeof payload.use_web !== 'undefined' ? payload.use_web : payload.web_search
+  )
+  const useWeb =
+    override !== null ? override : typeof state.use_web === 'boolean' ? state.use_web : false
+  const useStream = isStreamRequested(payload.stream)
+  let turnOptions
+  try {
+    turnOptions = normalizeGenerationOptions(payload.options)
+  } catch (error) {
+    respondJson(res, 400, { error: error.message })
+    return
+  }
+  const images = Array.isArray(userMessage.images) ? userMessage.images : []
+  if (images.length && !(await ensureVisionModel(res, useStream, modelId))) {
+    return
+  }
+
+  await runChatTurn({
+    res,
+    chatId,
+    prompt: String(userMessage.content || ''),
+    messageId,
+    modelId,
+    useStream,
+    useWeb,
+    images,
+    options: buildTurnOptions(turnOptions),
+    format: userMessage.format || null,
+    regenerate: true,
+  })
 }
 
-function buildChatSummaryFromRecord(record) {
-  if (!record) return null
-  return {
-    chat_id: record.chat_id,
-    title: record.title || 'New chat',
-    topic: record.topic || '',
-    summary: record.summary || '',
-    facts: Array.isArray(record.facts) ? record.facts : [],
-    last_updated_ts: getLastUpdatedTs(record),
-    last_message_ts: getLastMessageTs(record),
-    last_summary_ts: getLastSummaryTs(record),
-    last_topic_ts: Number.isFinite(record.last_topic_ts) ? record.last_topic_ts : 0,
-    raw_count: Array.isArray(record.raw_messages) ? record.raw_messages.length : 0,
+async function handleEdit(res, record, messageId, payload) {
+  const chatId = record.chat_id
+  const turn = findChatTurn(record, messageId)
+  if (!turn) {
+    respondJson(res, 404, { error: 'Message not found.' })
+    return
+  }
+
+  const prompt = payload.prompt
+  const assistantMessage =
+    turn.assistantIndex !== -1 ? record.raw_messages[turn.assistantIndex] : null
+  const state = ensureChatUiState(chatId)
+  const modelId = isNonEmptyString(payload.model_id)
+    ? payload.model_id.trim()
+    : (assistantMessage && assistantMessage.model_id) ||
+      state.model_id ||
+      config.DEFAULT_MODEL_ID
+  const missing = []
+  if (!isNonEmptyString(prompt)) missing.push('prompt')
+  if (!isNonEmptyString(modelId)) missing.push('model_id')
+  if (missing.length) {
+    respondJson(res, 400, { error: `Missing fields: ${missing.join(', ')}` })
+    return
+  }
+  const override = parseBooleanOverride(
+    typeof payload.use_web !== 'undefined' ? payload.use_web : payload.web_search
+  )
+  const useWeb =
+    override !== null ? override : typeof state.use_web === 'boolean' ? state.use_web : false
+  const useStream = isStreamRequested(payload.stream)
+  const userMessage = record.raw_messages[turn.userIndex]
+  let turnOptions
+  let format
+  try {
+    turnOptions = normalizeGenerationOptions(payload.options)
+    format = 'format' in payload ? normalizeFormat(payload.format) : userMessage.format || null
+  } catch (error) {
+    respondJson(res, 400, { error: error.message })
+    return
+  }
+  const images = Array.isArray(userMessage.images) ? userMessage.images : []
+  if (images.length && !(await ensureVisionModel(res, useStream, modelId))) {
+    return
   }
+
+  await runChatTurn({
+    res,
+    chatId,
+    prompt,
+    messageId,
+    clientTs: payload.client_ts,
+    modelId,
+    useStream,
+    useWeb,
+    images,
+    options: buildTurnOptions(turnOptions),
+    format,
+    edit: true,
+  })
 }
 
-function broadcastChatListUpdate(type, recordOrPayload) {
-  if (!type) return
-  let payload = null
-  if (type === 'deleted') {
-    const chatId =
-      recordOrPayload && typeof recordOrPayload.chat_id === 'string'
-        ? recordOrPayload.chat_id
-        : ''
-    payload = { type: 'deleted', chat_id: chatId }
-  } else {
-    const summary = buildChatSummaryFromRecord(recordOrPayload)
-    if (!summary) return
-    payload = { type, chat: summary }
+async function handleSelectVersion(res, record, messageId, payload) {
+  const chatId = record.chat_id
+  const index = Number.parseInt(String(payload.version), 10)
+  if (!Number.isInteger(index) || index < 0) {
+    respondJson(res, 400, { error: 'Missing fields: version' })
+    return
   }
-  broadcastGlobal('chatlistupdate', payload)
+
+  const chatKey = `${record.user_id}:${chatId}`
+  await withChatLock(chatKey, async () => {
+    const current = loadChatRecord(record.user_id, chatId)
+    const message = findAssistantMessage(current, messageId)
+    if (!message) {
+      respondJson(res, 404, { error: 'Message not found.' })
+      return
+    }
+    ensureAnswerVersions(current, message, messageId)
+    if (index >= message.versions.length) {
+      respondJson(res, 400, { error: 'Unknown version.' })
+      return
+    }
+
+    applyAnswerVersion(current, messageId, message, index)
+    current.last_updated_ts = Date.now()
+    saveChatRecord(current)
+    broadcastAnswerVersion(current, messageId, message)
+    broadcastChatListUpdate('updated', current)
+
+    respondJson(res, 200, {
+      ok: true,
+      chat_id: chatId,
+      message_id: messageId,
+      active_version: message.active_version,
+      versions_count: message.versions.length,
+      answer: message.content,
+    })
+  })
 }
 
-async function handleChatRead(_req, res, url) {
+async function handleChatFork(req, res, url) {
   const userId = SHARED_USER_ID
 
+  let payload
+  try {
+    payload = await readJsonBody(req, config.MAX_BODY_BYTES)
+  } catch (error) {
+    respondJson(res, 400, { error: 'Invalid JSON body.' })
+    return
+  }
+  if (!payload || typeof payload !== 'object') {
+    respondJson(res, 400, { error: 'Missing request body.' })
+    return
+  }
+
   const path = url.pathname.replace(/^\/api\/chats\//, '')
   const parts = path.split('/').filter(Boolean)
   const chatId = decodeURIComponent(parts[0] || '')
+  const action = parts[1]
 
-  if (!isNonEmptyString(chatId)) {
+  if (!isNonEmptyString(chatId) || action !== 'fork') {
     respondJson(res, 404, { error: 'Not found.' })
     return
   }
 
-  const { record, created } = store.getOrCreateChatWithMeta(userId, chatId)
-  if (created) {
-    broadcastChatListUpdate('added', record)
+  const messageId = payload.message_id
+  if (!isNonEmptyString(messageId)) {
+    respondJson(res, 400, { error: 'Missing fields: message_id' })
+    return
   }
+  const newChatId = isNonEmptyString(payload.new_chat_id)
+    ? payload.new_chat_id.trim()
+    : randomUUID()
 
-  const title = record.title || 'New chat'
+  const chatKey = `${userId}:${chatId}`
+  await withChatLock(chatKey, async () => {
+    const parent = loadChatRecord(userId, chatId)
+    if (!parent) {
+      respondJson(res, 404, { error: 'Chat not found.' })
+      return
+    }
+    const turn = findChatTurn(parent, messageId)
+    if (!turn) {
+      respondJson(res, 404, { error: 'Message not found.' })
+      return
+    }
 
-  const lastMessageTs = getLastMessageTs(record)
+    const endIndex = turn.assistantIndex !== -1 ? turn.assistantIndex : turn.userIndex
+    const rawMessages = JSON.parse(
+      JSON.stringify(parent.raw_messages.slice(0, endIndex + 1))
+    )
+    // The parent keeps the stats of the copied answers, so /api/stats counts them once.
+    for (const message of rawMessages) {
+      delete message.stats
+      if (Array.isArray(message.versions)) {
+        for (const version of message.versions) delete version.stats
+      }
+    }
+    const forkTs = rawMessages[rawMessages.length - 1].ts
+    const isLatest = endIndex === parent.raw_messages.length - 1
+    const memory = isLatest
+      ? { ts: parent.last_summary_ts || 0, summary: parent.summary, facts: parent.facts }
+      : findHistoryAt(parent, 'memory_history', forkTs)
+    const topic = isLatest
+      ? { ts: parent.last_topic_ts || 0, topic: parent.topic }
+      : findHistoryAt(parent, 'topic_history', forkTs)
+
+    const idempotency = {}
+    for (const message of rawMessages) {
+      if (message.role !== 'user' || !message.message_id) continue
+      const cached = parent.idempotency && parent.idempotency[message.message_id]
+      if (cached) {
+        idempotency[message.message_id] = JSON.parse(JSON.stringify(cached))
+      }
+    }
 
-  if (parts.length === 1) {
-    respondJson(res, 200, {
-      chat_id: record.chat_id,
-      title,
-      topic: record.topic || '',
-      summary: record.summary || '',
-      facts: Array.isArray(record.facts) ? record.facts : [],
-      last_updated_ts: getLastUpdatedTs(record),
-      last_message_ts: lastMessageTs,
-      last_summary_ts: getLastSummaryTs(record),
-      last_topic_ts: Number.isFinite(record.last_topic_ts) ? record.last_topic_ts : 0,
-      raw_count: Array.isArray(record.raw_messages)
-        ? record.raw_messages.length
-        : 0,
+    const lastUser = rawMessages.filter((message) => message.role === 'user').pop()
+    const now = Date.now()
+    const record = store.createChat(userId, newChatId, {
+      title: parent.title
+        ? trimToCharBudget(`${parent.title} (fork)`, config.TITLE_MAX_CHARS)
+        : '',
+      topic: topic ? topic.topic || '' : '',
+      summary: memory ? memory.summary || '' : '',
+      facts: memory && Array.isArray(memory.facts) ? memory.facts : [],
+      last_updated_ts: now,
+      last_message_ts: lastUser && Number.isFinite(lastUser.ts) ? lastUser.ts : 0,
+      last_summary_ts: memory ? memory.ts || 0 : 0,
+      last_topic_ts: topic ? topic.ts || 0 : 0,
+      raw_messages: rawMessages,
+      idempotency,
+      memory_history: memory && memory.summary ? [memory] : [],
+      topic_history: topic && topic.topic ? [topic] : [],
+      forked_from: { chat_id: chatId, message_id: messageId, ts: now },
+      documents: Array.isArray(parent.documents) ? parent.documents : [],
+      persona: parent.persona || '',
+      options: parent.options && typeof parent.options === 'object' ? parent.options : {},
+      system_prompt: parent.system_prompt || '',
+      ...(typeof parent.thinking === 'boolean' ? { thinking: parent.thinking } : {}),
+      ...(parent.context_mode ? { context_mode: parent.context_mode } : {}),
     })
-    return
-  }
-
-  if (parts.length === 2 && parts[1] === 'messages') {
-    const offset = Number.parseInt(url.searchParams.get('offset') || '0', 10)
-    const limit = Number.parseInt(url.searchParams.get('limit') || '0', 10)
-    const raw = Array.isArray(record.raw_messages) ? record.raw_messages : []
-    const safeOffset = Number.isFinite(offset) && offset > 0 ? offset : 0
-    const sliced =
-      Number.isFinite(limit) && limit > 0
-        ? raw.slice(safeOffset, safeOffset + limit)
-        : raw.slice(safeOffset)
+    if (!record) {
+      respondJson(res, 409, { error: 'Chat already exists.' })
+      return
+    }
+    store.copyChatFiles(userId, chatId, newChatId)
 
+    broadcastChatListUpdate('added', record)
     respondJson(res, 200, {
-      chat_id: record.chat_id,
-      total: raw.length,
-      offset: safeOffset,
-      limit: Number.isFinite(limit) && limit > 0 ? limit : null,
-      messages: sliced,
+      ok: true,
+      chat: buildChatSummaryFromRecord(record),
     })
-    return
-  }
-
-  respondJson(res, 404, { error: 'Not found.' })
+  })
 }
 
-async function handleChatStream(req, res, url) {
+async function handleChatDocuments(req, res, url) {
   const userId = SHARED_USER_ID
 
   const path = url.pathname.replace(/^\/api\/chats\//, '')
   const parts = path.split('/').filter(Boolean)
   const chatId = decodeURIComponent(parts[0] || '')
-  const action = parts[1]
+  const isDelete = req.method === 'DELETE'
 
-  if (!isNonEmptyString(chatId) || action !== 'stream') {
+  if (
+    !isNonEmptyString(chatId) ||
+    parts[1] !== 'documents' ||
+    parts.length !== (isDelete ? 3 : 2)
+  ) {
     respondJson(res, 404, { error: 'Not found.' })
     return
   }
 
-  const { record, created } = store.getOrCreateChatWithMeta(userId, chatId)
-  if (created) {
-    broadcastChatListUpdate('added', record)
+  const chatKey = `${userId}:${chatId}`
+  if (isDelete) {
+    const documentId = decodeURIComponent(parts[2] || '')
+    await withChatLock(chatKey, async () => {
+      const record = loadChatRecord(userId, chatId)
+      const document = findChatDocument(record, documentId)
+      if (!document) {
+        respondJson(res, 404, { error: 'Document not found.' })
+        return
+      }
+      record.documents = record.documents.filter((entry) => entry !== document)
+      store.deleteChatFile(userId, chatId, document.file)
+      record.last_updated_ts = Date.now()
+      saveChatRecord(record)
+      broadcastChatDocuments(record)
+      respondJson(res, 200, { ok: true, chat_id: chatId, document_id: documentId })
+    })
+    return
   }
 
-  startSseResponse(res)
-  writeSse(res, 'ready', { ok: true, chat_id: chatId })
+  let payload
+  try {
+    payload = await readJsonBody(req, config.MAX_BODY_BYTES)
+  } catch (error) {
+    respondJson(res, 400, { error: 'Invalid JSON body.' })
+    return
+  }
 
-  const chatKey = `${userId}:${chatId}`
-  const entry = addChatListener(chatKey, res)
+  let input
+  try {
+    input = readDocumentInput(payload || {})
+  } catch (error) {
+    respondJson(res, 400, { error: error.message })
+    return
+  }
 
-  writeSse(res, 'chatstate', {
-    chat_id: chatId,
-    state: buildChatStateSnapshot(ensureChatUiState(chatId)),
+  // Embed outside the chat lock so a large upload doesn't hold up answers.
+  const chunks = chunkText(input.text, {
+    chunkChars: config.DOCUMENT_CHUNK_CHARS,
+    overlapChars: config.DOCUMENT_CHUNK_OVERLAP_CHARS,
   })
-  writeSse(res, 'globalstate', getGlobalUiSnapshot())
+  let embeddings
+  try {
+    embeddings = await embedTexts(
+      config.EMBED_MODEL_ID,
+      chunks.map((chunk) => chunk.text)
+    )
+  } catch (error) {
+    respondJson(res, 502, { error: `Embedding failed: ${error.message}` })
+    return
+  }
 
-  const currentTitle = record.title || ''
-  const currentTopic = record.topic || ''
-  if (currentTitle) {
-    writeSse(res, 'chatinfoupdate', {
-      type: 'title',
-      chat_id: chatId,
-      content: { title: currentTitle },
-    })
+  const id = randomUUID()
+  const document = {
+    id,
+    name: input.name,
+    file: `${id}.document.json`,
+    size: Buffer.byteLength(input.text),
+    chunk_count: chunks.length,
+    embed_model: config.EMBED_MODEL_ID,
+    created_ts: Date.now(),
   }
-  if (currentTopic) {
-    writeSse(res, 'chatinfoupdate', {
-      type: 'topic',
+
+  await withChatLock(chatKey, async () => {
+    const { record, created } = getOrCreateChatRecord(userId, chatId)
+    if (created) {
+      broadcastChatListUpdate('added', record)
+    }
+    store.saveChatFile(
+      userId,
+      chatId,
+      document.file,
+      JSON.stringify({
+        ...document,
+        chunks: chunks.map((chunk, index) => ({ ...chunk, embedding: embeddings[index] })),
+      })
+    )
+    record.documents = [
+      ...(Array.isArray(record.documents) ? record.documents : []),
+      document,
+    ]
+    record.last_updated_ts = Date.now()
+    saveChatRecord(record)
+    broadcastChatDocuments(record)
+    respondJson(res, 200, {
+      ok: true,
       chat_id: chatId,
-      content: { topic: currentTopic, ts: record.last_topic_ts || 0 },
+      document: toPublicDocument(chatId, document),
     })
-  }
+  })
+}
 
-  const cleanup = () => removeChatListener(chatKey, entry)
-  req.on('close', cleanup)
-  res.on('close', cleanup)
+async function embedTexts(model, texts, signal = null) {
+  const embeddings = []
+  for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+    const batch = texts.slice(i, i + EMBED_BATCH_SIZE)
+    const result = await withBackend(model, (baseUrl) =>
+      embedOllama({ baseUrl, model, input: batch, signal })
+    )
+    if (result.length !== batch.length) {
+      throw new Error('Embedding count does not match input.')
+    }
+    embeddings.push(...result)
+  }
+  return embeddings
 }
 
-async function handleChatStateUpdate(req, res, url) {
-  const userId = SHARED_USER_ID
+async function retrieveDocumentChunks(record, prompt, signal, tokenBudget) {
+  const candidates = []
+  const queries = new Map()
+  for (const document of record.documents) {
+    const raw = store.readChatFile(record.user_id, record.chat_id, document.file)
+    const stored = raw ? parseStoredDocument(raw, record, document) : null
+    if (!stored) continue
+    const model = stored.embed_model || config.EMBED_MODEL_ID
+    if (!queries.has(model)) {
+      const [embedding] = await embedTexts(model, [prompt], signal)
+      queries.set(model, embedding)
+    }
+    const query = queries.get(model)
+    for (const chunk of Array.isArray(stored.chunks) ? stored.chunks : []) {
+      candidates.push({ document, chunk, score: cosineSimilarity(query, chunk.embedding) })
+    }
+  }
+  return selectRelevantChunks(candidates, {
+    topK: config.DOCUMENT_TOP_K,
+    minScore: config.DOCUMENT_MIN_SCORE,
+    tokenBudget,
+  })
+}
 
-  let payload
+// A corrupt or partly written document file reads as null instead of throwing.
+function parseStoredDocument(raw, record, document) {
   try {
-    payload = await readJsonBody(req, config.MAX_BODY_BYTES)
+    return JSON.parse(raw.toString('utf-8'))
   } catch (error) {
-    respondJson(res, 400, { error: 'Invalid JSON body.' })
-    return
+    console.warn('[documents] unreadable document file', {
+      chatId: record.chat_id,
+      file: document.file,
+      error: error.message,
+    })
+    return null
   }
-  if (!payload || typeof payload !== 'object') {
-    respondJson(res, 400, { error: 'Missing request body.' })
-    return
+}
+
+function findChatDocument(record, documentId) {
+  if (!record || !Array.isArray(record.documents)) return null
+  return record.documents.find((document) => document && document.id === documentId) || null
+}
+
+function toPublicDocument(chatId, document) {
+  return {
+    id: document.id,
+    name: document.name,
+    size: document.size,
+    chunk_count: document.chunk_count,
+    embed_model: document.embed_model,
+    created_ts: document.created_ts,
+    url: `/api/chats/${encodeURIComponent(chatId)}/documents/${encodeURIComponent(
+      document.id
+    )}`,
   }
+}
+
+function broadcastChatDocuments(record) {
+  const chatKey = `${record.user_id}:${record.chat_id}`
+  broadcastChatUpdate(chatKey, {
+    type: 'documents',
+    chat_id: record.chat_id,
+    content: {
+      documents: (record.documents || []).map((document) =>
+        toPublicDocument(record.chat_id, document)
+      ),
+    },
+  })
+  broadcastChatListUpdate('updated', record)
+}
+
+async function handleChatCancel(_req, res, url) {
+  const userId = SHARED_USER_ID
 
   const path = url.pathname.replace(/^\/api\/chats\//, '')
   const parts = path.split('/').filter(Boolean)
   const chatId = decodeURIComponent(parts[0] || '')
   const action = parts[1]
 
-  if (!isNonEmptyString(chatId) || action !== 'state') {
+  if (!isNonEmptyString(chatId) || action !== 'cancel') {
     respondJson(res, 404, { error: 'Not found.' })
     return
   }
 
-  const { record, created } = store.getOrCreateChatWithMeta(userId, chatId)
-  if (created) {
-    broadcastChatListUpdate('added', record)
-  }
-
-  const useWeb = parseBooleanOverride(
-    typeof payload?.use_web !== 'undefined' ? payload.use_web : payload?.web_search
-  )
-  const active = parseBooleanOverride(payload?.active)
-  const modelId =
-    payload && typeof payload.model_id === 'string'
-      ? payload.model_id
-      : typeof payload.model === 'string'
-        ? payload.model
-        : ''
-
-  const updates = {}
-  if (useWeb !== null) updates.use_web = useWeb
-  if (active !== null) updates.active = active
-  if (modelId) updates.model_id = modelId
-
-  if (Object.keys(updates).length === 0) {
-    respondJson(res, 400, { error: 'No valid state updates provided.' })
+  const chatKey = `${userId}:${chatId}`
+  const generation = activeGenerations.get(chatKey)
+  if (!generation || generation.controller.signal.aborted) {
+    respondJson(res, 200, { ok: true, chat_id: chatId, cancelled: false })
     return
   }
 
-  const state = updateChatUiState(chatId, updates)
-  respondJson(res, 200, { ok: true, chat_id: chatId, state })
+  generation.controller.abort()
+  const cancelledTs = Date.now()
+  updateChatUiState(chatId, { busy: false }, { message_id: generation.message_id })
+  broadcastChatEvent(chatKey, 'cancelled', {
+    chat_id: chatId,
+    message_id: generation.message_id,
+    phase: generation.phase,
+    ts: cancelledTs,
+  })
+
+  respondJson(res, 200, {
+    ok: true,
+    chat_id: chatId,
+    cancelled: true,
+    message_id: generation.message_id,
+    phase: generation.phase,
+  })
 }
 
 async function handleChatDelete(_req, res, url) {
@@ -2430,6 +5635,15 @@ async function handleChatDelete(_req, res, url) {
     return
   }
 
+  const chatKey = `${userId}:${chatId}`
+  const generation = activeGenerations.get(chatKey)
+  if (generation) {
+    // Marked before the abort, whose cancel path would otherwise store the turn.
+    if (generation.record) deletedRecords.add(generation.record)
+    generation.controller.abort()
+    activeGenerations.delete(chatKey)
+  }
+
   const removed = store.deleteChat(userId, chatId)
   if (!removed) {
     respondJson(res, 404, { error: 'Chat not found.' })
@@ -2438,7 +5652,6 @@ async function handleChatDelete(_req, res, url) {
 
   clearChatUiState(chatId)
   broadcastChatListUpdate('deleted', { chat_id: chatId })
-  const chatKey = `${userId}:${chatId}`
   broadcastChatUpdate(chatKey, { type: 'deleted', chat_id: chatId })
 
   respondJson(res, 200, { ok: true, chat_id: chatId })
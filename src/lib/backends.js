@@ -0,0 +1,224 @@
+const { config } = require('./config')
+
+const HEALTH_TIMEOUT_MS = 5000
+// Errors raised before a request reached Ollama; anything later may already
+// have produced output and is not safe to replay on another backend.
+const CONNECT_ERROR_CODES = [
+  'ECONNREFUSED',
+  'ENOTFOUND',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'EAI_AGAIN',
+  'UND_ERR_CONNECT_TIMEOUT',
+]
+
+function parseBackendUrls(value) {
+  const urls = String(value || '')
+    .split(',')
+    .map((url) => url.trim().replace(/\/+$/, ''))
+    .filter(Boolean)
+  return Array.from(new Set(urls))
+}
+
+// Until its first health check a backend counts as healthy and as having every model.
+const backends = parseBackendUrls(config.OLLAMA_URLS || config.OLLAMA_URL).map((url) => ({
+  url,
+  healthy: true,
+  models: [],
+  loaded: [],
+  loaded_details: [],
+  running: 0,
+  checked_ts: 0,
+  error: '',
+}))
+let healthTimer = null
+let onBackendsChange = null
+
+function normalizeModelName(name) {
+  const value = String(name || '').trim()
+  if (!value) return ''
+  return value.includes(':') ? value : `${value}:latest`
+}
+
+function hasModel(backend, model) {
+  return !backend.checked_ts || backend.models.includes(normalizeModelName(model))
+}
+
+function isModelLoaded(backend, model) {
+  return backend.loaded.includes(normalizeModelName(model))
+}
+
+// Healthy backends that have the model, with the model already loaded first and
+// then the least busy. Falls back to any healthy backend, or all of them when
+// none passed the last check.
+function rankBackends(model = '') {
+  const healthy = backends.filter((backend) => backend.healthy)
+  const pool = healthy.length ? healthy : backends
+  const withModel = model ? pool.filter((backend) => hasModel(backend, model)) : []
+  const eligible = withModel.length ? withModel : pool
+  return eligible
+    .map((backend, index) => ({ backend, index }))
+    .sort((a, b) => {
+      if (model) {
+        const loaded = isModelLoaded(b.backend, model) - isModelLoaded(a.backend, model)
+        if (loaded) return loaded
+      }
+      return a.backend.running - b.backend.running || a.index - b.index
+    })
+    .map((entry) => entry.backend)
+}
+
+function pickBackend(model = '') {
+  return rankBackends(model)[0]
+}
+
+function findBackendsWithModel(model) {
+  return backends.filter((backend) => backend.healthy && hasModel(backend, model))
+}
+
+function getBackendUrl(model = '') {
+  return pickBackend(model).url
+}
+
+function listBackends() {
+  return backends
+}
+
+async function fetchBackendJson(backend, path) {
+  const response = await fetch(new URL(path, backend.url), {
+    signal: AbortSignal.timeout(HEALTH_TIMEOUT_MS),
+  })
+  if (!response.ok) {
+    throw new Error(`Ollama error ${response.status}`)
+  }
+  return response.json()
+}
+
+async function checkBackend(backend) {
+  try {
+    const [tags, ps] = await Promise.all([
+      fetchBackendJson(backend, '/api/tags'),
+      fetchBackendJson(backend, '/api/ps').catch(() => null),
+    ])
+    const names = (list) =>
+      (Array.isArray(list) ? list : [])
+        .map((model) => normalizeModelName(model.name || model.model))
+        .filter(Boolean)
+    backend.models = names(tags && tags.models)
+    backend.loaded = names(ps && ps.models)
+    backend.loaded_details = (ps && Array.isArray(ps.models) ? ps.models : []).map((model) => ({
+      model: model.name || model.model,
+      ...(Number.isFinite(model.size_vram) ? { size_vram: model.size_vram } : {}),
+      ...(model.expires_at ? { expires_at: model.expires_at } : {}),
+    }))
+    if (!backend.healthy) {
+      console.log('[backends] backend is back', { url: backend.url })
+    }
+    backend.healthy = true
+    backend.error = ''
+  } catch (error) {
+    markBackendDown(backend, error)
+  }
+  backend.checked_ts = Date.now()
+  return backend
+}
+
+function describeLoadState() {
+  return JSON.stringify(backends.map((backend) => [backend.healthy, backend.loaded]))
+}
+
+// Calls the `onChange` given to startHealthChecks when health or loaded models changed.
+async function checkBackends() {
+  const before = describeLoadState()
+  await Promise.all(backends.map(checkBackend))
+  if (onBackendsChange && describeLoadState() !== before) onBackendsChange()
+  return backends
+}
+
+// Models Ollama reports as loaded (/api/ps) on healthy backends.
+function listLoadedModels() {
+  return backends
+    .filter((backend) => backend.healthy)
+    .flatMap((backend) =>
+      backend.loaded_details.map((model) => ({ ...model, backend: backend.url }))
+    )
+}
+
+function startHealthChecks({ onChange = null } = {}) {
+  if (healthTimer) return
+  onBackendsChange = onChange
+  void checkBackends()
+  if (config.OLLAMA_HEALTH_INTERVAL_MS > 0) {
+    healthTimer = setInterval(() => void checkBackends(), config.OLLAMA_HEALTH_INTERVAL_MS)
+    healthTimer.unref()
+  }
+}
+
+function markBackendDown(backend, error) {
+  const message = error instanceof Error ? error.message : String(error)
+  if (backend.healthy) {
+    console.warn('[backends] backend unavailable', { url: backend.url, error: message })
+  }
+  backend.healthy = false
+  backend.error = message
+}
+
+// Ollama keeps a model loaded after a request, so prefer that backend next time.
+function noteModelLoaded(backend, model) {
+  const name = normalizeModelName(model)
+  if (name && !backend.loaded.includes(name)) {
+    backend.loaded.push(name)
+  }
+}
+
+function isConnectionError(error) {
+  const code = error && (error.code || (error.cause && error.cause.code))
+  return CONNECT_ERROR_CODES.includes(code)
+}
+
+// For requests outside the LLM queue: runs `run(baseUrl)` on the best backend and
+// moves on to the next one while backends turn out to be unreachable.
+async function withBackend(model, run) {
+  const tried = new Set()
+  for (;;) {
+    const backend = rankBackends(model).find((candidate) => !tried.has(candidate.url))
+    try {
+      return await run(backend.url)
+    } catch (error) {
+      if (!isConnectionError(error)) throw error
+      markBackendDown(backend, error)
+      tried.add(backend.url)
+      if (!rankBackends(model).some((candidate) => !tried.has(candidate.url))) throw error
+    }
+  }
+}
+
+function toBackendStatus(backend) {
+  return {
+    url: backend.url,
+    healthy: backend.healthy,
+    running: backend.running,
+    models: backend.models,
+    loaded: backend.loaded,
+    checked_ts: backend.checked_ts,
+    ...(backend.error ? { error: backend.error } : {}),
+  }
+}
+
+module.exports = {
+  parseBackendUrls,
+  normalizeModelName,
+  rankBackends,
+  pickBackend,
+  findBackendsWithModel,
+  getBackendUrl,
+  listBackends,
+  checkBackends,
+  listLoadedModels,
+  startHealthChecks,
+  markBackendDown,
+  noteModelLoaded,
+  isConnectionError,
+  withBackend,
+  toBackendStatus,
+}
@@ -0,0 +1,567 @@
+const { config } = require('./config')
+const { registerTool } = require('./tools')
+
+const MAX_EXPRESSION_CHARS = 500
+const MAX_EXACT_EXPONENT = 1000
+// Larger numerators or denominators switch to floats, which keeps every step cheap.
+const MAX_EXACT_BITS = 4096
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Numbers are kept as exact fractions of BigInts while only + - * / % and integer
+// powers are used; anything else (sqrt, log, fractional powers) falls back to floats.
+
+function gcd(a, b) {
+  let x = a < 0n ? -a : a
+  let y = b < 0n ? -b : b
+  while (y) {
+    ;[x, y] = [y, x % y]
+  }
+  return x
+}
+
+function rational(n, d = 1n) {
+  if (d === 0n) throw new Error('Division by zero.')
+  if (d < 0n) {
+    n = -n
+    d = -d
+  }
+  const divisor = gcd(n, d) || 1n
+  return { n: n / divisor, d: d / divisor }
+}
+
+function parseDecimal(text) {
+  const match = /^(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(text)
+  if (!match) throw new Error(`Invalid number: ${text}`)
+  const [, whole, fraction = '', exponent = '0'] = match
+  const exp = Number.parseInt(exponent, 10) - fraction.length
+  if (Math.abs(exp) > MAX_EXACT_EXPONENT) return Number(text)
+  const digits = BigInt(`${whole || '0'}${fraction}`)
+  return exp >= 0 ? rational(digits * 10n ** BigInt(exp)) : rational(digits, 10n ** BigInt(-exp))
+}
+
+const isExact = (value) => typeof value === 'object'
+const toFloat = (value) => (isExact(value) ? Number(value.n) / Number(value.d) : value)
+const bitLength = (value) => (value < 0n ? -value : value).toString(2).length
+const fitsExact = (value) =>
+  bitLength(value.n) <= MAX_EXACT_BITS && bitLength(value.d) <= MAX_EXACT_BITS
+
+function applyOperator(op, a, b) {
+  const result = applyExactOperator(op, a, b)
+  if (result && fitsExact(result)) return result
+  return applyFloatOperator(op, toFloat(a), toFloat(b))
+}
+
+function applyExactOperator(op, a, b) {
+  if (isExact(a) && isExact(b)) {
+    switch (op) {
+      case '+':
+        return rational(a.n * b.d + b.n * a.d, a.d * b.d)
+      case '-':
+        return rational(a.n * b.d - b.n * a.d, a.d * b.d)
+      case '*':
+        return rational(a.n * b.n, a.d * b.d)
+      case '/':
+        if (b.n === 0n) throw new Error('Division by zero.')
+        return rational(a.n * b.d, a.d * b.n)
+      case '%': {
+        if (b.n === 0n) throw new Error('Division by zero.')
+        const quotient = (a.n * b.d) / (a.d * b.n)
+        return applyOperator('-', a, applyOperator('*', b, rational(quotient)))
+      }
+      case '^': {
+        const power = b.n < 0n ? -b.n : b.n
+        const bits = Math.max(bitLength(a.n), bitLength(a.d)) * Number(power)
+        if (b.d === 1n && power <= BigInt(MAX_EXACT_EXPONENT) && bits <= MAX_EXACT_BITS) {
+          if (b.n < 0n) {
+            if (a.n === 0n) throw new Error('Division by zero.')
+            return rational(a.d ** -b.n, a.n ** -b.n)
+          }
+          return rational(a.n ** b.n, a.d ** b.n)
+        }
+        break
+      }
+      default:
+        break
+    }
+  }
+  return null
+}
+
+function applyFloatOperator(op, x, y) {
+  switch (op) {
+    case '+':
+      return x + y
+    case '-':
+      return x - y
+    case '*':
+      return x * y
+    case '/':
+      if (y === 0) throw new Error('Division by zero.')
+      return x / y
+    case '%':
+      if (y === 0) throw new Error('Division by zero.')
+      return x % y
+    case '^':
+      return x ** y
+    default:
+      throw new Error(`Unknown operator: ${op}`)
+  }
+}
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  ln: Math.log,
+  log: Math.log10,
+  log2: Math.log2,
+  exp: Math.exp,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  min: Math.min,
+  max: Math.max,
+}
+const EXACT_FUNCTIONS = {
+  abs: (value) => rational(value.n < 0n ? -value.n : value.n, value.d),
+  floor: (value) => rational(floorDiv(value.n, value.d)),
+  ceil: (value) => rational(-floorDiv(-value.n, value.d)),
+}
+const CONSTANTS = { pi: Math.PI, e: Math.E }
+
+function floorDiv(n, d) {
+  const q = n / d
+  return n % d !== 0n && n < 0n ? q - 1n : q
+}
+
+function tokenize(expression) {
+  const tokens = []
+  const pattern = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/%^(),×÷]))/giy
+  let index = 0
+  while (index < expression.length) {
+    pattern.lastIndex = index
+    const match = pattern.exec(expression)
+    if (!match) {
+      if (!expression.slice(index).trim()) break
+      throw new Error(`Unexpected character: ${expression.slice(index).trim()[0]}`)
+    }
+    index = pattern.lastIndex
+    if (match[1]) tokens.push({ type: 'number', value: match[1] })
+    else if (match[2]) tokens.push({ type: 'name', value: match[2].toLowerCase() })
+    else {
+      const op = { '**': '^', '×': '*', '÷': '/' }[match[3]] || match[3]
+      tokens.push({ type: 'op', value: op })
+    }
+  }
+  return tokens
+}
+
+function evaluateExpression(expression) {
+  const tokens = tokenize(expression)
+  let position = 0
+  const peek = () => tokens[position]
+  const accept = (value) => {
+    const token = peek()
+    if (token && token.type === 'op' && token.value === value) {
+      position += 1
+      return true
+    }
+    return false
+  }
+  const expect = (value) => {
+    if (!accept(value)) throw new Error(`Expected "${value}".`)
+  }
+
+  const parseExpression = () => {
+    let value = parseTerm()
+    for (;;) {
+      if (accept('+')) value = applyOperator('+', value, parseTerm())
+      else if (accept('-')) value = applyOperator('-', value, parseTerm())
+      else return value
+    }
+  }
+  const parseTerm = () => {
+    let value = parseUnary()
+    for (;;) {
+      if (accept('*')) value = applyOperator('*', value, parseUnary())
+      else if (accept('/')) value = applyOperator('/', value, parseUnary())
+      else if (accept('%')) value = applyOperator('%', value, parseUnary())
+      else return value
+    }
+  }
+  const parseUnary = () => {
+    if (accept('-')) return applyOperator('-', rational(0n), parseUnary())
+    if (accept('+')) return parseUnary()
+    return parsePower()
+  }
+  const parsePower = () => {
+    const base = parsePrimary()
+    if (accept('^')) return applyOperator('^', base, parseUnary())
+    return base
+  }
+  const parsePrimary = () => {
+    const token = peek()
+    if (!token) throw new Error('Unexpected end of expression.')
+    position += 1
+    if (token.type === 'number') return parseDecimal(token.value)
+    if (token.type === 'op' && token.value === '(') {
+      const value = parseExpression()
+      expect(')')
+      return value
+    }
+    if (token.type === 'name') {
+      if (accept('(')) {
+        const fn = FUNCTIONS[token.value]
+        if (!fn) throw new Error(`Unknown function: ${token.value}`)
+        const args = [parseExpression()]
+        while (accept(',')) args.push(parseExpression())
+        expect(')')
+        const exact = EXACT_FUNCTIONS[token.value]
+        if (exact && args.length === 1 && isExact(args[0])) return exact(args[0])
+        return fn(...args.map(toFloat))
+      }
+      if (token.value in CONSTANTS) return CONSTANTS[token.value]
+      throw new Error(`Unknown name: ${token.value}`)
+    }
+    throw new Error(`Unexpected "${token.value}".`)
+  }
+
+  const value = parseExpression()
+  if (position < tokens.length) throw new Error(`Unexpected "${tokens[position].value}".`)
+  return value
+}
+
+function formatExact(value) {
+  let d = value.d
+  let twos = 0
+  let fives = 0
+  while (d % 2n === 0n) {
+    d /= 2n
+    twos += 1
+  }
+  while (d % 5n === 0n) {
+    d /= 5n
+    fives += 1
+  }
+  if (d !== 1n) return null
+  const places = Math.max(twos, fives)
+  const scaled = (value.n * 10n ** BigInt(places)) / value.d
+  const negative = scaled < 0n
+  const digits = (negative ? -scaled : scaled).toString().padStart(places + 1, '0')
+  const whole = digits.slice(0, digits.length - places)
+  const fraction = places ? `.${digits.slice(-places)}` : ''
+  return `${negative ? '-' : ''}${whole}${fraction}`
+}
+
+function calculate({ expression }) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Missing expression.')
+  }
+  if (expression.length > MAX_EXPRESSION_CHARS) {
+    throw new Error('Expression is too long.')
+  }
+  const value = evaluateExpression(expression)
+  if (isExact(value)) {
+    const decimal = formatExact(value)
+    const fraction = `${value.n}/${value.d}`
+    const result = decimal || fraction
+    return {
+      content: decimal
+        ? `${expression.trim()} = ${decimal}`
+        : `${expression.trim()} = ${fraction} ≈ ${toFloat(value).toPrecision(15)}`,
+      data: { result, exact: true, ...(decimal ? {} : { approx: toFloat(value) }) },
+    }
+  }
+  if (!Number.isFinite(value)) throw new Error('Result is not a finite number.')
+  const result = Number(value.toPrecision(15))
+  return {
+    content: `${expression.trim()} ≈ ${result}`,
+    data: { result: String(result), exact: false },
+  }
+}
+
+function resolveTimeZone(value) {
+  const timeZone = typeof value === 'string' && value.trim() ? value.trim() : config.TIMEZONE
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone }).format(0)
+  } catch {
+    throw new Error(`Unknown time zone: ${timeZone}`)
+  }
+  return timeZone
+}
+
+function zonedParts(date, timeZone) {
+  const parts = {}
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'long',
+    timeZoneName: 'longOffset',
+  })
+  for (const part of formatter.formatToParts(date)) {
+    parts[part.type] = part.value
+  }
+  return parts
+}
+
+function currentDateTime({ timezone } = {}) {
+  const timeZone = resolveTimeZone(timezone)
+  const now = new Date()
+  const parts = zonedParts(now, timeZone)
+  const offset = parts.timeZoneName === 'GMT' ? '+00:00' : parts.timeZoneName.replace('GMT', '')
+  const date = `${parts.year}-${parts.month}-${parts.day}`
+  const time = `${parts.hour}:${parts.minute}:${parts.second}`
+  return {
+    content: `${parts.weekday}, ${date} ${time} (${timeZone}, UTC${offset})`,
+    data: {
+      date,
+      time,
+      weekday: parts.weekday,
+      timezone: timeZone,
+      utc_offset: offset,
+      iso: `${date}T${time}${offset}`,
+      unix: Math.floor(now.getTime() / 1000),
+    },
+  }
+}
+
+function parseDateInput(value, timeZone) {
+  if (typeof value !== 'string' || !value.trim()) throw new Error('Missing date.')
+  const text = value.trim().toLowerCase()
+  if (text === 'now') return { ms: Date.now(), dateOnly: false }
+  if (text === 'today') {
+    const parts = zonedParts(new Date(), timeZone)
+    return { ms: Date.UTC(+parts.year, +parts.month - 1, +parts.day), dateOnly: true }
+  }
+  const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text)
+  if (dateOnly) {
+    const [, y, m, d] = dateOnly.map(Number)
+    const ms = Date.UTC(y, m - 1, d)
+    const check = new Date(ms)
+    if (check.getUTCMonth() !== m - 1 || check.getUTCDate() !== d) {
+      throw new Error(`Invalid date: ${value}`)
+    }
+    return { ms, dateOnly: true }
+  }
+  const ms = Date.parse(value)
+  if (!Number.isFinite(ms)) {
+    throw new Error(`Invalid date: ${value}. Use YYYY-MM-DD, an ISO timestamp, "today", or "now".`)
+  }
+  return { ms, dateOnly: false }
+}
+
+function addMonths(ms, months) {
+  const date = new Date(ms)
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1))
+  const lastDay = new Date(
+    Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)
+  ).getUTCDate()
+  target.setUTCDate(Math.min(date.getUTCDate(), lastDay))
+  return target.getTime() + (ms % DAY_MS)
+}
+
+// Whole months first (clamping to month ends, so Jan 31 + 1 month is Feb 29), then days.
+function calendarDifference(fromMs, toMs) {
+  const sign = toMs < fromMs ? -1 : 1
+  const start = Math.min(fromMs, toMs)
+  const end = Math.max(fromMs, toMs)
+  const a = new Date(start)
+  const b = new Date(end)
+  let months = (b.getUTCFullYear() - a.getUTCFullYear()) * 12 + b.getUTCMonth() - a.getUTCMonth()
+  if (addMonths(start, months) > end) months -= 1
+  const days = Math.floor((end - addMonths(start, months)) / DAY_MS)
+  return {
+    years: sign * Math.floor(months / 12),
+    months: sign * (months % 12),
+    days: sign * days,
+  }
+}
+
+function dateDifference({ start, end, timezone } = {}) {
+  const timeZone = resolveTimeZone(timezone)
+  const from = parseDateInput(start, timeZone)
+  const to = parseDateInput(end || 'today', timeZone)
+  const diffMs = to.ms - from.ms
+  const calendar = calendarDifference(from.ms, to.ms)
+  const totalDays = diffMs / DAY_MS
+  const data = {
+    days: from.dateOnly && to.dateOnly ? Math.round(totalDays) : Number(totalDays.toFixed(4)),
+    weeks: Number((totalDays / 7).toFixed(4)),
+    hours: Number((diffMs / 3600000).toFixed(2)),
+    calendar,
+  }
+  return {
+    content:
+      `${data.days} days (${calendar.years} years, ${calendar.months} months, ` +
+      `${calendar.days} days) from ${start} to ${end || 'today'}`,
+    data,
+  }
+}
+
+const UNIT_GROUPS = {
+  length: {
+    m: 1, km: 1000, cm: 0.01, mm: 0.001, um: 1e-6, nm: 1e-9,
+    mi: 1609.344, yd: 0.9144, ft: 0.3048, in: 0.0254, nmi: 1852,
+  },
+  mass: {
+    kg: 1, g: 0.001, mg: 1e-6, t: 1000, lb: 0.45359237, oz: 0.028349523125, st: 6.35029318,
+  },
+  volume: {
+    l: 1, ml: 0.001, m3: 1000, cm3: 0.001, gal: 3.785411784, qt: 0.946352946, pt: 0.473176473,
+    cup: 0.2365882365, floz: 0.0295735295625, tbsp: 0.01478676478125, tsp: 0.00492892159375,
+  },
+  area: {
+    m2: 1, km2: 1e6, cm2: 1e-4, ha: 1e4, acre: 4046.8564224, ft2: 0.09290304, in2: 0.00064516,
+    mi2: 2589988.110336,
+  },
+  speed: { 'm/s': 1, 'km/h': 1 / 3.6, mph: 0.44704, knot: 0.514444444444, 'ft/s': 0.3048 },
+  time: { s: 1, ms: 0.001, min: 60, h: 3600, day: 86400, week: 604800, year: 31557600 },
+  data: {
+    b: 1, kb: 1e3, mb: 1e6, gb: 1e9, tb: 1e12, kib: 1024, mib: 1024 ** 2, gib: 1024 ** 3,
+    tib: 1024 ** 4, bit: 0.125,
+  },
+  pressure: { pa: 1, kpa: 1000, bar: 1e5, psi: 6894.757293168, atm: 101325, mmhg: 133.322387415 },
+  energy: { j: 1, kj: 1000, cal: 4.184, kcal: 4184, wh: 3600, kwh: 3.6e6 },
+}
+const TEMPERATURE_UNITS = ['c', 'f', 'k']
+const UNIT_ALIASES = {
+  meter: 'm', meters: 'm', metre: 'm', metres: 'm', kilometer: 'km', kilometers: 'km',
+  centimeter: 'cm', centimeters: 'cm', millimeter: 'mm', millimeters: 'mm',
+  mile: 'mi', miles: 'mi', yard: 'yd', yards: 'yd', foot: 'ft', feet: 'ft',
+  inch: 'in', inches: 'in', kilogram: 'kg', kilograms: 'kg', kgs: 'kg', gram: 'g', grams: 'g',
+  pound: 'lb', pounds: 'lb', lbs: 'lb', ounce: 'oz', ounces: 'oz', stone: 'st', tonne: 't',
+  liter: 'l', liters: 'l', litre: 'l', litres: 'l', milliliter: 'ml', milliliters: 'ml',
+  gallon: 'gal', gallons: 'gal', quart: 'qt', quarts: 'qt', pint: 'pt', pints: 'pt',
+  cups: 'cup', 'fl oz': 'floz', tablespoon: 'tbsp', teaspoon: 'tsp',
+  'sq m': 'm2', 'sq km': 'km2', 'sq ft': 'ft2', 'sq in': 'in2', 'sq mi': 'mi2',
+  hectare: 'ha', hectares: 'ha', acres: 'acre', kph: 'km/h', kmh: 'km/h', knots: 'knot', kn: 'knot',
+  sec: 's', second: 's', seconds: 's', minute: 'min', minutes: 'min', hour: 'h', hours: 'h',
+  hr: 'h', days: 'day', weeks: 'week', years: 'year', byte: 'b', bytes: 'b',
+  celsius: 'c', '°c': 'c', fahrenheit: 'f', '°f': 'f', kelvin: 'k',
+  joule: 'j', joules: 'j', calorie: 'cal', calories: 'cal', kilocalorie: 'kcal',
+}
+
+function normalizeUnit(value) {
+  if (typeof value !== 'string' || !value.trim()) throw new Error('Missing unit.')
+  const raw = value.trim()
+  const lowered = raw.toLowerCase()
+  return UNIT_ALIASES[lowered] || lowered.replace(/²/g, '2').replace(/³/g, '3')
+}
+
+function toKelvin(value, unit) {
+  if (unit === 'c') return value + 273.15
+  if (unit === 'f') return ((value - 32) * 5) / 9 + 273.15
+  return value
+}
+
+function fromKelvin(value, unit) {
+  if (unit === 'c') return value - 273.15
+  if (unit === 'f') return ((value - 273.15) * 9) / 5 + 32
+  return value
+}
+
+function convertUnits({ value, from, to }) {
+  const amount = typeof value === 'string' ? Number(value) : value
+  if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+    throw new Error('value must be a number.')
+  }
+  const source = normalizeUnit(from)
+  const target = normalizeUnit(to)
+  let result
+  let group
+  if (TEMPERATURE_UNITS.includes(source) && TEMPERATURE_UNITS.includes(target)) {
+    group = 'temperature'
+    result = fromKelvin(toKelvin(amount, source), target)
+  } else {
+    group = Object.keys(UNIT_GROUPS).find(
+      (name) => source in UNIT_GROUPS[name] && target in UNIT_GROUPS[name]
+    )
+    if (!group) {
+      throw new Error(`Cannot convert ${from} to ${to}.`)
+    }
+    result = (amount * UNIT_GROUPS[group][source]) / UNIT_GROUPS[group][target]
+  }
+  const rounded = Number(result.toPrecision(12))
+  return {
+    content: `${amount} ${from} = ${rounded} ${to}`,
+    data: { value: rounded, from: source, to: target, group },
+  }
+}
+
+function registerBuiltinTools() {
+  registerTool({
+    name: 'calculator',
+    description:
+      'Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, ' +
+      'sqrt, abs, round, floor, ceil, ln, log, exp, sin, cos, tan, min, max, pi, e.',
+    parameters: {
+      type: 'object',
+      properties: {
+        expression: { type: 'string', description: 'For example "(1.1 + 2.2) * 3 / 7".' },
+      },
+      required: ['expression'],
+    },
+    handler: calculate,
+  })
+  registerTool({
+    name: 'current_datetime',
+    description: 'Get the current date, time, and weekday.',
+    parameters: {
+      type: 'object',
+      properties: {
+        timezone: {
+          type: 'string',
+          description: `IANA time zone such as "Europe/Berlin". Defaults to ${config.TIMEZONE}.`,
+        },
+      },
+    },
+    handler: currentDateTime,
+  })
+  registerTool({
+    name: 'date_diff',
+    description: 'Count the days, weeks, and calendar years/months/days between two dates.',
+    parameters: {
+      type: 'object',
+      properties: {
+        start: { type: 'string', description: 'YYYY-MM-DD, ISO timestamp, "today", or "now".' },
+        end: { type: 'string', description: 'Same formats as start. Defaults to "today".' },
+        timezone: { type: 'string', description: 'IANA time zone used for "today".' },
+      },
+      required: ['start'],
+    },
+    handler: dateDifference,
+  })
+  registerTool({
+    name: 'convert_units',
+    description:
+      'Convert a value between units of length, mass, volume, area, speed, time, data, ' +
+      'pressure, energy, or temperature (c, f, k). Currencies are not supported.',
+    parameters: {
+      type: 'object',
+      properties: {
+        value: { type: 'number' },
+        from: { type: 'string', description: 'Unit symbol or name, e.g. "mi", "kg", "°F".' },
+        to: { type: 'string', description: 'Target unit symbol or name.' },
+      },
+      required: ['value', 'from', 'to'],
+    },
+    handler: convertUnits,
+  })
+}
+
+module.exports = {
+  registerBuiltinTools,
+  calculate,
+  currentDateTime,
+  dateDifference,
+  convertUnits,
+}
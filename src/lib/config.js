@@ -4,6 +4,8 @@ const config = {
   PORT: Number.parseInt(process.env.PORT || '3000', 10),
   BIND_HOST: process.env.BIND_HOST || '127.0.0.1',
   OLLAMA_URL: process.env.OLLAMA_URL || 'http://127.0.0.1:11434',
+  OLLAMA_URLS: process.env.OLLAMA_URLS || '',
+  OLLAMA_HEALTH_INTERVAL_MS: Number.parseInt(process.env.OLLAMA_HEALTH_INTERVAL_MS || '15000', 10),
   SYSTEM_PROMPT:
     process.env.SYSTEM_PROMPT ||
     'You are a helpful assistant. Use the provided memory to stay consistent and accurate.',
@@ -15,6 +17,7 @@ const config = {
   TOPIC_MAX_WORDS: Number.parseInt(process.env.TOPIC_MAX_WORDS || '6', 10),
   TITLE_MAX_CHARS: Number.parseInt(process.env.TITLE_MAX_CHARS || '60', 10),
   RECENT_TURNS: Number.parseInt(process.env.RECENT_TURNS || '3', 10),
+  CONTEXT_MODE: process.env.CONTEXT_MODE === 'prompts' ? 'prompts' : 'turns',
   SUMMARY_EVERY_N_TURNS: Number.parseInt(
     process.env.SUMMARY_EVERY_N_TURNS || '6',
     10
@@ -28,6 +31,7 @@ const config = {
     process.env.RECENT_TOKEN_BUDGET || '800',
     10
   ),
+  OLLAMA_CONTEXT_LENGTH: Number.parseInt(process.env.OLLAMA_CONTEXT_LENGTH || '4096', 10),
   MEMORY_UPDATE_INPUT_TOKENS: Number.parseInt(
     process.env.MEMORY_UPDATE_INPUT_TOKENS || '1200',
     10
@@ -51,6 +55,29 @@ const config = {
   BRAVE_API_ENDPOINT:
     process.env.BRAVE_API_ENDPOINT ||
     'https://api.search.brave.com/res/v1/web/search',
+  EMBED_MODEL_ID: process.env.EMBED_MODEL_ID || 'nomic-embed-text',
+  DOCUMENT_CHUNK_CHARS: Number.parseInt(process.env.DOCUMENT_CHUNK_CHARS || '1200', 10),
+  DOCUMENT_CHUNK_OVERLAP_CHARS: Number.parseInt(
+    process.env.DOCUMENT_CHUNK_OVERLAP_CHARS || '200',
+    10
+  ),
+  DOCUMENT_TOP_K: Number.parseInt(process.env.DOCUMENT_TOP_K || '4', 10),
+  DOCUMENT_TOKEN_BUDGET: Number.parseInt(
+    process.env.DOCUMENT_TOKEN_BUDGET || '1000',
+    10
+  ),
+  DOCUMENT_MIN_SCORE: Number.parseFloat(process.env.DOCUMENT_MIN_SCORE || '0.3'),
+  TOOLS_ENABLED: process.env.TOOLS_ENABLED !== 'false',
+  TOOL_MAX_ROUNDS: Number.parseInt(process.env.TOOL_MAX_ROUNDS || '4', 10),
+  MODEL_FALLBACKS: process.env.MODEL_FALLBACKS || '',
+  COMPARE_MAX_MODELS: Number.parseInt(process.env.COMPARE_MAX_MODELS || '4', 10),
+  FORMAT_REPAIR_RETRIES: Number.parseInt(process.env.FORMAT_REPAIR_RETRIES || '1', 10),
+  THINKING_ENABLED: process.env.THINKING_ENABLED !== 'false',
+  TIMEZONE:
+    process.env.TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+  WARMUP_ENABLED: process.env.WARMUP_ENABLED !== 'false',
+  KEEP_ALIVE: process.env.KEEP_ALIVE || '',
+  MODEL_KEEP_ALIVE: process.env.MODEL_KEEP_ALIVE || '',
   MAX_BODY_BYTES: Number.parseInt(process.env.MAX_BODY_BYTES || '2097152', 10),
   DATA_DIR: process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data'),
 }
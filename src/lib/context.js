@@ -0,0 +1,123 @@
+const { config } = require('./config')
+const { getModelContext } = require('./models')
+const { withBackend, normalizeModelName } = require('./backends')
+const { estimateTokens } = require('./utils')
+
+// estimateTokens counts 4 characters per token; budgets are returned in those units.
+const ESTIMATOR_CHARS_PER_TOKEN = 4
+// Role markers and separators the chat template adds around each message.
+const MESSAGE_OVERHEAD_TOKENS = 4
+const CALIBRATION_WEIGHT = 0.2
+const MIN_CALIBRATION_CHARS = 200
+const CHARS_PER_TOKEN_RANGE = [1.5, 8]
+const REPLY_SHARE = 0.25
+// Shares of what is left after the system prompt, the new prompt and the reply.
+// The sources and documents shares go to recent turns when a turn has neither.
+const BUDGET_SHARES = { summary: 0.1, facts: 0.05, recent: 0.45, sources: 0.25, documents: 0.15 }
+
+const calibration = new Map()
+
+function getCharsPerToken(model) {
+  const entry = calibration.get(normalizeModelName(model))
+  return entry ? entry.chars_per_token : ESTIMATOR_CHARS_PER_TOKEN
+}
+
+function getTokenCalibration(model) {
+  return calibration.get(normalizeModelName(model)) || null
+}
+
+// Compares the prompt Ollama evaluated (messages plus any tool definitions) with
+// its length in characters. Prompts with images are skipped, and ratios outside the
+// plausible range are dropped: a prompt served partly from Ollama's cache reports
+// fewer evaluated tokens than it holds.
+function calibrateTokens(model, messages, usage, tools = null) {
+  const count = usage && usage.prompt_eval_count
+  if (!model || !Number.isFinite(count) || !Array.isArray(messages)) return
+  if (messages.some((message) => Array.isArray(message.images) && message.images.length)) return
+  const chars =
+    messages.reduce((sum, message) => sum + String(message.content || '').length, 0) +
+    (tools ? JSON.stringify(tools).length : 0)
+  const textTokens = count - MESSAGE_OVERHEAD_TOKENS * messages.length
+  if (chars < MIN_CALIBRATION_CHARS || textTokens <= 0) return
+  const ratio = chars / textTokens
+  if (ratio < CHARS_PER_TOKEN_RANGE[0] || ratio > CHARS_PER_TOKEN_RANGE[1]) return
+  const key = normalizeModelName(model)
+  const current = calibration.get(key)
+  const charsPerToken = current
+    ? current.chars_per_token + CALIBRATION_WEIGHT * (ratio - current.chars_per_token)
+    : ratio
+  calibration.set(key, {
+    chars_per_token: Math.round(charsPerToken * 100) / 100,
+    samples: current ? current.samples + 1 : 1,
+  })
+}
+
+function fallbackBudgets() {
+  return {
+    window: null,
+    summary: config.SUMMARY_TOKEN_BUDGET,
+    facts: config.FACTS_TOKEN_BUDGET,
+    recent: config.RECENT_TOKEN_BUDGET,
+    sources: null,
+    documents: config.DOCUMENT_TOKEN_BUDGET,
+  }
+}
+
+// Splits the model's context window across the prompt parts. The window is the
+// `num_ctx` Ollama will use (chat option, Modelfile, or OLLAMA_CONTEXT_LENGTH),
+// capped at the model's trained context length. Falls back to the fixed
+// *_TOKEN_BUDGET settings when the model cannot be inspected.
+async function planPromptBudgets({
+  model,
+  options,
+  fixedText = '',
+  useSources = false,
+  useDocuments = false,
+}) {
+  let context
+  try {
+    context = await withBackend(model, (baseUrl) => getModelContext({ baseUrl, model }))
+  } catch (error) {
+    console.warn('[context] model details unavailable; using fixed budgets', {
+      model,
+      error: error instanceof Error ? error.message : String(error),
+    })
+    return fallbackBudgets()
+  }
+
+  const { num_ctx: optionNumCtx, num_predict: numPredict } = options || {}
+  const numCtx = optionNumCtx || context.num_ctx || config.OLLAMA_CONTEXT_LENGTH
+  const window = context.context_length ? Math.min(numCtx, context.context_length) : numCtx
+  const reply =
+    numPredict > 0
+      ? Math.min(numPredict, Math.floor(window / 2))
+      : Math.floor(window * REPLY_SHARE)
+  const charsPerToken = getCharsPerToken(model)
+  const scale = charsPerToken / ESTIMATOR_CHARS_PER_TOKEN
+  const fixed = Math.ceil(estimateTokens(fixedText) / scale) + MESSAGE_OVERHEAD_TOKENS * 2
+  const available = Math.max(0, window - reply - fixed)
+
+  const shares = { ...BUDGET_SHARES }
+  for (const [part, used] of [
+    ['sources', useSources],
+    ['documents', useDocuments],
+  ]) {
+    if (used) continue
+    shares.recent += shares[part]
+    shares[part] = 0
+  }
+  const budget = (part) => Math.floor(available * shares[part] * scale)
+  return {
+    window,
+    context_length: context.context_length,
+    reply,
+    chars_per_token: charsPerToken,
+    summary: budget('summary'),
+    facts: budget('facts'),
+    recent: budget('recent'),
+    sources: budget('sources'),
+    documents: budget('documents'),
+  }
+}
+
+module.exports = { planPromptBudgets, calibrateTokens, getTokenCalibration }
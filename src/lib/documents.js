@@ -0,0 +1,152 @@
+const { estimateTokens, trimToCharBudget } = require('./utils')
+
+const SNIPPET_CHARS = 200
+
+function readDocumentInput({ name, content, data }) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new Error('Missing fields: name')
+  }
+  let text = ''
+  if (typeof content === 'string') {
+    text = content
+  } else if (typeof data === 'string') {
+    text = Buffer.from(data.replace(/^data:[^,]*,/, ''), 'base64').toString('utf-8')
+  } else {
+    throw new Error('Missing fields: content')
+  }
+  if (text.includes('\u0000')) {
+    throw new Error('Only text, markdown, and code files can be attached.')
+  }
+  if (!text.trim()) {
+    throw new Error('Document is empty.')
+  }
+  return { name: name.trim(), text }
+}
+
+// Splits on line boundaries so chunks can be cited by line range.
+function chunkText(text, { chunkChars, overlapChars }) {
+  const segments = []
+  String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .forEach((line, index) => {
+      if (line.length <= chunkChars) {
+        segments.push({ text: line, line: index + 1 })
+        return
+      }
+      for (let i = 0; i < line.length; i += chunkChars) {
+        segments.push({ text: line.slice(i, i + chunkChars), line: index + 1 })
+      }
+    })
+
+  const chunks = []
+  let start = 0
+  while (start < segments.length) {
+    let end = start
+    let size = 0
+    while (
+      end < segments.length &&
+      (end === start || size + segments[end].text.length + 1 <= chunkChars)
+    ) {
+      size += segments[end].text.length + 1
+      end += 1
+    }
+    const body = segments
+      .slice(start, end)
+      .map((segment) => segment.text)
+      .join('\n')
+    if (body.trim()) {
+      chunks.push({
+        index: chunks.length,
+        start_line: segments[start].line,
+        end_line: segments[end - 1].line,
+        text: body,
+      })
+    }
+    if (end >= segments.length) break
+
+    let next = end
+    let overlap = 0
+    while (next - 1 > start && overlap + segments[next - 1].text.length + 1 <= overlapChars) {
+      next -= 1
+      overlap += segments[next].text.length + 1
+    }
+    start = next
+  }
+  return chunks
+}
+
+function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return 0
+  let dot = 0
+  let normA = 0
+  let normB = 0
+  for (let i = 0; i < a.length; i += 1) {
+    dot += a[i] * b[i]
+    normA += a[i] * a[i]
+    normB += b[i] * b[i]
+  }
+  if (!normA || !normB) return 0
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB))
+}
+
+function selectRelevantChunks(candidates, { topK, minScore, tokenBudget }) {
+  const ranked = candidates
+    .filter((candidate) => candidate.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+  const selected = []
+  let used = 0
+  for (const candidate of ranked) {
+    if (selected.length >= topK) break
+    const tokens = estimateTokens(candidate.chunk.text)
+    if (used + tokens > tokenBudget && selected.length) continue
+    selected.push(candidate)
+    used += tokens
+  }
+  return selected
+}
+
+function formatLineRange(chunk) {
+  return chunk.start_line === chunk.end_line
+    ? `line ${chunk.start_line}`
+    : `lines ${chunk.start_line}-${chunk.end_line}`
+}
+
+function buildDocumentsContext(selected) {
+  return selected
+    .map((candidate, index) => {
+      const { document, chunk } = candidate
+      return `[D${index + 1}] ${document.name}, ${formatLineRange(chunk)}\n${chunk.text}`
+    })
+    .join('\n\n')
+}
+
+// Shapes retrieved chunks like web sources so they share the `sources` plumbing.
+function toDocumentSources(selected, chatId) {
+  return selected.map((candidate, index) => {
+    const { document, chunk, score } = candidate
+    return {
+      type: 'document',
+      label: `D${index + 1}`,
+      title: `${document.name} (${formatLineRange(chunk)})`,
+      url: `/api/chats/${encodeURIComponent(chatId)}/documents/${encodeURIComponent(
+        document.id
+      )}`,
+      summary: trimToCharBudget(chunk.text.replace(/\s+/g, ' ').trim(), SNIPPET_CHARS),
+      document_id: document.id,
+      chunk: chunk.index,
+      start_line: chunk.start_line,
+      end_line: chunk.end_line,
+      score: Number(score.toFixed(4)),
+    }
+  })
+}
+
+module.exports = {
+  readDocumentInput,
+  chunkText,
+  cosineSimilarity,
+  selectRelevantChunks,
+  buildDocumentsContext,
+  toDocumentSources,
+}
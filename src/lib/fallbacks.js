@@ -0,0 +1,29 @@
+const { config } = require('./config')
+
+let fallbackMap = null
+
+// MODEL_FALLBACKS lists chains like "llama3:70b -> llama3:8b -> phi3; mistral -> phi3".
+// Every model in a chain falls back to the ones after it.
+function parseFallbackChains(value) {
+  const map = new Map()
+  for (const entry of String(value || '').split(/[;\n]/)) {
+    const chain = entry
+      .split('->')
+      .map((model) => model.trim())
+      .filter(Boolean)
+    chain.forEach((model, index) => {
+      if (!map.has(model) && index < chain.length - 1) {
+        map.set(model, chain.slice(index + 1))
+      }
+    })
+  }
+  return map
+}
+
+function getFallbackChain(model) {
+  if (!fallbackMap) fallbackMap = parseFallbackChains(config.MODEL_FALLBACKS)
+  const rest = fallbackMap.get(model) || []
+  return [model, ...rest.filter((next) => next !== model)]
+}
+
+module.exports = { parseFallbackChains, getFallbackChain }
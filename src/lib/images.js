@@ -0,0 +1,50 @@
+const { modelSupports } = require('./models')
+
+const IMAGE_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+}
+
+function detectImageType(buffer) {
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) return 'image/png'
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg'
+  }
+  if (buffer.length >= 6 && buffer.toString('ascii', 0, 4) === 'GIF8') return 'image/gif'
+  if (
+    buffer.length >= 12 &&
+    buffer.toString('ascii', 0, 4) === 'RIFF' &&
+    buffer.toString('ascii', 8, 12) === 'WEBP'
+  ) {
+    return 'image/webp'
+  }
+  return ''
+}
+
+// Accepts base64 strings or data URLs and returns decoded images.
+function decodeImages(inputs) {
+  if (inputs === undefined || inputs === null) return []
+  if (!Array.isArray(inputs)) {
+    throw new Error('images must be an array of base64 strings or data URLs.')
+  }
+  return inputs.map((input, index) => {
+    if (typeof input !== 'string' || !input.trim()) {
+      throw new Error(`Image ${index + 1} is empty.`)
+    }
+    const match = input.trim().match(/^data:([^;,]+)?(?:;[^,]*)?,(.*)$/s)
+    const data = Buffer.from(match ? match[2] : input.trim(), 'base64')
+    const mimeType = detectImageType(data)
+    if (!mimeType) {
+      throw new Error(`Image ${index + 1} is not a PNG, JPEG, GIF, or WebP image.`)
+    }
+    return { data, mimeType, ext: IMAGE_TYPES[mimeType] }
+  })
+}
+
+function modelSupportsVision({ baseUrl, model }) {
+  return modelSupports({ baseUrl, model }, 'vision')
+}
+
+module.exports = { decodeImages, modelSupportsVision }
@@ -0,0 +1,45 @@
+const { config } = require('./config')
+const { normalizeModelName } = require('./backends')
+
+// Ollama takes keep_alive as seconds (negative keeps the model loaded) or a
+// duration such as "10m" or "1h30m".
+const DURATION_PATTERN = /^(?:\d+(?:\.\d+)?(?:ms|s|m|h))+$/
+
+let keepAliveMap = null
+
+function parseKeepAliveValue(value) {
+  const text = String(value || '').trim()
+  if (!text) return null
+  if (/^-?\d+$/.test(text)) return Number.parseInt(text, 10)
+  if (DURATION_PATTERN.test(text)) return text
+  return undefined
+}
+
+// MODEL_KEEP_ALIVE lists entries like "llama3:70b=30m; phi3=-1".
+function parseModelKeepAlive(value) {
+  const map = new Map()
+  for (const entry of String(value || '').split(/[;\n]/)) {
+    const index = entry.lastIndexOf('=')
+    if (index === -1) continue
+    const model = normalizeModelName(entry.slice(0, index))
+    const keepAlive = parseKeepAliveValue(entry.slice(index + 1))
+    if (!model || keepAlive === null) continue
+    if (keepAlive === undefined) {
+      console.warn('[keep_alive] ignoring invalid value', { entry: entry.trim() })
+      continue
+    }
+    map.set(model, keepAlive)
+  }
+  return map
+}
+
+// Returns the keep_alive to send for `model`, or null to leave Ollama's default.
+function getKeepAlive(model) {
+  if (!keepAliveMap) keepAliveMap = parseModelKeepAlive(config.MODEL_KEEP_ALIVE)
+  const name = normalizeModelName(model)
+  if (keepAliveMap.has(name)) return keepAliveMap.get(name)
+  const fallback = parseKeepAliveValue(config.KEEP_ALIVE)
+  return fallback === undefined ? null : fallback
+}
+
+module.exports = { parseModelKeepAlive, getKeepAlive }
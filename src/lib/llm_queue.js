@@ -1,31 +1,135 @@
+const { createCancelledError, isCancelledError } = require('./utils')
+const { rankBackends, markBackendDown, noteModelLoaded, isConnectionError } = require('./backends')
+const { getFallbackChain } = require('./fallbacks')
+
 const highQueue = []
-let running = false
 
-function enqueue(task, priority) {
+function attachAbort(entry) {
+  if (!entry.signal) return
+  entry.onAbort = () => {
+    const index = highQueue.indexOf(entry)
+    if (index === -1) return
+    highQueue.splice(index, 1)
+    entry.reject(createCancelledError('LLM task cancelled.'))
+  }
+  entry.signal.addEventListener('abort', entry.onAbort, { once: true })
+}
+
+function enqueue(task, { signal, model, fallback, onFallback, canFallback }) {
   return new Promise((resolve, reject) => {
-    const entry = { task, resolve, reject }
+    if (signal && signal.aborted) {
+      reject(createCancelledError('LLM task cancelled.'))
+      return
+    }
+    const entry = {
+      task,
+      model,
+      chain: fallback && model ? getFallbackChain(model) : [model],
+      attempt: 0,
+      onFallback,
+      canFallback,
+      resolve,
+      reject,
+      signal,
+      onAbort: null,
+      tried: new Set(),
+    }
+    attachAbort(entry)
     highQueue.push(entry)
     schedule()
   })
 }
 
+function findBackend(entry, idleOnly) {
+  return rankBackends(entry.model).find(
+    (backend) => !entry.tried.has(backend.url) && (!idleOnly || backend.running === 0)
+  )
+}
+
+// Each backend runs one job at a time. Jobs start in queue order, but a job
+// waiting on a busy backend does not hold back one that another backend can take.
 function schedule() {
-  if (running) return
-  const next = highQueue.shift()
-  if (!next) return
-  running = true
+  for (let index = 0; index < highQueue.length; ) {
+    const entry = highQueue[index]
+    const backend = findBackend(entry, true)
+    if (!backend) {
+      index += 1
+      continue
+    }
+    highQueue.splice(index, 1)
+    if (entry.signal && entry.onAbort) {
+      entry.signal.removeEventListener('abort', entry.onAbort)
+    }
+    start(entry, backend)
+  }
+}
+
+function requeue(entry) {
+  attachAbort(entry)
+  highQueue.unshift(entry)
+}
+
+// Moves a failed job to the next model of its fallback chain, queued like a new
+// job so it waits for a backend that has that model.
+function fallBack(entry, error) {
+  const next = entry.chain[entry.attempt + 1]
+  if (
+    !next ||
+    isCancelledError(error) ||
+    (entry.signal && entry.signal.aborted) ||
+    (typeof entry.canFallback === 'function' && !entry.canFallback(error))
+  ) {
+    return false
+  }
+  const message = error instanceof Error ? error.message : String(error)
+  console.warn('[fallback] model failed; trying next', { model: entry.model, next, error: message })
+  if (typeof entry.onFallback === 'function') {
+    entry.onFallback({ model: entry.model, next, error: message, attempt: entry.attempt + 1 })
+  }
+  entry.attempt += 1
+  entry.model = next
+  entry.tried = new Set()
+  requeue(entry)
+  return true
+}
+
+// A backend that cannot be reached is marked down and the job moves to the
+// next one; other errors walk the fallback chain, then go back to the caller.
+function start(entry, backend) {
+  backend.running += 1
   Promise.resolve()
-    .then(next.task)
-    .then((result) => next.resolve(result))
-    .catch((error) => next.reject(error))
+    .then(() => entry.task({ baseUrl: backend.url, model: entry.model }))
+    .then(
+      (result) => {
+        if (entry.model) noteModelLoaded(backend, entry.model)
+        entry.resolve(result)
+      },
+      (error) => {
+        if (isConnectionError(error) && !(entry.signal && entry.signal.aborted)) {
+          markBackendDown(backend, error)
+          entry.tried.add(backend.url)
+          if (findBackend(entry, false)) {
+            requeue(entry)
+            return
+          }
+        }
+        if (!fallBack(entry, error)) entry.reject(error)
+      }
+    )
     .finally(() => {
-      running = false
+      backend.running -= 1
       schedule()
     })
 }
 
-function runHighLlm(task) {
-  return enqueue(task, 'high')
+// `task({ baseUrl, model })` runs once a backend for `model` is free. With `fallback`,
+// a failed task runs again with the next model of the chain (see getFallbackChain)
+// while `canFallback(error)` allows it; `onFallback` hears about each switch.
+function runHighLlm(
+  task,
+  { signal = null, model = '', fallback = false, onFallback = null, canFallback = null } = {}
+) {
+  return enqueue(task, { signal, model, fallback, onFallback, canFallback })
 }
 
 module.exports = { runHighLlm }
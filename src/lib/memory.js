@@ -55,6 +55,100 @@ function selectRecentUserMessages(rawMessages, recentUserCount, recentTokenBudge
   return applyTokenBudget(slice, recentTokenBudget)
 }
 
+const CODE_BLOCK_KEEP_LINES = 8
+const CITATION_MARKER = /(\s*)\[D?\d+(?:,\s*D?\d+)*\](?!\()/g
+
+function shortenCodeBlocks(text) {
+  return text.replace(/```([^\n]*)\n([\s\S]*?)```/g, (block, info, body) => {
+    const lines = body.replace(/\n$/, '').split('\n')
+    if (lines.length <= CODE_BLOCK_KEEP_LINES * 2) return block
+    const omitted = lines.length - CODE_BLOCK_KEEP_LINES
+    const head = lines.slice(0, CODE_BLOCK_KEEP_LINES).join('\n')
+    return `\`\`\`${info}\n${head}\n... (${omitted} more lines)\n\`\`\``
+  })
+}
+
+// Markdown links keep their text, URL lists in parentheses go, other URLs shrink
+// to their host, and [1] / [D2] markers are dropped unless they follow a word.
+function shortenCitations(text) {
+  return text
+    .replace(/\[([^\]]+)\]\(https?:\/\/[^)\s]+\)/g, '$1')
+    .replace(/\s*\(https?:\/\/[^)\s]+(?:[,;]\s*https?:\/\/[^)\s]+)*\)/g, '')
+    .replace(/https?:\/\/[^\s)\]]*[^\s)\].,;:!?]/g, (url) => {
+      try {
+        return new URL(url).host
+      } catch {
+        return url
+      }
+    })
+    .replace(CITATION_MARKER, (marker, space, offset, source) =>
+      !space && offset > 0 && /\w/.test(source[offset - 1]) ? marker : ''
+    )
+}
+
+function compactContent(text) {
+  return shortenCodeBlocks(String(text || ''))
+    .split(/(```[\s\S]*?```)/)
+    .map((part, index) => (index % 2 ? part : shortenCitations(part)))
+    .join('')
+}
+
+function groupTurns(rawMessages) {
+  const turns = []
+  for (const message of Array.isArray(rawMessages) ? rawMessages : []) {
+    if (!message || typeof message.content !== 'string' || !message.content) continue
+    if (message.role === 'user') {
+      turns.push([{ role: 'user', content: message.content }])
+    } else if (message.role === 'assistant' && turns.length) {
+      const turn = turns[turns.length - 1]
+      if (turn.length === 1) turn.push({ role: 'assistant', content: message.content })
+    }
+  }
+  return turns
+}
+
+function countTurnTokens(turn) {
+  return turn.reduce((sum, message) => sum + estimateTokens(message.content), 0)
+}
+
+// A turn that does not fit is compacted first (long code blocks and citations
+// shortened). Only the newest turn is cut further, the prompt keeping at most half
+// the space and the answer the rest, so the model always sees part of the last exchange.
+function fitTurn(turn, available, isNewest) {
+  if (countTurnTokens(turn) <= available) return turn
+  const compacted = turn.map((message) => ({ ...message, content: compactContent(message.content) }))
+  if (countTurnTokens(compacted) <= available) return compacted
+  if (!isNewest || available <= 0) return null
+  const [user, assistant] = compacted
+  const userTokens = Math.min(
+    estimateTokens(user.content),
+    assistant ? Math.ceil(available / 2) : available
+  )
+  const trimmed = [{ ...user, content: trimToTokenBudget(user.content, Math.max(1, userTokens)) }]
+  if (assistant) {
+    const rest = Math.max(1, available - userTokens)
+    trimmed.push({ ...assistant, content: trimToTokenBudget(assistant.content, rest) })
+  }
+  return trimmed
+}
+
+// The latest `turnCount` user/assistant exchanges that fit the budget, oldest first.
+function selectRecentTurns(rawMessages, turnCount, recentTokenBudget) {
+  if (turnCount <= 0 || !recentTokenBudget || recentTokenBudget <= 0) return []
+  const turns = groupTurns(rawMessages).slice(-turnCount)
+  const selected = []
+  let used = 0
+  for (let i = turns.length - 1; i >= 0; i -= 1) {
+    const turn = fitTurn(turns[i], recentTokenBudget - used, selected.length === 0)
+    if (!turn) break
+    selected.unshift(...turn)
+    used += countTurnTokens(turn)
+  }
+  return selected
+}
+
+// `contextMode` "turns" replays earlier exchanges with the assistant's answers;
+// "prompts" only repeats the user's earlier prompts.
 function buildPromptMessages({
   systemPrompt,
   summary,
@@ -63,6 +157,7 @@ function buildPromptMessages({
   newPrompt,
   budgets,
   recentTurns,
+  contextMode = 'turns',
 }) {
   const messages = [{ role: 'system', content: systemPrompt }]
   const memoryBlock = buildMemoryBlock(summary, facts, budgets)
@@ -70,12 +165,11 @@ function buildPromptMessages({
     messages.push({ role: 'system', content: memoryBlock })
   }
 
-  const recentUserCount = Math.max(0, (recentTurns || 0) - 1)
-  const recent = selectRecentUserMessages(
-    rawMessages,
-    recentUserCount,
-    budgets.recent
-  )
+  const previousCount = Math.max(0, (recentTurns || 0) - 1)
+  const recent =
+    contextMode === 'prompts'
+      ? selectRecentUserMessages(rawMessages, previousCount, budgets.recent)
+      : selectRecentTurns(rawMessages, previousCount, budgets.recent)
   for (const message of recent) {
     messages.push({ role: message.role, content: message.content })
   }
@@ -109,6 +203,7 @@ async function updateMemory({
   factsBudget,
   inputTokenBudget,
   timeoutMs,
+  signal,
 }) {
   const prunedMessages = applyTokenBudget(messagesSince, inputTokenBudget)
 
@@ -144,6 +239,7 @@ async function updateMemory({
     ],
     stream: false,
     timeoutMs,
+    signal,
   })
 
   const parsed = extractJson(response)
@@ -158,8 +254,10 @@ async function updateMemory({
 }
 
 module.exports = {
+  buildMemoryBlock,
   buildPromptMessages,
   selectRecentUserMessages,
+  selectRecentTurns,
   shouldUpdateMemory,
   updateMemory,
 }
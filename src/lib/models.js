@@ -0,0 +1,63 @@
+const { showOllamaModel } = require('./ollama')
+
+const VISION_FAMILIES = ['clip', 'mllama']
+const capabilityCache = new Map()
+const contextCache = new Map()
+
+// Older Ollama builds have no capabilities list, so infer them from the model details.
+function inferCapabilities(info) {
+  const capabilities = ['completion']
+  const families =
+    info.details && Array.isArray(info.details.families) ? info.details.families : []
+  if (info.projector_info || families.some((family) => VISION_FAMILIES.includes(family))) {
+    capabilities.push('vision')
+  }
+  if (typeof info.template === 'string' && info.template.includes('.Tools')) {
+    capabilities.push('tools')
+  }
+  return capabilities
+}
+
+async function getModelCapabilities({ baseUrl, model }) {
+  if (capabilityCache.has(model)) return capabilityCache.get(model)
+  const info = await showOllamaModel({ baseUrl, model })
+  const capabilities = Array.isArray(info.capabilities)
+    ? info.capabilities
+    : inferCapabilities(info)
+  capabilityCache.set(model, capabilities)
+  return capabilities
+}
+
+// The trained context length sits under an architecture-specific key such as
+// `llama.context_length`; a `num_ctx` in the Modelfile sets what Ollama actually allocates.
+async function getModelContext({ baseUrl, model }) {
+  if (contextCache.has(model)) return contextCache.get(model)
+  const info = await showOllamaModel({ baseUrl, model })
+  const modelInfo = info.model_info && typeof info.model_info === 'object' ? info.model_info : {}
+  const key = Object.keys(modelInfo).find((name) => name.endsWith('.context_length'))
+  const match = /^num_ctx\s+(\d+)/m.exec(typeof info.parameters === 'string' ? info.parameters : '')
+  const context = {
+    context_length: key && Number.isFinite(modelInfo[key]) ? modelInfo[key] : null,
+    num_ctx: match ? Number.parseInt(match[1], 10) : null,
+  }
+  contextCache.set(model, context)
+  return context
+}
+
+// Pulling a new version of a model can change what it supports.
+function forgetModelCapabilities(model) {
+  capabilityCache.delete(model)
+  contextCache.delete(model)
+}
+
+async function modelSupports({ baseUrl, model }, capability) {
+  const capabilities = await getModelCapabilities({ baseUrl, model })
+  return capabilities.includes(capability)
+}
+
+module.exports = {
+  getModelCapabilities,
+  getModelContext,
+  modelSupports,
+  forgetModelCapabilities,
+}
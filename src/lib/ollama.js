@@ -1,17 +1,23 @@
 const { URL } = require('node:url')
+const { createCancelledError, linkAbortSignal } = require('./utils')
+const { getKeepAlive } = require('./keep_alive')
 
-async function callOllamaChat({
+async function requestOllamaChat({
   baseUrl,
   model,
   messages,
   stream = false,
   timeoutMs = null,
   options = null,
-  allowThinking = false,
   format = null,
+  tools = null,
+  think = null,
+  signal = null,
 }) {
   const endpoint = new URL('/api/chat', baseUrl)
+  const keepAlive = getKeepAlive(model)
   const controller = new AbortController()
+  const unlinkSignal = linkAbortSignal(signal, controller)
   const timeout =
     Number.isFinite(timeoutMs) && timeoutMs > 0
       ? setTimeout(() => controller.abort(), timeoutMs)
@@ -28,11 +34,18 @@ async function callOllamaChat({
         stream,
         ...(options ? { options } : {}),
         ...(format ? { format } : {}),
+        ...(Array.isArray(tools) && tools.length ? { tools } : {}),
+        ...(typeof think === 'boolean' ? { think } : {}),
+        ...(keepAlive !== null ? { keep_alive: keepAlive } : {}),
       }),
       signal: controller.signal,
     })
   } catch (error) {
+    unlinkSignal()
     if (error && error.name === 'AbortError') {
+      if (signal && signal.aborted) {
+        throw createCancelledError('Ollama request cancelled.')
+      }
       throw new Error('Ollama request timed out.')
     }
     throw error
@@ -40,12 +53,53 @@ async function callOllamaChat({
     if (timeout) clearTimeout(timeout)
   }
 
-  if (!response.ok) {
-    const text = await response.text()
-    throw new Error(`Ollama error ${response.status}: ${text}`)
+  let payload
+  try {
+    if (!response.ok) {
+      const text = await response.text()
+      throw new Error(`Ollama error ${response.status}: ${text}`)
+    }
+    payload = await response.json()
+  } catch (error) {
+    if (error && error.name === 'AbortError' && signal && signal.aborted) {
+      throw createCancelledError('Ollama request cancelled.')
+    }
+    throw error
+  } finally {
+    unlinkSignal()
   }
 
-  const payload = await response.json()
+  if (!payload || !payload.message) {
+    throw new Error('Unexpected Ollama response.')
+  }
+
+  return payload
+}
+
+async function callOllamaChat({
+  baseUrl,
+  model,
+  messages,
+  stream = false,
+  timeoutMs = null,
+  options = null,
+  allowThinking = false,
+  format = null,
+  think = null,
+  signal = null,
+}) {
+  const payload = await requestOllamaChat({
+    baseUrl,
+    model,
+    messages,
+    stream,
+    timeoutMs,
+    options,
+    format,
+    think,
+    signal,
+  })
+
   if (!payload || !payload.message || typeof payload.message.content !== 'string') {
     throw new Error('Unexpected Ollama response.')
   }
@@ -109,4 +163,217 @@ async function listOllamaModels({ baseUrl }) {
   return payload.models
 }
 
-module.exports = { callOllamaChat, listOllamaModels }
+async function showOllamaModel({ baseUrl, model }) {
+  const endpoint = new URL('/api/show', baseUrl)
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ model }),
+  })
+
+  if (!response.ok) {
+    const text = await response.text()
+    throw new Error(`Ollama error ${response.status}: ${text}`)
+  }
+
+  return response.json()
+}
+
+// Streams /api/pull and passes every progress line to `onProgress`. Ollama reports
+// a failed pull as an `{ error }` line, which is thrown.
+async function pullOllamaModel({ baseUrl, model, signal = null, onProgress = null }) {
+  const endpoint = new URL('/api/pull', baseUrl)
+  let last = null
+  const handleLine = (line) => {
+    const trimmed = line.trim()
+    if (!trimmed) return
+    let parsed
+    try {
+      parsed = JSON.parse(trimmed)
+    } catch {
+      return
+    }
+    if (parsed && parsed.error) {
+      throw new Error(`Ollama pull failed: ${parsed.error}`)
+    }
+    last = parsed
+    if (typeof onProgress === 'function') onProgress(parsed)
+  }
+
+  try {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model, stream: true }),
+      signal,
+    })
+    if (!response.ok) {
+      const text = await response.text()
+      throw new Error(`Ollama error ${response.status}: ${text}`)
+    }
+    if (!response.body) {
+      throw new Error('Ollama pull body missing.')
+    }
+    const reader = response.body.getReader()
+    let buffer = ''
+    while (true) {
+      const { value, done } = await reader.read()
+      if (done) break
+      buffer += Buffer.from(value).toString('utf-8')
+      const lines = buffer.split('\n')
+      buffer = lines.pop() || ''
+      lines.forEach(handleLine)
+    }
+    handleLine(buffer)
+  } catch (error) {
+    if (error && error.name === 'AbortError' && signal && signal.aborted) {
+      throw createCancelledError('Ollama pull cancelled.')
+    }
+    throw error
+  }
+
+  if (!last || last.status !== 'success') {
+    throw new Error('Ollama pull ended before it completed.')
+  }
+  return last
+}
+
+// A generate call without a prompt only loads the model and sets how long it stays loaded.
+async function warmOllamaModel({ baseUrl, model, keepAlive = null, signal = null }) {
+  const endpoint = new URL('/api/generate', baseUrl)
+  let response
+  try {
+    response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model,
+        stream: false,
+        ...(keepAlive !== null ? { keep_alive: keepAlive } : {}),
+      }),
+      signal,
+    })
+  } catch (error) {
+    if (error && error.name === 'AbortError' && signal && signal.aborted) {
+      throw createCancelledError('Ollama request cancelled.')
+    }
+    throw error
+  }
+
+  if (!response.ok) {
+    const text = await response.text()
+    throw new Error(`Ollama error ${response.status}: ${text}`)
+  }
+  await response.json()
+}
+
+async function deleteOllamaModel({ baseUrl, model }) {
+  const endpoint = new URL('/api/delete', baseUrl)
+  const response = await fetch(endpoint, {
+    method: 'DELETE',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ model }),
+  })
+
+  if (!response.ok) {
+    const text = await response.text()
+    throw new Error(`Ollama error ${response.status}: ${text}`)
+  }
+}
+
+async function copyOllamaModel({ baseUrl, source, destination }) {
+  const endpoint = new URL('/api/copy', baseUrl)
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ source, destination }),
+  })
+
+  if (!response.ok) {
+    const text = await response.text()
+    throw new Error(`Ollama error ${response.status}: ${text}`)
+  }
+}
+
+async function embedOllama({ baseUrl, model, input, signal = null }) {
+  const endpoint = new URL('/api/embed', baseUrl)
+  let response
+  try {
+    response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model, input }),
+      signal,
+    })
+  } catch (error) {
+    if (error && error.name === 'AbortError' && signal && signal.aborted) {
+      throw createCancelledError('Ollama request cancelled.')
+    }
+    throw error
+  }
+
+  if (!response.ok) {
+    const text = await response.text()
+    throw new Error(`Ollama error ${response.status}: ${text}`)
+  }
+
+  const payload = await response.json()
+  if (!payload || !Array.isArray(payload.embeddings)) {
+    throw new Error('Unexpected Ollama embeddings response.')
+  }
+
+  return payload.embeddings
+}
+
+// Forwards a request to Ollama as-is and pipes the (possibly streaming) reply back.
+async function proxyOllamaRequest({ baseUrl, method, path, body, res, signal = null }) {
+  const endpoint = new URL(path, baseUrl)
+  const controller = new AbortController()
+  const unlinkSignal = linkAbortSignal(signal, controller)
+  try {
+    const upstream = await fetch(endpoint, {
+      method,
+      headers: body && body.length ? { 'Content-Type': 'application/json' } : {},
+      body: body && body.length ? body : undefined,
+      signal: controller.signal,
+    })
+    res.statusCode = upstream.status
+    res.setHeader(
+      'Content-Type',
+      upstream.headers.get('content-type') || 'application/json; charset=utf-8'
+    )
+    res.setHeader('Cache-Control', 'no-store')
+    if (!upstream.body) {
+      res.end()
+      return
+    }
+    const reader = upstream.body.getReader()
+    while (true) {
+      const { value, done } = await reader.read()
+      if (done) break
+      if (res.destroyed) break
+      res.write(Buffer.from(value))
+    }
+    res.end()
+  } catch (error) {
+    if (error && error.name === 'AbortError' && signal && signal.aborted) {
+      throw createCancelledError('Ollama request cancelled.')
+    }
+    throw error
+  } finally {
+    unlinkSignal()
+  }
+}
+
+module.exports = {
+  requestOllamaChat,
+  callOllamaChat,
+  listOllamaModels,
+  showOllamaModel,
+  pullOllamaModel,
+  warmOllamaModel,
+  deleteOllamaModel,
+  copyOllamaModel,
+  embedOllama,
+  proxyOllamaRequest,
+}
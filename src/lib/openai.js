@@ -0,0 +1,187 @@
+const { randomUUID } = require('node:crypto')
+const { respondJson } = require('./utils')
+
+const OPTION_MAP = {
+  temperature: 'temperature',
+  top_p: 'top_p',
+  seed: 'seed',
+  max_tokens: 'num_predict',
+  max_completion_tokens: 'num_predict',
+  frequency_penalty: 'frequency_penalty',
+  presence_penalty: 'presence_penalty',
+  stop: 'stop',
+}
+
+function extractText(content) {
+  if (typeof content === 'string') return content
+  if (!Array.isArray(content)) return ''
+  return content
+    .filter((part) => part && part.type === 'text' && typeof part.text === 'string')
+    .map((part) => part.text)
+    .join('\n')
+}
+
+function toOllamaMessages(messages) {
+  if (!Array.isArray(messages)) return []
+  return messages
+    .filter((message) => message && typeof message.role === 'string')
+    .map((message) => ({
+      role: message.role === 'developer' ? 'system' : message.role,
+      content: extractText(message.content),
+    }))
+    .filter((message) => message.content)
+}
+
+function getLastUserText(messages) {
+  if (!Array.isArray(messages)) return ''
+  for (let i = messages.length - 1; i >= 0; i -= 1) {
+    const message = messages[i]
+    if (message && message.role === 'user') {
+      return extractText(message.content)
+    }
+  }
+  return ''
+}
+
+function toOllamaOptions(payload) {
+  if (!payload || typeof payload !== 'object') return null
+  const options = {}
+  for (const [key, target] of Object.entries(OPTION_MAP)) {
+    const value = payload[key]
+    if (value === undefined || value === null) continue
+    if (key === 'stop') {
+      options.stop = Array.isArray(value) ? value : [value]
+      continue
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      options[target] = value
+    }
+  }
+  return Object.keys(options).length ? options : null
+}
+
+function toModelList(models) {
+  return {
+    object: 'list',
+    data: (Array.isArray(models) ? models : []).map((model) => {
+      const modified = Date.parse(model.modified_at || '')
+      return {
+        id: model.name || model.model,
+        object: 'model',
+        created: Number.isFinite(modified) ? Math.floor(modified / 1000) : 0,
+        owned_by: 'ollama',
+      }
+    }),
+  }
+}
+
+function respondError(res, status, message, type = 'invalid_request_error') {
+  respondJson(res, status, { error: { message, type, code: null } })
+}
+
+// Adapts the NDJSON/JSON chat pipeline output to Chat Completions responses.
+function createOpenAiOutput(res, { model, stream }) {
+  const id = `chatcmpl-${randomUUID()}`
+  const created = Math.floor(Date.now() / 1000)
+  let started = false
+  let finished = false
+
+  const writeData = (payload) => {
+    if (res.writableEnded || res.destroyed) return
+    res.write(`data: ${typeof payload === 'string' ? payload : JSON.stringify(payload)}\n\n`)
+  }
+
+  const chunk = (delta, finishReason = null) => ({
+    id,
+    object: 'chat.completion.chunk',
+    created,
+    model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }],
+  })
+
+  const output = {
+    res,
+    start() {
+      if (started || res.headersSent) return
+      started = true
+      res.statusCode = 200
+      res.setHeader('Content-Type', 'text/event-stream; charset=utf-8')
+      res.setHeader('Cache-Control', 'no-cache, no-transform')
+      res.setHeader('Connection', 'keep-alive')
+      writeData(chunk({ role: 'assistant', content: '' }))
+    },
+    write(event) {
+      if (!stream || !event || typeof event !== 'object') return
+      output.start()
+      if (event.message && typeof event.message.content === 'string') {
+        if (event.message.content) {
+          writeData(chunk({ content: event.message.content }))
+        }
+        return
+      }
+      if (event.error) {
+        writeData({ error: { message: String(event.error), type: 'server_error', code: null } })
+        finished = true
+      }
+    },
+    json(status, payload) {
+      if (status >= 400 || !payload || typeof payload.answer !== 'string') {
+        const message =
+          payload && typeof payload.error === 'string' ? payload.error : 'Unexpected error.'
+        if (stream && res.headersSent) {
+          output.write({ error: message })
+          output.end()
+          return
+        }
+        respondError(res, status >= 400 ? status : 500, message, 'server_error')
+        return
+      }
+      if (stream) {
+        output.start()
+        if (payload.answer) {
+          writeData(chunk({ content: payload.answer }))
+        }
+        output.end()
+        return
+      }
+      respondJson(res, 200, {
+        id,
+        object: 'chat.completion',
+        created,
+        model,
+        choices: [
+          {
+            index: 0,
+            message: { role: 'assistant', content: payload.answer },
+            finish_reason: 'stop',
+          },
+        ],
+        ...(payload.chat_id ? { chat_id: payload.chat_id } : {}),
+        ...(Array.isArray(payload.sources) ? { sources: payload.sources } : {}),
+      })
+    },
+    end() {
+      if (res.writableEnded) return
+      if (stream) {
+        output.start()
+        if (!finished) {
+          writeData(chunk({}, 'stop'))
+          finished = true
+        }
+        writeData('[DONE]')
+      }
+      res.end()
+    },
+  }
+  return output
+}
+
+module.exports = {
+  extractText,
+  toOllamaMessages,
+  getLastUserText,
+  toOllamaOptions,
+  toModelList,
+  respondError,
+  createOpenAiOutput,
+}
@@ -0,0 +1,30 @@
+const GENERATION_OPTION_KEYS = ['temperature', 'top_p', 'num_ctx', 'seed', 'num_predict']
+const INTEGER_OPTION_KEYS = new Set(['num_ctx', 'seed', 'num_predict'])
+
+// Returns a clean options object, or throws with a message naming the bad key.
+function normalizeGenerationOptions(value) {
+  if (value === undefined || value === null) return {}
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('options must be an object.')
+  }
+  const options = {}
+  for (const [key, raw] of Object.entries(value)) {
+    if (!GENERATION_OPTION_KEYS.includes(key)) {
+      throw new Error(
+        `Unsupported option: ${key}. Allowed: ${GENERATION_OPTION_KEYS.join(', ')}.`
+      )
+    }
+    if (raw === null) continue
+    const number = typeof raw === 'string' ? Number(raw) : raw
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+      throw new Error(`Option ${key} must be a number.`)
+    }
+    if (INTEGER_OPTION_KEYS.has(key) && !Number.isInteger(number)) {
+      throw new Error(`Option ${key} must be an integer.`)
+    }
+    options[key] = number
+  }
+  return options
+}
+
+module.exports = { GENERATION_OPTION_KEYS, normalizeGenerationOptions }
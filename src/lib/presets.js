@@ -0,0 +1,55 @@
+const { normalizeGenerationOptions } = require('./options')
+
+const INPUT_PLACEHOLDER = /\{\{\s*input\s*\}\}/
+const PRESET_NAME_MAX_CHARS = 80
+
+// Builds a preset from request fields; `existing` supplies values for a partial update.
+function normalizePreset(payload, existing = null) {
+  const base = existing || {}
+  const has = (key) => Object.prototype.hasOwnProperty.call(payload, key)
+
+  const name = has('name') ? payload.name : base.name
+  const template = has('template') ? payload.template : base.template
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new Error('Missing fields: name')
+  }
+  if (name.trim().length > PRESET_NAME_MAX_CHARS) {
+    throw new Error('Preset name is too long.')
+  }
+  if (typeof template !== 'string' || !template.trim()) {
+    throw new Error('Missing fields: template')
+  }
+
+  let modelId = has('model_id') ? payload.model_id : base.model_id
+  if (modelId !== undefined && modelId !== null && typeof modelId !== 'string') {
+    throw new Error('model_id must be a string.')
+  }
+  modelId = modelId ? modelId.trim() : ''
+
+  let useWeb = has('use_web') ? payload.use_web : base.use_web
+  if (useWeb !== undefined && useWeb !== null && typeof useWeb !== 'boolean') {
+    throw new Error('use_web must be a boolean.')
+  }
+  useWeb = typeof useWeb === 'boolean' ? useWeb : null
+
+  const options = normalizeGenerationOptions(has('options') ? payload.options : base.options)
+
+  return {
+    name: name.trim(),
+    template,
+    model_id: modelId,
+    use_web: useWeb,
+    options,
+  }
+}
+
+function expandPresetTemplate(template, input) {
+  const text = typeof input === 'string' ? input.trim() : ''
+  const parts = template.split(INPUT_PLACEHOLDER)
+  if (parts.length > 1) {
+    return parts.join(text).trim()
+  }
+  return text ? `${template.trim()}\n\n${text}` : template.trim()
+}
+
+module.exports = { normalizePreset, expandPresetTemplate }
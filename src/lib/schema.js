@@ -0,0 +1,161 @@
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null']
+const MAX_ERRORS = 10
+
+// `format` is either "json" (any JSON value) or a JSON Schema object, as Ollama accepts.
+function normalizeFormat(value) {
+  if (value === undefined || value === null || value === '') return null
+  if (value === 'json') return 'json'
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('format must be "json" or a JSON Schema object.')
+  }
+  const types = Array.isArray(value.type) ? value.type : value.type ? [value.type] : []
+  const unknown = types.find((type) => !TYPES.includes(type))
+  if (unknown) {
+    throw new Error(`Unsupported schema type: ${unknown}`)
+  }
+  return value
+}
+
+function typeOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value)
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value)
+  return typeOf(value) === type
+}
+
+// Covers the keywords models are asked to follow in practice; `$ref` and formats are not resolved.
+function collectErrors(value, schema, path, errors) {
+  if (!schema || typeof schema !== 'object' || errors.length >= MAX_ERRORS) return
+  const at = path || '$'
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push(`${at} should be ${types.join(' or ')}, got ${typeOf(value)}`)
+      return
+    }
+  }
+  if ('const' in schema && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    errors.push(`${at} should be ${JSON.stringify(schema.const)}`)
+  }
+  if (
+    Array.isArray(schema.enum) &&
+    !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))
+  ) {
+    errors.push(`${at} should be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`)
+  }
+
+  if (typeof value === 'string') {
+    if (Number.isFinite(schema.minLength) && value.length < schema.minLength) {
+      errors.push(`${at} should have at least ${schema.minLength} characters`)
+    }
+    if (Number.isFinite(schema.maxLength) && value.length > schema.maxLength) {
+      errors.push(`${at} should have at most ${schema.maxLength} characters`)
+    }
+    if (typeof schema.pattern === 'string') {
+      let pattern = null
+      try {
+        pattern = new RegExp(schema.pattern, 'u')
+      } catch {
+        pattern = null
+      }
+      if (pattern && !pattern.test(value)) {
+        errors.push(`${at} should match ${schema.pattern}`)
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (Number.isFinite(schema.minimum) && value < schema.minimum) {
+      errors.push(`${at} should be >= ${schema.minimum}`)
+    }
+    if (Number.isFinite(schema.maximum) && value > schema.maximum) {
+      errors.push(`${at} should be <= ${schema.maximum}`)
+    }
+    if (Number.isFinite(schema.exclusiveMinimum) && value <= schema.exclusiveMinimum) {
+      errors.push(`${at} should be > ${schema.exclusiveMinimum}`)
+    }
+    if (Number.isFinite(schema.exclusiveMaximum) && value >= schema.exclusiveMaximum) {
+      errors.push(`${at} should be < ${schema.exclusiveMaximum}`)
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (Number.isFinite(schema.minItems) && value.length < schema.minItems) {
+      errors.push(`${at} should have at least ${schema.minItems} items`)
+    }
+    if (Number.isFinite(schema.maxItems) && value.length > schema.maxItems) {
+      errors.push(`${at} should have at most ${schema.maxItems} items`)
+    }
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, index) => collectErrors(item, schema.items, `${at}[${index}]`, errors))
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties =
+      schema.properties && typeof schema.properties === 'object' ? schema.properties : {}
+    for (const key of Array.isArray(schema.required) ? schema.required : []) {
+      if (!(key in value)) {
+        errors.push(`${at}.${key} is required`)
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (key in properties) {
+        collectErrors(item, properties[key], `${at}.${key}`, errors)
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key} is not allowed`)
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        collectErrors(item, schema.additionalProperties, `${at}.${key}`, errors)
+      }
+    }
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    schema.allOf.forEach((part) => collectErrors(value, part, path, errors))
+  }
+  for (const keyword of ['anyOf', 'oneOf']) {
+    if (!Array.isArray(schema[keyword])) continue
+    const passing = schema[keyword].filter((part) => !validateJson(value, part).length).length
+    if (keyword === 'anyOf' ? passing === 0 : passing !== 1) {
+      errors.push(`${at} should match ${keyword === 'anyOf' ? 'at least' : 'exactly'} one schema`)
+    }
+  }
+}
+
+function validateJson(value, schema) {
+  const errors = []
+  collectErrors(value, schema, '', errors)
+  return errors.slice(0, MAX_ERRORS)
+}
+
+// Strict parse: the whole reply must be JSON (a ```json fence around it is tolerated).
+function parseJsonReply(text) {
+  const trimmed = String(text || '')
+    .trim()
+    .replace(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/i, '$1')
+    .trim()
+  if (!trimmed) {
+    return { ok: false, error: 'Reply is empty.' }
+  }
+  try {
+    return { ok: true, value: JSON.parse(trimmed) }
+  } catch (error) {
+    return { ok: false, error: `Reply is not valid JSON: ${error.message}` }
+  }
+}
+
+// Returns { data, errors }; `data` is only set when the reply parses and matches the format.
+function checkStructuredReply(text, format) {
+  const parsed = parseJsonReply(text)
+  if (!parsed.ok) return { data: null, errors: [parsed.error] }
+  const errors = format && typeof format === 'object' ? validateJson(parsed.value, format) : []
+  return errors.length ? { data: null, errors } : { data: parsed.value, errors: [] }
+}
+
+module.exports = { normalizeFormat, validateJson, parseJsonReply, checkStructuredReply }
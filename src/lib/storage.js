@@ -6,6 +6,7 @@ class FileStore {
   constructor(baseDir, chatsDir) {
     this.baseDir = baseDir
     this.chatsDir = chatsDir
+    this.presetsDir = path.join(baseDir, 'presets')
     ensureDir(this.baseDir)
     ensureDir(this.chatsDir)
   }
@@ -27,9 +28,41 @@ class FileStore {
     const { filePath } = this.chatPath(userId, chatId)
     if (!fs.existsSync(filePath)) return false
     fs.unlinkSync(filePath)
+    fs.rmSync(this.chatFilesDir(userId, chatId), { recursive: true, force: true })
     return true
   }
 
+  // Attachments live in a directory named after the chat, next to its JSON record.
+  chatFilesDir(userId, chatId) {
+    const { userDir } = this.chatPath(userId, chatId)
+    return path.join(userDir, safeId(chatId))
+  }
+
+  saveChatFile(userId, chatId, fileName, data) {
+    const dir = this.chatFilesDir(userId, chatId)
+    ensureDir(dir)
+    fs.writeFileSync(path.join(dir, path.basename(fileName)), data)
+  }
+
+  readChatFile(userId, chatId, fileName) {
+    const filePath = path.join(this.chatFilesDir(userId, chatId), path.basename(fileName))
+    if (!fs.existsSync(filePath)) return null
+    return fs.readFileSync(filePath)
+  }
+
+  deleteChatFile(userId, chatId, fileName) {
+    const filePath = path.join(this.chatFilesDir(userId, chatId), path.basename(fileName))
+    if (!fs.existsSync(filePath)) return false
+    fs.unlinkSync(filePath)
+    return true
+  }
+
+  copyChatFiles(userId, fromChatId, toChatId) {
+    const source = this.chatFilesDir(userId, fromChatId)
+    if (!fs.existsSync(source)) return
+    fs.cpSync(source, this.chatFilesDir(userId, toChatId), { recursive: true })
+  }
+
   saveChat(record) {
     const { userDir, filePath } = this.chatPath(record.user_id, record.chat_id)
     ensureDir(userDir)
@@ -46,24 +79,59 @@ class FileStore {
   getOrCreateChatWithMeta(userId, chatId) {
     const existing = this.loadChat(userId, chatId)
     if (existing) return { record: existing, created: false }
-    const record = {
-      user_id: userId,
-      chat_id: chatId,
-      title: '',
-      topic: '',
-      summary: '',
-      facts: [],
-      last_updated_ts: 0,
-      last_message_ts: 0,
-      last_summary_ts: 0,
-      last_topic_ts: 0,
-      raw_messages: [],
-      idempotency: {},
-    }
+    const record = buildEmptyChat(userId, chatId)
     this.saveChat(record)
     return { record, created: true }
   }
 
+  createChat(userId, chatId, fields = {}) {
+    if (this.loadChat(userId, chatId)) return null
+    const record = { ...buildEmptyChat(userId, chatId), ...fields }
+    record.user_id = userId
+    record.chat_id = chatId
+    this.saveChat(record)
+    return record
+  }
+
+  presetPath(presetId) {
+    return path.join(this.presetsDir, `${safeId(presetId)}.json`)
+  }
+
+  loadPreset(presetId) {
+    const filePath = this.presetPath(presetId)
+    if (!fs.existsSync(filePath)) return null
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+  }
+
+  savePreset(preset) {
+    ensureDir(this.presetsDir)
+    const filePath = this.presetPath(preset.id)
+    const tmpPath = `${filePath}.tmp`
+    fs.writeFileSync(tmpPath, JSON.stringify(preset, null, 2))
+    fs.renameSync(tmpPath, filePath)
+  }
+
+  deletePreset(presetId) {
+    const filePath = this.presetPath(presetId)
+    if (!fs.existsSync(filePath)) return false
+    fs.unlinkSync(filePath)
+    return true
+  }
+
+  listPresets() {
+    if (!fs.existsSync(this.presetsDir)) return []
+    const presets = []
+    for (const entry of fs.readdirSync(this.presetsDir)) {
+      if (!entry.endsWith('.json')) continue
+      try {
+        presets.push(JSON.parse(fs.readFileSync(path.join(this.presetsDir, entry), 'utf-8')))
+      } catch {
+        // Ignore unreadable presets.
+      }
+    }
+    return presets.sort((a, b) => String(a.name).localeCompare(String(b.name)))
+  }
+
   listChatsForUser(userId) {
     const userDir = path.join(this.chatsDir, safeId(userId))
     if (!fs.existsSync(userDir)) return []
@@ -96,6 +164,7 @@ class FileStore {
           raw_count: Array.isArray(record.raw_messages)
             ? record.raw_messages.length
             : 0,
+          forked_from: record.forked_from || null,
         })
       } catch {
         // Ignore unreadable records.
@@ -106,6 +175,23 @@ class FileStore {
   }
 }
 
+function buildEmptyChat(userId, chatId) {
+  return {
+    user_id: userId,
+    chat_id: chatId,
+    title: '',
+    topic: '',
+    summary: '',
+    facts: [],
+    last_updated_ts: 0,
+    last_message_ts: 0,
+    last_summary_ts: 0,
+    last_topic_ts: 0,
+    raw_messages: [],
+    idempotency: {},
+  }
+}
+
 function getLastMessageTs(record) {
   if (!record) return 0
   if (Number.isFinite(record.last_message_ts) && record.last_message_ts > 0) {
@@ -0,0 +1,113 @@
+const { isCancelledError } = require('./utils')
+
+const registry = new Map()
+const TOOL_RESULT_MAX_CHARS = 8000
+
+// A tool is { name, description, parameters (JSON schema), handler, isAvailable? }.
+// handler(args, context) returns a string, a JSON value, or { content, data, sources }.
+function registerTool(tool) {
+  if (!tool || typeof tool.name !== 'string' || !/^[a-zA-Z0-9_-]+$/.test(tool.name)) {
+    throw new Error('Tool name must be letters, digits, dashes, or underscores.')
+  }
+  if (typeof tool.handler !== 'function') {
+    throw new Error(`Tool ${tool.name} is missing a handler.`)
+  }
+  if (registry.has(tool.name)) {
+    throw new Error(`Tool ${tool.name} is already registered.`)
+  }
+  registry.set(tool.name, {
+    description: '',
+    parameters: { type: 'object', properties: {} },
+    isAvailable: null,
+    ...tool,
+  })
+}
+
+// Without a context every registered tool is listed; with one, only those available to it.
+function listTools(context = null) {
+  const tools = Array.from(registry.values())
+  if (!context) return tools
+  return tools.filter(
+    (tool) => typeof tool.isAvailable !== 'function' || tool.isAvailable(context)
+  )
+}
+
+function describeTool(tool) {
+  return { name: tool.name, description: tool.description, parameters: tool.parameters }
+}
+
+function toOllamaTools(tools) {
+  return tools.map((tool) => ({ type: 'function', function: describeTool(tool) }))
+}
+
+function parseToolArguments(value) {
+  if (value && typeof value === 'object') return value
+  if (typeof value === 'string' && value.trim()) {
+    try {
+      const parsed = JSON.parse(value)
+      return parsed && typeof parsed === 'object' ? parsed : {}
+    } catch {
+      return {}
+    }
+  }
+  return {}
+}
+
+function normalizeToolResult(result) {
+  if (result && typeof result === 'object' && typeof result.content === 'string') {
+    return {
+      content: result.content,
+      data: result.data === undefined ? null : result.data,
+      sources: Array.isArray(result.sources) ? result.sources : [],
+    }
+  }
+  const content = typeof result === 'string' ? result : JSON.stringify(result ?? null)
+  return { content, data: typeof result === 'string' ? null : result ?? null, sources: [] }
+}
+
+function fitsResultLimit(data) {
+  try {
+    return JSON.stringify(data).length <= TOOL_RESULT_MAX_CHARS
+  } catch {
+    return false
+  }
+}
+
+// Runs one model tool call and returns an audit entry; handler errors are reported
+// back to the model instead of failing the turn. Cancellation still propagates.
+async function runToolCall(call, context = {}) {
+  const fn = call && call.function ? call.function : {}
+  const name = typeof fn.name === 'string' ? fn.name : ''
+  const args = parseToolArguments(fn.arguments)
+  const startedAt = Date.now()
+  const entry = { name, arguments: args, ts: startedAt }
+  const tool = registry.get(name)
+
+  try {
+    if (!tool) {
+      throw new Error(`Unknown tool: ${name || '(missing name)'}`)
+    }
+    const result = normalizeToolResult(await tool.handler(args, context))
+    entry.content =
+      result.content.length > TOOL_RESULT_MAX_CHARS
+        ? `${result.content.slice(0, TOOL_RESULT_MAX_CHARS - 3)}...`
+        : result.content
+    // Entries are stored with the chat, so oversized data is dropped like long content is cut.
+    if (result.data !== null && fitsResultLimit(result.data)) entry.data = result.data
+    if (result.sources.length) entry.sources = result.sources
+  } catch (error) {
+    if (isCancelledError(error)) throw error
+    entry.error = error instanceof Error ? error.message : String(error)
+    entry.content = `Error: ${entry.error}`
+  }
+  entry.duration_ms = Date.now() - startedAt
+  return entry
+}
+
+module.exports = {
+  registerTool,
+  listTools,
+  describeTool,
+  toOllamaTools,
+  runToolCall,
+}
@@ -51,6 +51,7 @@ async function generateTopic({
   maxWords,
   timeoutMs,
   options,
+  signal,
 }) {
   if (!modelId) return { topic: currentTopic || '', changed: false }
   console.log('[topic] generate', {
@@ -78,6 +79,7 @@ async function generateTopic({
     timeoutMs,
     options: options || TOPIC_LLM_OPTIONS,
     format: 'json',
+    signal,
   })
 
   const parsed = extractJson(response)
@@ -104,6 +106,7 @@ async function generateTopic({
       timeoutMs,
       options: TOPIC_LLM_RETRY_OPTIONS,
       format: 'json',
+      signal,
     })
     const retryParsed = extractJson(retryResponse)
     const retryRaw =
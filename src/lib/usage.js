@@ -0,0 +1,145 @@
+const { config } = require('./config')
+
+// Counters and durations (nanoseconds) Ollama reports on its final chat response.
+const USAGE_FIELDS = [
+  'prompt_eval_count',
+  'eval_count',
+  'total_duration',
+  'load_duration',
+  'prompt_eval_duration',
+  'eval_duration',
+]
+
+function readUsage(payload) {
+  if (!payload || typeof payload !== 'object') return null
+  const usage = {}
+  for (const field of USAGE_FIELDS) {
+    if (Number.isFinite(payload[field])) usage[field] = payload[field]
+  }
+  return Object.keys(usage).length ? usage : null
+}
+
+// Sums the usage of several calls for one answer (tool rounds, format repairs).
+function addUsage(total, usage) {
+  if (!usage) return total
+  const sum = { ...(total || {}) }
+  for (const field of USAGE_FIELDS) {
+    if (Number.isFinite(usage[field])) sum[field] = (sum[field] || 0) + usage[field]
+  }
+  return sum
+}
+
+function toMs(nanoseconds) {
+  return Math.round(nanoseconds / 1e6)
+}
+
+function tokensPerSecond(evalCount, evalDuration) {
+  return evalDuration > 0 ? Math.round((evalCount / evalDuration) * 1e10) / 10 : null
+}
+
+// The stats stored on an assistant message: Ollama's usage plus gateway timings in ms.
+function buildMessageStats(usage, { ttftMs = null, webSearchMs = null, totalMs = null } = {}) {
+  const stats = { ...(usage || {}) }
+  const rate = tokensPerSecond(stats.eval_count, stats.eval_duration)
+  if (rate !== null) stats.tokens_per_second = rate
+  if (Number.isFinite(ttftMs)) stats.ttft_ms = ttftMs
+  if (Number.isFinite(webSearchMs)) stats.web_search_ms = webSearchMs
+  if (Number.isFinite(totalMs)) stats.total_ms = totalMs
+  return Object.keys(stats).length ? stats : null
+}
+
+function formatDay(ts, timeZone) {
+  // en-CA formats dates as YYYY-MM-DD.
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(new Date(ts))
+}
+
+function createBucket() {
+  return {
+    answers: 0,
+    prompt_eval_count: 0,
+    eval_count: 0,
+    total_duration: 0,
+    eval_duration: 0,
+    ttft_ms: [],
+    web_search_ms: 0,
+    web_searches: 0,
+  }
+}
+
+function addToBucket(bucket, stats) {
+  bucket.answers += 1
+  for (const field of ['prompt_eval_count', 'eval_count', 'total_duration', 'eval_duration']) {
+    if (Number.isFinite(stats[field])) bucket[field] += stats[field]
+  }
+  if (Number.isFinite(stats.ttft_ms)) bucket.ttft_ms.push(stats.ttft_ms)
+  if (Number.isFinite(stats.web_search_ms)) {
+    bucket.web_search_ms += stats.web_search_ms
+    bucket.web_searches += 1
+  }
+}
+
+function finishBucket(bucket) {
+  const ttft = bucket.ttft_ms
+  const ttftSum = ttft.reduce((sum, ms) => sum + ms, 0)
+  return {
+    answers: bucket.answers,
+    prompt_eval_count: bucket.prompt_eval_count,
+    eval_count: bucket.eval_count,
+    total_duration_ms: toMs(bucket.total_duration),
+    tokens_per_second: tokensPerSecond(bucket.eval_count, bucket.eval_duration),
+    avg_ttft_ms: ttft.length ? Math.round(ttftSum / ttft.length) : null,
+    web_searches: bucket.web_searches,
+    web_search_ms: bucket.web_search_ms,
+  }
+}
+
+// Every stored answer with stats counts, including inactive versions, since each
+// one was generated. Days follow TIMEZONE; `from`/`to` are inclusive YYYY-MM-DD.
+function summarizeUsage(records, { from = '', to = '', timeZone = config.TIMEZONE } = {}) {
+  const totals = createBucket()
+  const byModel = new Map()
+  const byChat = new Map()
+  const byDay = new Map()
+  const bucketFor = (map, key, init) => {
+    if (!map.has(key)) map.set(key, { ...init, bucket: createBucket() })
+    return map.get(key).bucket
+  }
+
+  for (const record of records) {
+    const messages = Array.isArray(record.raw_messages) ? record.raw_messages : []
+    for (const message of messages) {
+      if (!message || message.role !== 'assistant') continue
+      const answers =
+        Array.isArray(message.versions) && message.versions.length ? message.versions : [message]
+      for (const answer of answers) {
+        if (!answer.stats || !Number.isFinite(answer.ts)) continue
+        const day = formatDay(answer.ts, timeZone)
+        if ((from && day < from) || (to && day > to)) continue
+        const model = answer.model_id || ''
+        addToBucket(totals, answer.stats)
+        addToBucket(bucketFor(byModel, model, { model_id: model }), answer.stats)
+        addToBucket(
+          bucketFor(byChat, record.chat_id, { chat_id: record.chat_id, title: record.title || '' }),
+          answer.stats
+        )
+        addToBucket(bucketFor(byDay, day, { day }), answer.stats)
+      }
+    }
+  }
+
+  const list = (map) =>
+    Array.from(map.values()).map(({ bucket, ...key }) => ({ ...key, ...finishBucket(bucket) }))
+  return {
+    totals: finishBucket(totals),
+    by_model: list(byModel).sort((a, b) => b.eval_count - a.eval_count),
+    by_chat: list(byChat).sort((a, b) => b.eval_count - a.eval_count),
+    by_day: list(byDay).sort((a, b) => a.day.localeCompare(b.day)),
+  }
+}
+
+module.exports = { readUsage, addUsage, buildMessageStats, summarizeUsage }
@@ -33,7 +33,7 @@ function trimFactsToBudget(facts, budgetTokens) {
   return kept
 }
 
-function readJsonBody(req, maxBytes) {
+function readRawBody(req, maxBytes) {
   return new Promise((resolve, reject) => {
     const chunks = []
     let size = 0
@@ -49,19 +49,18 @@ function readJsonBody(req, maxBytes) {
     })
 
     req.on('end', () => {
-      try {
-        const raw = chunks.length ? Buffer.concat(chunks).toString('utf-8') : ''
-        const parsed = raw ? JSON.parse(raw) : null
-        resolve(parsed)
-      } catch (error) {
-        reject(error)
-      }
+      resolve(chunks.length ? Buffer.concat(chunks) : Buffer.alloc(0))
     })
 
     req.on('error', reject)
   })
 }
 
+async function readJsonBody(req, maxBytes) {
+  const raw = (await readRawBody(req, maxBytes)).toString('utf-8')
+  return raw ? JSON.parse(raw) : null
+}
+
 function respondJson(res, status, payload) {
   res.statusCode = status
   res.setHeader('Content-Type', 'application/json; charset=utf-8')
@@ -73,7 +72,7 @@ function respondJson(res, status, payload) {
 
 function setCors(res) {
   res.setHeader('Access-Control-Allow-Origin', '*')
-  res.setHeader('Access-Control-Allow-Headers', 'authorization,content-type,x-api-key')
+  res.setHeader('Access-Control-Allow-Headers', 'authorization,content-type,x-api-key,x-chat-id,x-message-id')
   res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS')
   res.setHeader('Access-Control-Max-Age', '600')
 }
@@ -99,15 +98,40 @@ function extractJson(text) {
   }
 }
 
+function createCancelledError(message) {
+  const error = new Error(message || 'Request cancelled.')
+  error.cancelled = true
+  return error
+}
+
+function isCancelledError(error) {
+  return Boolean(error && error.cancelled === true)
+}
+
+function linkAbortSignal(signal, controller) {
+  if (!signal) return () => {}
+  if (signal.aborted) {
+    controller.abort()
+    return () => {}
+  }
+  const onAbort = () => controller.abort()
+  signal.addEventListener('abort', onAbort, { once: true })
+  return () => signal.removeEventListener('abort', onAbort)
+}
+
 module.exports = {
   estimateTokens,
   trimToTokenBudget,
   trimToCharBudget,
   trimFactsToBudget,
+  readRawBody,
   readJsonBody,
   respondJson,
   setCors,
   ensureDir,
   safeId,
   extractJson,
+  createCancelledError,
+  isCancelledError,
+  linkAbortSignal,
 }
@@ -1,4 +1,5 @@
 const { config } = require('../lib/config')
+const { createCancelledError, linkAbortSignal } = require('../lib/utils')
 
 function extractAnswer(payload) {
   if (!payload || typeof payload !== 'object') return ''
@@ -42,6 +43,7 @@ async function callWebAgent({
   clientTs,
   modelId,
   timeoutMs,
+  signal,
 }) {
   if (!config.WEB_AGENT_URL) {
     throw new Error('WEB_AGENT_URL is not configured.')
@@ -49,6 +51,7 @@ async function callWebAgent({
 
   const controller = new AbortController()
   const timeout = setTimeout(() => controller.abort(), timeoutMs || config.WEB_AGENT_TIMEOUT_MS)
+  const unlinkSignal = linkAbortSignal(signal, controller)
 
   try {
     const response = await fetch(config.WEB_AGENT_URL, {
@@ -76,11 +79,15 @@ async function callWebAgent({
     return { sources }
   } catch (error) {
     if (error && error.name === 'AbortError') {
+      if (signal && signal.aborted) {
+        throw createCancelledError('Web agent request cancelled.')
+      }
       throw new Error('Web agent request timed out.')
     }
     throw error
   } finally {
     clearTimeout(timeout)
+    unlinkSignal()
   }
 }
 
@@ -93,6 +100,7 @@ async function streamWebAgent({
   modelId,
   timeoutMs,
   onEvent,
+  signal,
 }) {
   if (!config.WEB_AGENT_URL) {
     throw new Error('WEB_AGENT_URL is not configured.')
@@ -100,6 +108,7 @@ async function streamWebAgent({
 
   const controller = new AbortController()
   const timeout = setTimeout(() => controller.abort(), timeoutMs || config.WEB_AGENT_TIMEOUT_MS)
+  const unlinkSignal = linkAbortSignal(signal, controller)
   let aborted = false
 
   try {
@@ -220,11 +229,15 @@ async function streamWebAgent({
   } catch (error) {
     if (error && error.name === 'AbortError') {
       aborted = true
+      if (signal && signal.aborted) {
+        throw createCancelledError('Web agent request cancelled.')
+      }
       throw new Error('Web agent request timed out.')
     }
     throw error
   } finally {
     clearTimeout(timeout)
+    unlinkSignal()
   }
 }
 
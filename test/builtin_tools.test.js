@@ -0,0 +1,102 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { calculate, dateDifference, convertUnits } = require('../src/lib/builtin_tools')
+
+const result = (expression) => calculate({ expression }).data
+
+test('calculator keeps decimal arithmetic exact', () => {
+  assert.deepEqual(result('0.1+0.2'), { result: '0.3', exact: true })
+  assert.equal(result('(1.1 + 2.2) * 3 / 7').result, '99/70')
+  assert.equal(result('2 ** 3 × 2').result, '16')
+  assert.equal(result('1e3 / 8').result, '125')
+})
+
+test('calculator reports fractions with an approximation', () => {
+  const data = result('1/3 + 1/6 + 1/7')
+  assert.equal(data.result, '9/14')
+  assert.equal(data.exact, true)
+  assert.equal(data.approx, 9 / 14)
+})
+
+test('calculator powers bind tighter than unary minus', () => {
+  assert.equal(result('-2^2').result, '-4')
+  assert.equal(result('(-2)^2').result, '4')
+  assert.equal(result('2^-3').result, '0.125')
+  assert.equal(result('2^3^2').result, '512')
+})
+
+test('calculator % takes the sign of the dividend', () => {
+  assert.equal(result('7 % 3').result, '1')
+  assert.equal(result('7 % -3').result, '1')
+  assert.equal(result('-7 % 3').result, '-1')
+  assert.equal(result('5.5 % 2').result, '1.5')
+})
+
+test('calculator floor and ceil stay exact for negatives', () => {
+  assert.equal(result('floor(-7/2)').result, '-4')
+  assert.equal(result('ceil(-7/2)').result, '-3')
+  assert.equal(result('abs(-1/3)').result, '1/3')
+})
+
+test('calculator falls back to floats for irrational functions', () => {
+  const data = result('sqrt(2)')
+  assert.equal(data.exact, false)
+  assert.equal(data.result, String(Number(Math.SQRT2.toPrecision(15))))
+})
+
+test('calculator caps the size of exact results', () => {
+  assert.equal(result('2^1000').result, (2n ** 1000n).toString())
+  const startedAt = Date.now()
+  assert.throws(
+    () => calculate({ expression: '((2^1000)^1000)^100 / 3' }),
+    /not a finite number/
+  )
+  assert.throws(() => calculate({ expression: '9^999999' }), /not a finite number/)
+  assert.ok(Date.now() - startedAt < 1000)
+  assert.equal(result('(2^1000)^4 / (2^1000)^3').result, (2n ** 1000n).toString())
+})
+
+test('calculator rejects bad input', () => {
+  assert.throws(() => calculate({ expression: '1/0' }), /Division by zero/)
+  assert.throws(() => calculate({ expression: '0^-1' }), /Division by zero/)
+  assert.throws(() => calculate({ expression: '2 +' }), /Unexpected end/)
+  assert.throws(() => calculate({ expression: 'foo(1)' }), /Unknown function/)
+  assert.throws(() => calculate({ expression: '' }), /Missing expression/)
+  assert.throws(() => calculate({ expression: '1+'.repeat(300) + '1' }), /too long/)
+})
+
+test('date_diff clamps month ends when counting calendar months', () => {
+  const leap = dateDifference({ start: '2024-01-31', end: '2024-02-29', timezone: 'UTC' }).data
+  assert.equal(leap.days, 29)
+  assert.deepEqual(leap.calendar, { years: 0, months: 1, days: 0 })
+
+  const short = dateDifference({ start: '2023-01-31', end: '2023-03-01', timezone: 'UTC' }).data
+  assert.equal(short.days, 29)
+  assert.deepEqual(short.calendar, { years: 0, months: 1, days: 1 })
+})
+
+test('date_diff is negative when the end comes first', () => {
+  const data = dateDifference({ start: '2025-03-15', end: '2020-01-10', timezone: 'UTC' }).data
+  assert.equal(data.days, -1891)
+  assert.deepEqual(data.calendar, { years: -5, months: -2, days: -5 })
+})
+
+test('date_diff rejects impossible dates and unknown zones', () => {
+  assert.throws(
+    () => dateDifference({ start: '2023-02-30', end: '2023-03-01', timezone: 'UTC' }),
+    /Invalid date/
+  )
+  assert.throws(
+    () => dateDifference({ start: '2023-01-01', end: '2023-03-01', timezone: 'Mars/Base' }),
+    /Unknown time zone/
+  )
+})
+
+test('convert_units converts within a group and across temperature scales', () => {
+  assert.equal(convertUnits({ value: 1, from: 'mile', to: 'km' }).data.value, 1.609344)
+  assert.equal(convertUnits({ value: '212', from: 'F', to: 'celsius' }).data.value, 100)
+  assert.equal(convertUnits({ value: 1, from: 'GiB', to: 'MB' }).data.value, 1073.741824)
+  assert.equal(convertUnits({ value: 2, from: 'sq ft', to: 'in²' }).data.value, 288)
+  assert.throws(() => convertUnits({ value: 1, from: 'kg', to: 'm' }), /Cannot convert/)
+  assert.throws(() => convertUnits({ value: 'abc', from: 'kg', to: 'g' }), /must be a number/)
+})
@@ -0,0 +1,101 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const {
+  normalizeFormat,
+  validateJson,
+  parseJsonReply,
+  checkStructuredReply,
+} = require('../src/lib/schema')
+
+const person = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    age: { type: 'integer', minimum: 0 },
+    tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+  },
+  additionalProperties: false,
+}
+
+test('normalizeFormat accepts "json", schemas, and nothing', () => {
+  assert.equal(normalizeFormat(undefined), null)
+  assert.equal(normalizeFormat(''), null)
+  assert.equal(normalizeFormat('json'), 'json')
+  assert.equal(normalizeFormat(person), person)
+  assert.throws(() => normalizeFormat('xml'), /format must be/)
+  assert.throws(() => normalizeFormat([]), /format must be/)
+  assert.throws(() => normalizeFormat({ type: 'date' }), /Unsupported schema type: date/)
+})
+
+test('validateJson reports paths for nested problems', () => {
+  assert.deepEqual(validateJson({ name: 'Ada', age: 36, tags: ['x'] }, person), [])
+  assert.deepEqual(validateJson({ age: -1, tags: ['a', 2, 'c'], extra: true }, person), [
+    '$.name is required',
+    '$.age should be >= 0',
+    '$.tags should have at most 2 items',
+    '$.tags[1] should be string, got number',
+    '$.extra is not allowed',
+  ])
+})
+
+test('validateJson tells integers from numbers', () => {
+  assert.deepEqual(validateJson(3, { type: 'integer' }), [])
+  assert.deepEqual(validateJson(3.5, { type: 'integer' }), ['$ should be integer, got number'])
+  assert.deepEqual(validateJson(3.5, { type: ['integer', 'null'] }), [
+    '$ should be integer or null, got number',
+  ])
+  assert.deepEqual(validateJson(null, { type: ['integer', 'null'] }), [])
+})
+
+test('validateJson checks enum, const, and pattern', () => {
+  assert.deepEqual(validateJson('b', { enum: ['a', 'b'] }), [])
+  assert.deepEqual(validateJson('c', { enum: ['a', 'b'] }), ['$ should be one of "a", "b"'])
+  assert.deepEqual(validateJson({ x: 1 }, { const: { x: 1 } }), [])
+  assert.deepEqual(validateJson('ab12', { type: 'string', pattern: '^[a-z]+\\d+$' }), [])
+  assert.deepEqual(validateJson('12ab', { type: 'string', pattern: '^[a-z]+\\d+$' }), [
+    '$ should match ^[a-z]+\\d+$',
+  ])
+  assert.deepEqual(validateJson('x', { type: 'string', pattern: '(' }), [])
+})
+
+test('anyOf needs one match and oneOf exactly one', () => {
+  const anyOf = { anyOf: [{ type: 'string' }, { type: 'integer' }] }
+  assert.deepEqual(validateJson(5, anyOf), [])
+  assert.deepEqual(validateJson(true, anyOf), ['$ should match at least one schema'])
+
+  const oneOf = { oneOf: [{ type: 'number' }, { type: 'integer' }] }
+  assert.deepEqual(validateJson(1.5, oneOf), [])
+  assert.deepEqual(validateJson(2, oneOf), ['$ should match exactly one schema'])
+})
+
+test('allOf applies every part at the same path', () => {
+  const schema = { allOf: [{ type: 'string' }, { minLength: 3 }] }
+  assert.deepEqual(validateJson('abc', schema), [])
+  assert.deepEqual(validateJson('ab', schema), ['$ should have at least 3 characters'])
+})
+
+test('validateJson stops at ten errors', () => {
+  const schema = { type: 'array', items: { type: 'string' } }
+  assert.equal(validateJson(new Array(25).fill(0), schema).length, 10)
+})
+
+test('parseJsonReply tolerates a json fence but nothing else around it', () => {
+  assert.deepEqual(parseJsonReply('```json\n{"a":1}\n```'), { ok: true, value: { a: 1 } })
+  assert.deepEqual(parseJsonReply('  [1, 2]  '), { ok: true, value: [1, 2] })
+  assert.deepEqual(parseJsonReply(''), { ok: false, error: 'Reply is empty.' })
+  assert.equal(parseJsonReply('Sure! {"a":1}').ok, false)
+})
+
+test('checkStructuredReply only returns data for a matching reply', () => {
+  assert.deepEqual(checkStructuredReply('{"name":"Ada"}', person), {
+    data: { name: 'Ada' },
+    errors: [],
+  })
+  assert.deepEqual(checkStructuredReply('{"age":3}', person), {
+    data: null,
+    errors: ['$.name is required'],
+  })
+  assert.deepEqual(checkStructuredReply('"anything"', 'json'), { data: 'anything', errors: [] })
+  assert.equal(checkStructuredReply('oops', 'json').data, null)
+})